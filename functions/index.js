@@ -0,0 +1,204 @@
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { defineSecret, defineInt } from 'firebase-functions/params';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { DAILY_AI_REQUESTS, PROMPT_VERSION, buildCategorizationPrompt } from './shared/categorization.js';
+
+/**
+ * AI Proxy Functions
+ * Keeps the Gemini API key on the server. The client calls these callable
+ * functions (Firebase Auth is verified automatically), a per-user daily
+ * quota is enforced, and only the raw [{index, category, secondary, confidence}] answers are
+ * returned — validation (including secondary weights) stays in the client's llmProviderService.
+ *
+ * The prompt comes from shared/categorization.js, which the client imports too;
+ * requests built against another PROMPT_VERSION are rejected.
+ */
+
+initializeApp();
+const db = getFirestore();
+
+const GEMINI_API_KEY = defineSecret('GEMINI_API_KEY');
+const DAILY_REQUEST_QUOTA = defineInt('DAILY_REQUEST_QUOTA', { default: DAILY_AI_REQUESTS });
+
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
+const USAGE_COLLECTION = 'ai_usage';
+const MAX_ITEMS = 50;
+const MAX_ITEM_LENGTH = 300;
+const MAX_DIMENSIONS = 20;
+
+/**
+ * Validate and clean the request payload
+ * @param {Object} data - { items: string[], dimensions: [{name, description, keywords, subdimensions}], temperature, promptVersion }
+ * @returns {{items: string[], dimensions: Array, temperature: number}}
+ */
+const validatePayload = (data) => {
+  const { items, dimensions, temperature = 0.3, promptVersion } = data || {};
+
+  if (promptVersion !== PROMPT_VERSION) {
+    throw new HttpsError('failed-precondition', `Prompt version ${promptVersion} does not match the server's ${PROMPT_VERSION}. Reload the app.`, {
+      promptVersionMismatch: true,
+      serverVersion: PROMPT_VERSION,
+    });
+  }
+
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_ITEMS) {
+    throw new HttpsError('invalid-argument', `items must be an array of 1-${MAX_ITEMS} strings`);
+  }
+  if (!items.every(item => typeof item === 'string')) {
+    throw new HttpsError('invalid-argument', 'items must be strings');
+  }
+  if (!Array.isArray(dimensions) || dimensions.length === 0 || dimensions.length > MAX_DIMENSIONS) {
+    throw new HttpsError('invalid-argument', `dimensions must be an array of 1-${MAX_DIMENSIONS} entries`);
+  }
+  if (!dimensions.every(d => typeof d?.name === 'string' && d.name.length <= 50)) {
+    throw new HttpsError('invalid-argument', 'every dimension needs a name');
+  }
+
+  return {
+    items: items.map(item => item.slice(0, MAX_ITEM_LENGTH)),
+    dimensions: dimensions.map(d => ({
+      name: d.name,
+      description: String(d.description || '').slice(0, 200),
+      keywords: (Array.isArray(d.keywords) ? d.keywords : []).slice(0, 10).map(String),
+      subdimensions: (Array.isArray(d.subdimensions) ? d.subdimensions : []).slice(0, 10).map(sub => String(sub).slice(0, 50)),
+    })),
+    temperature: Math.min(Math.max(Number(temperature) || 0, 0), 1),
+  };
+};
+
+/**
+ * Usage document for a user and day
+ * @param {string} uid - Firebase user ID
+ * @param {string} date - YYYY-MM-DD
+ */
+const getUsageRef = (uid, date) => db.collection(USAGE_COLLECTION).doc(`${uid}_${date}`);
+
+/**
+ * Count one request against the user's daily quota
+ * @param {string} uid - Firebase user ID
+ * @returns {Promise<{used: number, limit: number, date: string}>}
+ */
+const consumeQuota = async (uid) => {
+  const date = new Date().toISOString().slice(0, 10);
+  const usageRef = getUsageRef(uid, date);
+  const limit = DAILY_REQUEST_QUOTA.value();
+
+  return db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(usageRef);
+    const used = snap.exists ? snap.data().requests : 0;
+
+    if (used >= limit) {
+      throw new HttpsError('resource-exhausted', `Daily AI quota reached (${limit} requests). Try again tomorrow.`, {
+        quotaExceeded: true,
+        used,
+        limit,
+        date,
+      });
+    }
+
+    transaction.set(usageRef, {
+      userId: uid,
+      date,
+      requests: FieldValue.increment(1),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    return { used: used + 1, limit, date };
+  });
+};
+
+/**
+ * Give back a request whose Gemini call failed
+ * @param {string} uid - Firebase user ID
+ * @param {string} date - Day the request was charged to
+ */
+const refundQuota = async (uid, date) => {
+  try {
+    await getUsageRef(uid, date).update({
+      requests: FieldValue.increment(-1),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    console.error('Error refunding AI quota:', error);
+  }
+};
+
+/**
+ * Call Gemini and return the parsed JSON answer
+ * @param {string} prompt - Prompt
+ * @param {number} temperature - Sampling temperature
+ * @returns {Promise<Array>}
+ */
+const callGemini = async (prompt, temperature) => {
+  const response = await fetch(GEMINI_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': GEMINI_API_KEY.value(),
+    },
+    body: JSON.stringify({
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: 4096,
+        responseMimeType: 'application/json',
+      },
+    }),
+  });
+
+  if (response.status === 429) {
+    const retryAfter = Number(response.headers.get('retry-after')) || null;
+    throw new HttpsError('resource-exhausted', 'Gemini rate limit hit', { retryAfter });
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new HttpsError('internal', `Gemini API error: ${errorData.error?.message || response.statusText}`);
+  }
+
+  const data = await response.json();
+  const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (!text) {
+    throw new HttpsError('internal', 'No response from Gemini API');
+  }
+
+  try {
+    return JSON.parse(text.trim().replace(/^```(json)?\n?/, '').replace(/\n?```$/, ''));
+  } catch {
+    throw new HttpsError('internal', 'Gemini returned invalid JSON');
+  }
+};
+
+/**
+ * Shared handler for both endpoints
+ * @param {'title'|'tag'} kind - What is being classified
+ * @returns {function} - Callable handler
+ */
+const createCategorizeHandler = (kind) => async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to use AI categorization');
+  }
+
+  const { items, dimensions, temperature } = validatePayload(request.data);
+  // Charged up front so concurrent calls can't overshoot; refunded if Gemini fails
+  // The client writes `quota` back into its own counter, so both count the same UTC day
+  const quota = await consumeQuota(request.auth.uid);
+
+  let answers;
+  try {
+    answers = await callGemini(buildCategorizationPrompt(kind, items, dimensions), temperature);
+  } catch (error) {
+    await refundQuota(request.auth.uid, quota.date);
+    throw error;
+  }
+
+  return { answers: Array.isArray(answers) ? answers : [], quota };
+};
+
+const callableOptions = { secrets: [GEMINI_API_KEY], cors: true };
+
+export const categorizeTitles = onCall(callableOptions, createCategorizeHandler('title'));
+export const categorizeTags = onCall(callableOptions, createCategorizeHandler('tag'));
@@ -0,0 +1,59 @@
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldPath } from 'firebase-admin/firestore';
+
+/**
+ * Admin cleanup: delete the legacy global tag_connections documents
+ * Before per-user connections, one shared `code_coffee` document per pair held
+ * every user's counts. They have no userId, so the security rules make them
+ * unreachable to clients and migrateTagConnections cannot remove them.
+ *
+ * Usage (service account credentials via GOOGLE_APPLICATION_CREDENTIALS):
+ *   npm run cleanup:legacy-connections -- --dry-run
+ *   npm run cleanup:legacy-connections
+ */
+
+const COLLECTION = 'tag_connections';
+const PAGE_SIZE = 500;
+
+initializeApp();
+const db = getFirestore();
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Walk the collection in document ID order and delete owner-less documents
+ * @returns {Promise<{scanned: number, deleted: number}>}
+ */
+const deleteLegacyConnections = async () => {
+  const writer = db.bulkWriter();
+  let scanned = 0;
+  let deleted = 0;
+  let last = null;
+
+  for (;;) {
+    let query = db.collection(COLLECTION).orderBy(FieldPath.documentId()).limit(PAGE_SIZE);
+    if (last) query = query.startAfter(last);
+
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    snapshot.docs.forEach(doc => {
+      scanned += 1;
+      if (typeof doc.get('userId') !== 'string') {
+        deleted += 1;
+        if (!dryRun) writer.delete(doc.ref);
+      }
+    });
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  await writer.close();
+  return { scanned, deleted };
+};
+
+try {
+  const { scanned, deleted } = await deleteLegacyConnections();
+  console.log(`${dryRun ? '🔍 Would delete' : '🗑️ Deleted'} ${deleted} legacy connection(s) of ${scanned} scanned`);
+} catch (error) {
+  console.error('❌ Legacy connection cleanup failed:', error);
+  process.exitCode = 1;
+}
@@ -0,0 +1,64 @@
+/**
+ * Categorization contract shared by the app and the AI proxy
+ * Imported by functions/index.js and by src/services (llmProviderService,
+ * rateLimiterService), so the prompt and the daily budget have one source.
+ * Plain JavaScript with no imports: it must run in the browser and in Node.
+ */
+
+// Bump when the prompt wording changes: cached categorizations are invalidated
+// and the proxy rejects requests from clients built against another version
+export const PROMPT_VERSION = 3;
+
+// Requests per user per day (Gemini 2.5 Flash free tier); the proxy's
+// DAILY_REQUEST_QUOTA and the client limiter's rpd both default to it
+export const DAILY_AI_REQUESTS = 250;
+
+export const MAX_SECONDARY = 2;
+export const MAX_SECONDARY_WEIGHT = 0.5; // The primary category always keeps at least half
+
+/**
+ * Build the categorization prompt
+ * @param {'title'|'tag'} kind - What is being classified
+ * @param {string[]} items - Items to classify
+ * @param {Array<{name: string, description: string, keywords: string[], subdimensions: string[]}>} dimensions - Active dimensions
+ * @returns {string}
+ */
+export const buildCategorizationPrompt = (kind, items, dimensions) => {
+  const itemLabel = kind === 'title' ? 'YouTube video titles' : 'tags';
+  const names = dimensions.map(d => d.name);
+  // Same rule as getFallbackDimension: Entertainment, or the last dimension
+  const fallback = names.includes('Entertainment') ? 'Entertainment' : names[names.length - 1];
+
+  const definitions = dimensions
+    .map(({ name, description, keywords, subdimensions }) => (
+      `- ${name}: ${description}${keywords.length ? `, ${keywords.join(', ')}` : ''}` +
+      (subdimensions.length ? ` (sub-categories: ${subdimensions.join(', ')})` : '')
+    ))
+    .join('\n');
+
+  return `You are an AI assistant categorizing ${itemLabel} into life dimensions.
+
+Here are ${items.length} ${itemLabel}:
+${items.map((item, i) => `${i + 1}. ${item}`).join('\n')}
+
+Categories:
+${definitions}
+
+For each item pick the ONE best primary category. If the item genuinely also belongs
+to other categories, list up to ${MAX_SECONDARY} secondary categories with a weight between 0 and ${MAX_SECONDARY_WEIGHT}
+(the share of the item that belongs there). Also rate your confidence in the primary category from 0 to 1.
+If the primary category lists sub-categories, pick the best one as "subcategory" (null if none fits).
+
+Return ONLY a JSON array where each element has:
+{"index": number, "category": string, "subcategory": string|null, "secondary": [{"category": string, "weight": number}], "confidence": number}
+Index should match the number in the list above (1-${items.length}).
+Use exact category names (case-sensitive). Default to "${fallback}" with low confidence if unsure.
+
+Example format:
+[
+  {"index": 1, "category": "${names[0]}", "subcategory": ${JSON.stringify(dimensions[0].subdimensions[0] || null)}, "secondary": [{"category": "${names[1] || names[0]}", "weight": 0.4}], "confidence": 0.85},
+  {"index": 2, "category": "${fallback}", "subcategory": null, "secondary": [], "confidence": 0.6}
+]
+
+Return the JSON array now:`;
+};
@@ -1,33 +1,42 @@
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import { AuthProvider } from './contexts/AuthContext';
+import { DimensionsProvider } from './contexts/DimensionsContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import Layout from './components/Layout';
 import Landing from './pages/Landing';
 import MindMap from './pages/MindMap';
+import Dashboard from './pages/Dashboard';
+import DailyLog from './pages/DailyLog';
 import Analytics from './pages/Analytics';
 import Settings from './pages/Settings';
+import Review from './pages/Review';
 import Login from './pages/Login';
 
 function App() {
   return (
     <BrowserRouter>
       <AuthProvider>
-        <Routes>
-          <Route path="/" element={<Landing />} />
-          <Route path="/login" element={<Login />} />
-          <Route 
-            path="/app" 
-            element={
-              <ProtectedRoute>
-                <Layout />
-              </ProtectedRoute>
-            }
-          >
-            <Route index element={<MindMap />} />
-            <Route path="analytics" element={<Analytics />} />
-            <Route path="settings" element={<Settings />} />
-          </Route>
-        </Routes>
+        <DimensionsProvider>
+          <Routes>
+            <Route path="/" element={<Landing />} />
+            <Route path="/login" element={<Login />} />
+            <Route 
+              path="/app" 
+              element={
+                <ProtectedRoute>
+                  <Layout />
+                </ProtectedRoute>
+              }
+            >
+              <Route index element={<MindMap />} />
+              <Route path="dashboard" element={<Dashboard />} />
+              <Route path="daily-log" element={<DailyLog />} />
+              <Route path="analytics" element={<Analytics />} />
+              <Route path="review" element={<Review />} />
+              <Route path="settings" element={<Settings />} />
+            </Route>
+          </Routes>
+        </DimensionsProvider>
       </AuthProvider>
     </BrowserRouter>
   );
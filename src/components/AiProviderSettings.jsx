@@ -0,0 +1,151 @@
+import { useState, useEffect } from 'react';
+import { Cpu, Save, CheckCircle, Gauge } from 'lucide-react';
+import { LLM_PROVIDERS, getProviderSettings, saveProviderSettings } from '../services/llmProviderService';
+import { getRateLimits, saveRateLimits, getDailyUsage, subscribeToUsage } from '../services/rateLimiterService';
+
+const FIELD_LABELS = {
+  baseUrl: 'Base URL',
+  model: 'Model',
+  apiKey: 'API Key',
+};
+
+const LIMIT_LABELS = {
+  rpm: 'Requests / minute',
+  tpm: 'Tokens / minute',
+  rpd: 'Requests / day',
+};
+
+export default function AiProviderSettings() {
+  const [settings, setSettings] = useState(getProviderSettings);
+  const [limits, setLimits] = useState(getRateLimits);
+  const [usage, setUsage] = useState(getDailyUsage);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => subscribeToUsage(setUsage), []);
+
+  const provider = LLM_PROVIDERS[settings.providerId];
+  const config = { ...provider.defaults, ...(settings.configs[settings.providerId] || {}) };
+
+  const handleProviderChange = (providerId) => {
+    setSettings({ ...settings, providerId });
+    setSaved(false);
+  };
+
+  const handleFieldChange = (field, value) => {
+    setSettings({
+      ...settings,
+      configs: {
+        ...settings.configs,
+        [settings.providerId]: { ...config, [field]: value },
+      },
+    });
+    setSaved(false);
+  };
+
+  const handleLimitChange = (field, value) => {
+    setLimits({ ...limits, [field]: value });
+    setSaved(false);
+  };
+
+  const handleSave = () => {
+    saveProviderSettings(settings);
+    saveRateLimits(limits);
+    setSaved(true);
+    setTimeout(() => setSaved(false), 3000);
+  };
+
+  return (
+    <div className="bg-cyber-grey border border-neon-blue/30 rounded-lg p-6 mb-6">
+      <div className="flex items-center gap-3 mb-4">
+        <Cpu className="text-neon-blue" size={28} />
+        <div>
+          <h2 className="text-xl font-semibold text-cyber-text">AI Provider</h2>
+          <p className="text-cyber-muted text-sm">
+            Choose which model categorizes your videos and tags
+          </p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 mb-4">
+        {Object.values(LLM_PROVIDERS).map(option => (
+          <button
+            key={option.id}
+            onClick={() => handleProviderChange(option.id)}
+            className={`p-3 text-left rounded-lg border transition-all ${
+              settings.providerId === option.id
+                ? 'bg-neon-blue/10 border-neon-blue text-cyber-text'
+                : 'bg-cyber-dark border-gray-700 text-cyber-muted hover:border-neon-blue/50'
+            }`}
+          >
+            <p className="font-semibold text-sm">
+              {option.label}
+              {option.isLocal && <span className="ml-2 text-xs text-neon-green">local</span>}
+            </p>
+            <p className="text-xs mt-1">{option.description}</p>
+          </button>
+        ))}
+      </div>
+
+      {provider.fields.length > 0 && (
+        <div className="space-y-3 mb-4">
+          {provider.fields.map(field => (
+            <label key={field} className="block">
+              <span className="text-xs text-cyber-muted">{FIELD_LABELS[field]}</span>
+              <input
+                type={field === 'apiKey' ? 'password' : 'text'}
+                value={config[field] || ''}
+                onChange={(e) => handleFieldChange(field, e.target.value)}
+                className="mt-1 w-full px-3 py-2 bg-cyber-dark border border-neon-blue/30 rounded-lg text-cyber-text text-sm focus:outline-none focus:border-neon-blue"
+              />
+            </label>
+          ))}
+          {provider.fields.includes('apiKey') && (
+            <p className="text-xs text-yellow-400/80">
+              ⚠️ The API key is stored in this browser only.
+            </p>
+          )}
+        </div>
+      )}
+
+      {!provider.isLocal && (
+        <div className="mb-4 p-3 bg-cyber-dark rounded-lg">
+          <div className="flex items-center justify-between mb-2">
+            <span className="flex items-center gap-2 text-sm text-cyber-text">
+              <Gauge size={16} className="text-neon-blue" />
+              {usage.remaining}/{usage.limit} requests left today
+            </span>
+            <span className="text-xs text-cyber-muted">~{usage.tokens.toLocaleString()} tokens used</span>
+          </div>
+          <div className="w-full h-1.5 bg-cyber-grey rounded-full overflow-hidden mb-3">
+            <div
+              className="h-full bg-neon-blue transition-all duration-300"
+              style={{ width: `${Math.min((usage.requests / usage.limit) * 100, 100)}%` }}
+            ></div>
+          </div>
+          <div className="grid grid-cols-3 gap-3">
+            {Object.keys(LIMIT_LABELS).map(field => (
+              <label key={field} className="block">
+                <span className="text-xs text-cyber-muted">{LIMIT_LABELS[field]}</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={limits[field]}
+                  onChange={(e) => handleLimitChange(field, e.target.value)}
+                  className="mt-1 w-full px-3 py-2 bg-cyber-grey border border-neon-blue/30 rounded-lg text-cyber-text text-sm focus:outline-none focus:border-neon-blue"
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <button
+        onClick={handleSave}
+        className="flex items-center gap-2 px-4 py-2 bg-white text-gray-900 font-semibold rounded-lg hover:bg-gray-100 transition-all"
+      >
+        {saved ? <CheckCircle size={18} /> : <Save size={18} />}
+        {saved ? 'Saved' : 'Save Provider'}
+      </button>
+    </div>
+  );
+}
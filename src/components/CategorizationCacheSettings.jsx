@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import { Database, Trash2, RefreshCw } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  getCacheStats,
+  getCacheSettings,
+  saveCacheSettings,
+  clearCategorizationCache
+} from '../services/categorizationCacheService';
+import { isLocalBackend } from '../repositories';
+
+export default function CategorizationCacheSettings() {
+  const { user } = useAuth();
+  const [stats, setStats] = useState(null);
+  const [syncToFirestore, setSyncToFirestore] = useState(() => getCacheSettings().syncToFirestore);
+  const [clearing, setClearing] = useState(false);
+
+  const loadStats = async () => {
+    try {
+      setStats(await getCacheStats());
+    } catch (error) {
+      console.error('Error loading cache stats:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadStats();
+  }, []);
+
+  const handleSyncToggle = () => {
+    saveCacheSettings({ syncToFirestore: !syncToFirestore });
+    setSyncToFirestore(!syncToFirestore);
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Clear all cached categorizations? The next import will ask the AI again for every title and tag.')) {
+      return;
+    }
+
+    setClearing(true);
+    try {
+      await clearCategorizationCache(user?.uid);
+      await loadStats();
+    } catch (error) {
+      alert('Failed to clear cache: ' + error.message);
+    } finally {
+      setClearing(false);
+    }
+  };
+
+  return (
+    <div className="bg-cyber-grey border border-neon-green/30 rounded-lg p-6 mb-6">
+      <div className="flex items-center gap-3 mb-4">
+        <Database className="text-neon-green" size={28} />
+        <div>
+          <h2 className="text-xl font-semibold text-cyber-text">Categorization Cache</h2>
+          <p className="text-cyber-muted text-sm">
+            Titles and tags categorized once are never sent to the AI again
+          </p>
+        </div>
+      </div>
+
+      {stats && (
+        <div className="grid grid-cols-4 gap-3 mb-4">
+          <div className="p-3 bg-cyber-dark rounded-lg">
+            <p className="text-2xl font-bold text-neon-green">{stats.hits}</p>
+            <p className="text-xs text-cyber-muted">Cache hits</p>
+          </div>
+          <div className="p-3 bg-cyber-dark rounded-lg">
+            <p className="text-2xl font-bold text-neon-purple">{stats.misses}</p>
+            <p className="text-xs text-cyber-muted">Sent to AI</p>
+          </div>
+          <div className="p-3 bg-cyber-dark rounded-lg">
+            <p className="text-2xl font-bold text-neon-blue">{Math.round(stats.hitRate * 100)}%</p>
+            <p className="text-xs text-cyber-muted">Hit rate</p>
+          </div>
+          <div className="p-3 bg-cyber-dark rounded-lg">
+            <p className="text-2xl font-bold text-cyber-text">{stats.entries}</p>
+            <p className="text-xs text-cyber-muted">Cached items</p>
+          </div>
+        </div>
+      )}
+
+      {stats?.staleEntries > 0 && (
+        <p className="text-xs text-yellow-400/80 mb-4">
+          ⚠️ {stats.staleEntries} entries were made with an older prompt or dimension set and will be re-categorized.
+        </p>
+      )}
+
+      {!isLocalBackend() && (
+        <label className="flex items-center gap-2 mb-4 text-sm text-cyber-text cursor-pointer">
+          <input
+            type="checkbox"
+            checked={syncToFirestore}
+            onChange={handleSyncToggle}
+            className="accent-neon-green"
+          />
+          Sync cache to my account (reuse categorizations across browsers)
+        </label>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          onClick={loadStats}
+          className="flex items-center gap-2 px-4 py-2 bg-cyber-dark border border-gray-700 text-cyber-muted text-sm rounded-lg hover:border-neon-green/50 transition-all"
+        >
+          <RefreshCw size={16} />
+          Refresh
+        </button>
+        <button
+          onClick={handleClear}
+          disabled={clearing}
+          className="flex items-center gap-2 px-4 py-2 bg-cyber-dark border border-red-500/30 text-red-400 text-sm rounded-lg hover:bg-red-500/10 transition-all disabled:opacity-50"
+        >
+          <Trash2 size={16} />
+          {clearing ? 'Clearing...' : 'Clear Cache'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { Network, RefreshCw, CheckCircle, AlertCircle } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { rebuildTagConnections } from '../services/tagConnectionService';
+
+export default function ConnectionMaintenanceSettings() {
+  const { user } = useAuth();
+  const [rebuilding, setRebuilding] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleRebuild = async () => {
+    if (!window.confirm('Recompute every tag connection from your daily logs and watch history? Connections nothing supports any more are removed.')) {
+      return;
+    }
+
+    setRebuilding(true);
+    setResult(null);
+    setError('');
+    try {
+      setResult(await rebuildTagConnections(user.uid));
+    } catch (err) {
+      setError(err.message || 'Failed to rebuild connections');
+    } finally {
+      setRebuilding(false);
+    }
+  };
+
+  return (
+    <div className="bg-cyber-grey border border-neon-blue/30 rounded-lg p-6 mb-6">
+      <div className="flex items-center gap-3 mb-4">
+        <Network className="text-neon-blue" size={28} />
+        <div>
+          <h2 className="text-xl font-semibold text-cyber-text">Tag Connections</h2>
+          <p className="text-cyber-muted text-sm">
+            Co-occurrence weights behind the Mind Map, kept in step as logs are edited and deleted
+          </p>
+        </div>
+      </div>
+
+      {result && (
+        <div className="mb-4 p-3 bg-green-500/10 border border-green-500/30 rounded-lg flex items-center gap-2">
+          <CheckCircle className="text-green-400" size={18} />
+          <p className="text-sm text-green-400">
+            Rebuilt {result.connections} connections from {result.sources} logs and videos
+            {result.removed > 0 && `, removed ${result.removed} stale ones`}.
+          </p>
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-500/10 border border-red-500/30 rounded-lg flex items-center gap-2">
+          <AlertCircle className="text-red-400" size={18} />
+          <p className="text-sm text-red-400">{error}</p>
+        </div>
+      )}
+
+      <button
+        onClick={handleRebuild}
+        disabled={rebuilding}
+        className="flex items-center gap-2 px-4 py-2 bg-cyber-dark border border-neon-blue/30 text-neon-blue text-sm rounded-lg hover:bg-neon-blue/10 transition-all disabled:opacity-50"
+      >
+        <RefreshCw size={16} className={rebuilding ? 'animate-spin' : ''} />
+        {rebuilding ? 'Rebuilding...' : 'Rebuild Connections'}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import { Calendar } from 'lucide-react';
+import { DATE_WINDOWS } from '../constants/dateWindows';
+
+export default function DateWindowSelect({ value, onChange, disabled = false, className = '' }) {
+  return (
+    <label className={`flex items-center gap-2 ${className}`}>
+      <Calendar size={18} />
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="px-3 py-2 bg-cyber-dark border border-gray-700 rounded-lg text-sm text-cyber-text focus:outline-none focus:border-neon-purple disabled:opacity-50"
+      >
+        {Object.entries(DATE_WINDOWS).map(([id, { label }]) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
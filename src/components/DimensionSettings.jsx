@@ -0,0 +1,264 @@
+import { useState } from 'react';
+import { Compass, Plus, Trash2, Save, CheckCircle, RotateCcw } from 'lucide-react';
+import { useDimensions } from '../contexts/useDimensions';
+import { MAX_DIMENSIONS, getDefaultDimensionDefinitions } from '../constants/dimensions';
+
+// Sub-dimensions are edited as "Coding: rust, python; Finance: stocks"
+const formatSubdimensions = (subdimensions = []) => subdimensions
+  .map(sub => (sub.keywords.length ? `${sub.name}: ${sub.keywords.join(', ')}` : sub.name))
+  .join('; ');
+
+const parseSubdimensions = (text) => text
+  .split(';')
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map(part => {
+    const [name, keywords = ''] = part.split(':');
+    return { name: name.trim(), keywords: keywords.split(',') };
+  });
+
+// Editable row: a definition plus the name it was loaded with (to detect renames)
+const toRow = (definition, index) => ({
+  ...definition,
+  key: `${definition.name}-${index}`,
+  originalName: definition.name,
+  keywordText: definition.keywords.join(', '),
+  subdimensionText: formatSubdimensions(definition.subdimensions),
+});
+
+const toDefinition = (row) => ({
+  name: row.name,
+  label: row.label,
+  color: row.color,
+  emoji: row.emoji,
+  description: row.description,
+  keywords: row.keywordText.split(','),
+  subdimensions: parseSubdimensions(row.subdimensionText),
+  gravityX: row.gravityX,
+  gravityY: row.gravityY,
+});
+
+const inputClass = 'w-full px-3 py-2 bg-cyber-grey border border-neon-blue/30 rounded-lg text-cyber-text text-sm focus:outline-none focus:border-neon-blue';
+
+export default function DimensionSettings() {
+  const { dimensions, isCustom, saveDimensions, resetDimensions } = useDimensions();
+  const [rows, setRows] = useState(() => dimensions.map(toRow));
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateRow = (key, changes) => {
+    setRows(rows.map(row => (row.key === key ? { ...row, ...changes } : row)));
+    setSaved(false);
+  };
+
+  const handleAdd = () => {
+    setRows([...rows, {
+      key: `new-${Date.now()}`,
+      originalName: null,
+      name: '',
+      label: '',
+      color: '#00D4FF',
+      emoji: '✨',
+      description: '',
+      keywordText: '',
+      subdimensionText: '',
+      gravityX: 0,
+      gravityY: 0,
+    }]);
+    setSaved(false);
+  };
+
+  const handleRetire = (key) => {
+    setRows(rows.filter(row => row.key !== key));
+    setSaved(false);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+
+    // Renamed dimensions keep their saved tags and videos through an alias
+    const renames = {};
+    rows.forEach(row => {
+      if (row.originalName && row.originalName !== row.name.trim()) {
+        renames[row.originalName] = row.name.trim();
+      }
+    });
+
+    try {
+      const result = await saveDimensions(rows.map(toDefinition), renames);
+      setRows(result.dimensions.map(toRow));
+      setSaved(true);
+      setTimeout(() => setSaved(false), 3000);
+    } catch (err) {
+      setError(err.message || 'Failed to save dimensions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Go back to the built-in dimensions? Tags in your own dimensions will show as Unassigned.')) {
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      await resetDimensions();
+      setRows(getDefaultDimensionDefinitions().map(toRow));
+    } catch (err) {
+      setError(err.message || 'Failed to reset dimensions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-cyber-grey border border-neon-blue/30 rounded-lg p-6 mb-6">
+      <div className="flex items-center gap-3 mb-4">
+        <Compass className="text-neon-blue" size={28} />
+        <div>
+          <h2 className="text-xl font-semibold text-cyber-text">Life Dimensions</h2>
+          <p className="text-cyber-muted text-sm">
+            {isCustom ? 'Your own dimensions' : 'The built-in dimensions'} — used by the AI prompts, analytics, radar and Mind Map
+          </p>
+        </div>
+      </div>
+
+      <div className="space-y-3 mb-4">
+        {rows.map(row => (
+          <div key={row.key} className="p-3 bg-cyber-dark rounded-lg border border-gray-700">
+            <div className="grid grid-cols-12 gap-2 mb-2">
+              <input
+                type="text"
+                value={row.emoji}
+                onChange={(e) => updateRow(row.key, { emoji: e.target.value })}
+                className={`${inputClass} col-span-1 text-center`}
+                aria-label="Emoji"
+              />
+              <input
+                type="text"
+                value={row.name}
+                onChange={(e) => updateRow(row.key, { name: e.target.value })}
+                placeholder="Name (e.g. Parenting)"
+                className={`${inputClass} col-span-3`}
+              />
+              <input
+                type="text"
+                value={row.label}
+                onChange={(e) => updateRow(row.key, { label: e.target.value })}
+                placeholder="Display label"
+                className={`${inputClass} col-span-4`}
+              />
+              <input
+                type="color"
+                value={row.color}
+                onChange={(e) => updateRow(row.key, { color: e.target.value })}
+                className="col-span-1 h-full w-full bg-cyber-grey border border-neon-blue/30 rounded-lg cursor-pointer"
+                aria-label="Color"
+              />
+              <div className="col-span-3 flex items-center justify-end gap-2">
+                {row.originalName && row.originalName !== row.name.trim() && (
+                  <span className="text-xs text-yellow-400/80">was {row.originalName}</span>
+                )}
+                <button
+                  onClick={() => handleRetire(row.key)}
+                  disabled={rows.length <= 1}
+                  className="p-2 text-cyber-muted hover:text-red-400 transition-all disabled:opacity-30"
+                  title="Retire this dimension"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            </div>
+            <div className="grid grid-cols-12 gap-2">
+              <input
+                type="text"
+                value={row.description}
+                onChange={(e) => updateRow(row.key, { description: e.target.value })}
+                placeholder="Description for the AI"
+                className={`${inputClass} col-span-4`}
+              />
+              <input
+                type="text"
+                value={row.keywordText}
+                onChange={(e) => updateRow(row.key, { keywordText: e.target.value })}
+                placeholder="Keywords, comma separated"
+                className={`${inputClass} col-span-4`}
+              />
+              <label className="col-span-2 flex items-center gap-1 text-xs text-cyber-muted">
+                X
+                <input
+                  type="number"
+                  step="50"
+                  value={row.gravityX}
+                  onChange={(e) => updateRow(row.key, { gravityX: e.target.value })}
+                  className={inputClass}
+                  title="Mind Map anchor (left/right)"
+                />
+              </label>
+              <label className="col-span-2 flex items-center gap-1 text-xs text-cyber-muted">
+                Y
+                <input
+                  type="number"
+                  step="50"
+                  value={row.gravityY}
+                  onChange={(e) => updateRow(row.key, { gravityY: e.target.value })}
+                  className={inputClass}
+                  title="Mind Map anchor (up/down)"
+                />
+              </label>
+            </div>
+            <input
+              type="text"
+              value={row.subdimensionText}
+              onChange={(e) => updateRow(row.key, { subdimensionText: e.target.value })}
+              placeholder="Sub-dimensions (optional), e.g. Coding: rust, python; Finance: stocks"
+              className={`${inputClass} mt-2`}
+            />
+          </div>
+        ))}
+      </div>
+
+      {error && (
+        <p className="mb-4 text-sm text-red-400">{error}</p>
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          onClick={handleAdd}
+          disabled={rows.length >= MAX_DIMENSIONS}
+          className="flex items-center gap-2 px-4 py-2 bg-cyber-dark border border-neon-blue/30 text-neon-blue text-sm rounded-lg hover:bg-neon-blue/10 transition-all disabled:opacity-50"
+        >
+          <Plus size={16} />
+          Add Dimension
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center gap-2 px-4 py-2 bg-white text-gray-900 font-semibold rounded-lg hover:bg-gray-100 transition-all disabled:opacity-50"
+        >
+          {saved ? <CheckCircle size={18} /> : <Save size={18} />}
+          {saved ? 'Saved' : 'Save Dimensions'}
+        </button>
+        {isCustom && (
+          <button
+            onClick={handleReset}
+            disabled={saving}
+            className="flex items-center gap-2 px-4 py-2 bg-cyber-dark border border-gray-700 text-cyber-muted text-sm rounded-lg hover:border-neon-blue/50 transition-all disabled:opacity-50"
+          >
+            <RotateCcw size={16} />
+            Reset to Built-in
+          </button>
+        )}
+      </div>
+
+      <p className="mt-3 text-xs text-cyber-muted">
+        Renaming keeps your tagged data; retiring a dimension shows its tags as Unassigned.
+        Changes apply to new AI categorizations — cached answers for the old set are not reused.
+      </p>
+    </div>
+  );
+}
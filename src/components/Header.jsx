@@ -1,6 +1,6 @@
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Brain, TrendingUp, Settings, LogOut, ArrowLeft } from 'lucide-react';
+import { Brain, LayoutDashboard, PenLine, TrendingUp, Settings, LogOut, ArrowLeft, ClipboardCheck } from 'lucide-react';
 
 export default function Header() {
   const navigate = useNavigate();
@@ -55,7 +55,7 @@ export default function Header() {
                 <button
                   onClick={() => navigate('/app')}
                   className={`px-5 py-2.5 font-semibold rounded-lg transition-all flex items-center gap-2 ${
-                    isActive('/app') && !isActive('/app/analytics') && !isActive('/app/settings')
+                    location.pathname === '/app' || location.pathname === '/app/'
                       ? 'bg-white text-gray-900 shadow-lg'
                       : 'bg-cyber-grey text-cyber-text hover:bg-white hover:text-gray-900 border border-gray-700'
                   }`}
@@ -63,6 +63,28 @@ export default function Header() {
                   <Brain size={18} />
                   Mind Map
                 </button>
+                <button
+                  onClick={() => navigate('/app/dashboard')}
+                  className={`px-5 py-2.5 font-semibold rounded-lg transition-all flex items-center gap-2 ${
+                    isActive('/app/dashboard')
+                      ? 'bg-white text-gray-900 shadow-lg'
+                      : 'bg-cyber-grey text-cyber-text hover:bg-white hover:text-gray-900 border border-gray-700'
+                  }`}
+                >
+                  <LayoutDashboard size={18} />
+                  Dashboard
+                </button>
+                <button
+                  onClick={() => navigate('/app/daily-log')}
+                  className={`px-5 py-2.5 font-semibold rounded-lg transition-all flex items-center gap-2 ${
+                    isActive('/app/daily-log')
+                      ? 'bg-white text-gray-900 shadow-lg'
+                      : 'bg-cyber-grey text-cyber-text hover:bg-white hover:text-gray-900 border border-gray-700'
+                  }`}
+                >
+                  <PenLine size={18} />
+                  Daily Log
+                </button>
                 <button
                   onClick={() => navigate('/app/analytics')}
                   className={`px-5 py-2.5 font-semibold rounded-lg transition-all flex items-center gap-2 ${
@@ -74,6 +96,17 @@ export default function Header() {
                   <TrendingUp size={18} />
                   Analytics
                 </button>
+                <button
+                  onClick={() => navigate('/app/review')}
+                  className={`px-5 py-2.5 font-semibold rounded-lg transition-all flex items-center gap-2 ${
+                    isActive('/app/review')
+                      ? 'bg-white text-gray-900 shadow-lg'
+                      : 'bg-cyber-grey text-cyber-text hover:bg-white hover:text-gray-900 border border-gray-700'
+                  }`}
+                >
+                  <ClipboardCheck size={18} />
+                  Review
+                </button>
                 <button
                   onClick={() => navigate('/app/settings')}
                   className={`px-5 py-2.5 font-semibold rounded-lg transition-all flex items-center gap-2 ${
@@ -0,0 +1,127 @@
+import { Pause, Play, XCircle, CheckCircle, AlertCircle, Loader } from 'lucide-react';
+
+const CHUNK_COLORS = {
+  pending: 'bg-cyber-dark border-gray-700',
+  processing: 'bg-neon-purple/60 border-neon-purple animate-pulse',
+  done: 'bg-neon-green/60 border-neon-green/80',
+  error: 'bg-red-500/60 border-red-500',
+};
+
+const STATUS_LABELS = {
+  pending: 'Queued',
+  running: 'Importing',
+  pausing: 'Pausing after current chunk...',
+  paused: 'Paused',
+  cancelling: 'Cancelling after current chunk...',
+  cancelled: 'Cancelled',
+  completed: 'Completed',
+};
+
+export default function ImportJobPanel({ job, onPause, onResume, onCancel }) {
+  if (!job) return null;
+
+  const percentage = job.totalVideos > 0
+    ? Math.round((job.processedVideos / job.totalVideos) * 100)
+    : 0;
+  const doneChunks = job.chunks.filter(chunk => chunk.status === 'done').length;
+  const activeChunk = job.chunks.find(chunk => chunk.status === 'processing');
+  const isActive = ['pending', 'running', 'pausing', 'cancelling'].includes(job.status);
+  const canResume = job.status === 'paused';
+  const isFinished = ['completed', 'cancelled'].includes(job.status);
+
+  const statsMessage = Object.entries(job.categoryCounts || {})
+    .filter(([, count]) => count > 0)
+    .map(([category, count]) => `${category}: ${count}`)
+    .join(' • ');
+
+  return (
+    <div className="mt-4 p-4 bg-cyber-dark border border-neon-purple/30 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          {job.status === 'completed' && <CheckCircle className="text-green-400" size={20} />}
+          {job.status === 'running' && <Loader className="text-neon-purple animate-spin" size={20} />}
+          {job.error && !isActive && <AlertCircle className="text-yellow-400" size={20} />}
+          <div>
+            <p className="text-cyber-text font-semibold">
+              {STATUS_LABELS[job.status] || job.status}: {job.fileName}
+            </p>
+            <p className="text-xs text-cyber-muted">
+              {job.processedVideos} / {job.totalVideos} videos • {doneChunks} / {job.chunks.length} chunks
+            </p>
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          {job.status === 'running' && (
+            <button
+              onClick={() => onPause(job.id)}
+              className="flex items-center gap-1 px-3 py-1.5 bg-cyber-grey border border-yellow-500/30 text-yellow-400 text-sm rounded-lg hover:bg-yellow-500/10 transition-all"
+            >
+              <Pause size={14} />
+              Pause
+            </button>
+          )}
+          {canResume && (
+            <button
+              onClick={() => onResume(job.id)}
+              className="flex items-center gap-1 px-3 py-1.5 bg-cyber-grey border border-neon-green/30 text-neon-green text-sm rounded-lg hover:bg-neon-green/10 transition-all"
+            >
+              <Play size={14} />
+              Resume
+            </button>
+          )}
+          {!isFinished && (
+            <button
+              onClick={() => onCancel(job.id)}
+              className="flex items-center gap-1 px-3 py-1.5 bg-cyber-grey border border-red-500/30 text-red-400 text-sm rounded-lg hover:bg-red-500/10 transition-all"
+            >
+              <XCircle size={14} />
+              Cancel
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Overall progress */}
+      <div className="flex justify-between text-xs text-cyber-muted mb-1">
+        <span>
+          {activeChunk?.progress
+            ? `Chunk ${activeChunk.index + 1}: ${activeChunk.progress.current}/${activeChunk.progress.total} videos categorized`
+            : 'Overall progress'}
+        </span>
+        <span>{percentage}%</span>
+      </div>
+      <div className="w-full h-2 bg-cyber-grey rounded-full overflow-hidden mb-3">
+        <div
+          className="h-full bg-gradient-to-r from-neon-blue via-neon-purple to-neon-green transition-all duration-300"
+          style={{ width: `${percentage}%` }}
+        ></div>
+      </div>
+
+      {/* Per-chunk status */}
+      <div className="flex flex-wrap gap-1 max-h-32 overflow-y-auto">
+        {job.chunks.map(chunk => (
+          <div
+            key={chunk.index}
+            className={`w-3 h-3 rounded-sm border ${CHUNK_COLORS[chunk.status]}`}
+            title={`Chunk ${chunk.index + 1} (videos ${chunk.start + 1}-${chunk.end}): ${chunk.status}${chunk.error ? ` — ${chunk.error}` : ''}`}
+          ></div>
+        ))}
+      </div>
+
+      {job.error && (
+        <p className="mt-3 text-xs text-yellow-400/90">{job.error}</p>
+      )}
+
+      {statsMessage && (
+        <p className="mt-2 text-xs text-cyber-muted">{statsMessage}</p>
+      )}
+
+      {job.status === 'completed' && (
+        <p className="mt-2 text-xs text-green-400/80">
+          Go to Mind Map or Analytics to see your categorized galaxy!
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Brain, RefreshCw } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  CLASSIFIER_MODES,
+  getClassifierSettings,
+  saveClassifierSettings,
+  evaluateClassifier
+} from '../services/correctionClassifierService';
+
+const SOURCE_LABELS = {
+  daily_log: 'Daily Log choices',
+  review: 'Review corrections',
+};
+
+export default function LocalClassifierSettings() {
+  const { user } = useAuth();
+  const [settings, setSettings] = useState(getClassifierSettings);
+  const [evaluation, setEvaluation] = useState(null);
+
+  const loadEvaluation = useCallback(() => {
+    evaluateClassifier(user.uid)
+      .then(setEvaluation)
+      .catch(error => console.error('Error evaluating classifier:', error));
+  }, [user]);
+
+  useEffect(() => {
+    if (user) {
+      loadEvaluation();
+    }
+  }, [user, loadEvaluation]);
+
+  const updateSettings = (changes) => {
+    saveClassifierSettings(changes);
+    setSettings({ ...settings, ...changes });
+  };
+
+  return (
+    <div className="bg-cyber-grey border border-neon-purple/30 rounded-lg p-6 mb-6">
+      <div className="flex items-center gap-3 mb-4">
+        <Brain className="text-neon-purple" size={28} />
+        <div>
+          <h2 className="text-xl font-semibold text-cyber-text">Personal Classifier</h2>
+          <p className="text-cyber-muted text-sm">
+            Learns from your own corrections, right in this browser
+          </p>
+        </div>
+      </div>
+
+      {evaluation && (
+        <div className="grid grid-cols-3 gap-3 mb-4">
+          <div className="p-3 bg-cyber-dark rounded-lg">
+            <p className="text-2xl font-bold text-neon-purple">{evaluation.examples}</p>
+            <p className="text-xs text-cyber-muted">
+              {Object.entries(evaluation.bySource)
+                .map(([source, count]) => `${count} ${SOURCE_LABELS[source] || source}`)
+                .join(' • ') || 'Training examples'}
+            </p>
+          </div>
+          <div className="p-3 bg-cyber-dark rounded-lg">
+            <p className="text-2xl font-bold text-neon-green">
+              {evaluation.accuracy === null ? '—' : `${Math.round(evaluation.accuracy * 100)}%`}
+            </p>
+            <p className="text-xs text-cyber-muted">
+              {evaluation.tested > 0
+                ? `Accuracy on ${evaluation.tested} held-out corrections (${evaluation.correct} right)`
+                : 'Accuracy (needs held-out corrections)'}
+            </p>
+          </div>
+          <div className="p-3 bg-cyber-dark rounded-lg">
+            <p className="text-2xl font-bold text-cyber-text">{evaluation.trusted ? 'Ready' : 'Learning'}</p>
+            <p className="text-xs text-cyber-muted">
+              {evaluation.trusted && 'Model trained on your corrections'}
+              {!evaluation.trusted && evaluation.trained &&
+                `Active once it knows ${evaluation.minClasses}+ dimensions and gets ${Math.round(evaluation.minAccuracy * 100)}% of held-out corrections right`}
+              {!evaluation.trained && `Active after ~${evaluation.minExamples} training examples`}
+            </p>
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-3 mb-4">
+        <label className="block">
+          <span className="text-xs text-cyber-muted">Use for new imports</span>
+          <select
+            value={settings.mode}
+            onChange={(e) => updateSettings({ mode: e.target.value })}
+            className="mt-1 w-full px-3 py-2 bg-cyber-dark border border-neon-purple/30 rounded-lg text-cyber-text text-sm focus:outline-none focus:border-neon-purple"
+          >
+            {Object.entries(CLASSIFIER_MODES).map(([mode, label]) => (
+              <option key={mode} value={mode}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        {settings.mode === 'assist' && (
+          <label className="block">
+            <span className="text-xs text-cyber-muted">
+              Skip the AI when the classifier is at least {Math.round(settings.minConfidence * 100)}% sure
+            </span>
+            <input
+              type="range"
+              min="0.5"
+              max="0.99"
+              step="0.01"
+              value={settings.minConfidence}
+              onChange={(e) => updateSettings({ minConfidence: Number(e.target.value) })}
+              className="mt-1 w-full accent-neon-purple"
+            />
+          </label>
+        )}
+      </div>
+
+      <button
+        onClick={loadEvaluation}
+        className="flex items-center gap-2 px-4 py-2 bg-cyber-dark border border-gray-700 text-cyber-muted text-sm rounded-lg hover:border-neon-purple/50 transition-all"
+      >
+        <RefreshCw size={16} />
+        Re-evaluate
+      </button>
+    </div>
+  );
+}
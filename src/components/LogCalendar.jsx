@@ -0,0 +1,84 @@
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { toDateKey } from '../services/dailyLogService';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Cells for a month grid starting on Monday (null = padding before the 1st)
+const getMonthCells = (year, month) => {
+  const firstWeekday = (new Date(year, month, 1).getDay() + 6) % 7;
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  return [
+    ...Array(firstWeekday).fill(null),
+    ...Array.from({ length: daysInMonth }, (_, i) => new Date(year, month, i + 1)),
+  ];
+};
+
+/**
+ * Month calendar of daily logs
+ * dayColors: { [YYYY-MM-DD]: color } for days with entries (dominant dimension)
+ */
+export default function LogCalendar({ year, month, dayColors, dayCounts, selectedDay, onSelectDay, onChangeMonth }) {
+  const todayKey = toDateKey(new Date());
+  const title = new Date(year, month, 1).toLocaleString('default', { month: 'long', year: 'numeric' });
+  const isCurrentMonth = year === new Date().getFullYear() && month === new Date().getMonth();
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <button
+          onClick={() => onChangeMonth(-1)}
+          className="p-2 text-cyber-muted hover:text-neon-blue transition-all"
+          title="Previous month"
+        >
+          <ChevronLeft size={18} />
+        </button>
+        <p className="font-semibold text-cyber-text">{title}</p>
+        <button
+          onClick={() => onChangeMonth(1)}
+          disabled={isCurrentMonth}
+          className="p-2 text-cyber-muted hover:text-neon-blue transition-all disabled:opacity-30"
+          title="Next month"
+        >
+          <ChevronRight size={18} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-7 gap-1 text-center">
+        {WEEKDAYS.map(day => (
+          <p key={day} className="text-xs text-cyber-muted pb-1">{day}</p>
+        ))}
+        {getMonthCells(year, month).map((date, index) => {
+          if (!date) {
+            return <div key={`pad-${index}`} />;
+          }
+
+          const key = toDateKey(date);
+          const color = dayColors[key];
+          const count = dayCounts[key] || 0;
+          const isSelected = key === selectedDay;
+
+          return (
+            <button
+              key={key}
+              onClick={() => onSelectDay(isSelected ? null : key)}
+              disabled={key > todayKey}
+              className={`relative h-10 rounded-lg text-sm transition-all disabled:opacity-30 ${
+                isSelected ? 'ring-2 ring-white' : 'hover:ring-1 hover:ring-neon-blue/50'
+              } ${key === todayKey ? 'font-bold' : ''}`}
+              style={{
+                backgroundColor: color ? `${color}55` : count > 0 ? '#9E9E9E33' : '#121212',
+                color: count > 0 ? '#FFFFFF' : '#9E9E9E',
+              }}
+              title={count > 0 ? `${count} ${count === 1 ? 'entry' : 'entries'}` : undefined}
+            >
+              {date.getDate()}
+              {count > 1 && (
+                <span className="absolute top-0.5 right-1 text-[10px] text-cyber-muted">{count}</span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
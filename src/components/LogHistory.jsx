@@ -0,0 +1,302 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { CalendarDays, Pencil, Trash2, Save, X, Undo2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  getLogsForMonth,
+  updateDailyLog,
+  deleteDailyLog,
+  toDateKey,
+  fromDateKey,
+} from '../services/dailyLogService';
+import { getDimensionColor, getDominantDimension, getTagDimension } from '../constants/dimensions';
+import LogCalendar from './LogCalendar';
+
+const UNDO_MS = 6000; // How long a deleted log can be brought back
+
+// "#coding gym, #reading" -> ['coding', 'gym', 'reading']
+const parseTags = (text) => [...new Set(
+  text.split(/[\s,]+/)
+    .map(tag => tag.replace(/^#/, '').toLowerCase().trim())
+    .filter(Boolean)
+)];
+
+/**
+ * Log browser: month calendar, the selected day's entries, edit and delete with undo
+ * refreshKey: bump to reload after a new log is saved; focusDate: month to show
+ */
+export default function LogHistory({ tagMappings, refreshKey, focusDate }) {
+  const { user } = useAuth();
+  const [year, setYear] = useState(() => (focusDate || new Date()).getFullYear());
+  const [month, setMonth] = useState(() => (focusDate || new Date()).getMonth());
+  const [logs, setLogs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, text, tagText, dateKey }
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [error, setError] = useState('');
+  const pendingRef = useRef(null); // { log, userId, timer } waiting out its undo window
+
+  // Show the month of a newly saved (possibly backdated) log
+  useEffect(() => {
+    if (focusDate) {
+      setYear(focusDate.getFullYear());
+      setMonth(focusDate.getMonth());
+    }
+  }, [focusDate]);
+
+  const loadMonth = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const monthLogs = await getLogsForMonth(user.uid, year, month);
+      setLogs(monthLogs);
+    } catch (err) {
+      console.error('Error loading logs:', err);
+      setError('Failed to load your logs');
+    } finally {
+      setLoading(false);
+    }
+  }, [user, year, month]);
+
+  useEffect(() => {
+    if (user) {
+      loadMonth();
+    }
+  }, [user, loadMonth, refreshKey]);
+
+  // Finish the delete pending at the time the page is left (read from the ref
+  // then, not at mount, with the uid it was started under)
+  useEffect(() => {
+    const pendingStore = pendingRef;
+    return () => {
+      const pending = pendingStore.current;
+      if (pending) {
+        clearTimeout(pending.timer);
+        pendingStore.current = null;
+        deleteDailyLog(pending.userId, pending.log.id).catch(err => console.error('Error deleting log:', err));
+      }
+    };
+  }, []);
+
+  const handleChangeMonth = (delta) => {
+    const next = new Date(year, month + delta, 1);
+    setYear(next.getFullYear());
+    setMonth(next.getMonth());
+    setSelectedDay(null);
+    setEditing(null);
+  };
+
+  // A log waiting out its undo window is hidden
+  const visibleLogs = logs.filter(log => log.id !== pendingDelete?.log.id);
+
+  const dayCounts = {};
+  const dayTags = {};
+  visibleLogs.forEach(log => {
+    const key = toDateKey(log.date);
+    dayCounts[key] = (dayCounts[key] || 0) + 1;
+    dayTags[key] = [...(dayTags[key] || []), ...(log.tags || [])];
+  });
+
+  const dayColors = {};
+  Object.entries(dayTags).forEach(([key, tags]) => {
+    const dominant = getDominantDimension(tags, tagMappings);
+    if (dominant) {
+      dayColors[key] = getDimensionColor(dominant);
+    }
+  });
+
+  const shownLogs = selectedDay
+    ? visibleLogs.filter(log => toDateKey(log.date) === selectedDay)
+    : visibleLogs;
+
+  const startEditing = (log) => {
+    setEditing({
+      id: log.id,
+      text: log.text_entry || '',
+      tagText: (log.tags || []).map(tag => `#${tag}`).join(' '),
+      dateKey: toDateKey(log.date),
+    });
+  };
+
+  const handleSaveEdit = async () => {
+    const log = logs.find(l => l.id === editing.id);
+    const tags = parseTags(editing.tagText);
+    const date = editing.dateKey === toDateKey(log.date) ? log.date : fromDateKey(editing.dateKey);
+
+    setError('');
+    try {
+      await updateDailyLog(user.uid, log.id, { text_entry: editing.text, tags, date });
+      setEditing(null);
+      // Reload: a new date may move the log to another day or month
+      await loadMonth();
+    } catch (err) {
+      console.error('Error updating log:', err);
+      setError(`Failed to save: ${err.message || 'Unknown error'}`);
+    }
+  };
+
+  const commitDelete = async (pending) => {
+    try {
+      await deleteDailyLog(pending.userId, pending.log.id);
+      setLogs(current => current.filter(l => l.id !== pending.log.id));
+    } catch (err) {
+      console.error('Error deleting log:', err);
+      setError('Failed to delete the log');
+    } finally {
+      if (pendingRef.current === pending) {
+        pendingRef.current = null;
+        setPendingDelete(null);
+      }
+    }
+  };
+
+  // Delete after the undo window; a second delete finishes the first one now
+  const handleDelete = (log) => {
+    if (pendingRef.current) {
+      clearTimeout(pendingRef.current.timer);
+      commitDelete(pendingRef.current);
+    }
+
+    const pending = { log, userId: user.uid };
+    pending.timer = setTimeout(() => commitDelete(pending), UNDO_MS);
+    pendingRef.current = pending;
+    setPendingDelete(pending);
+    setEditing(null);
+  };
+
+  const handleUndo = () => {
+    clearTimeout(pendingRef.current.timer);
+    pendingRef.current = null;
+    setPendingDelete(null);
+  };
+
+  return (
+    <div className="bg-cyber-grey border border-neon-blue/30 rounded-lg p-6 mb-6 shadow-xl shadow-neon-blue/10">
+      <div className="flex items-center gap-2 mb-4">
+        <CalendarDays className="text-neon-blue" size={20} />
+        <h2 className="text-xl font-semibold text-cyber-text">Your Logs</h2>
+        {loading && (
+          <div className="w-4 h-4 border-2 border-neon-blue border-t-transparent rounded-full animate-spin" />
+        )}
+      </div>
+
+      <LogCalendar
+        year={year}
+        month={month}
+        dayColors={dayColors}
+        dayCounts={dayCounts}
+        selectedDay={selectedDay}
+        onSelectDay={setSelectedDay}
+        onChangeMonth={handleChangeMonth}
+      />
+
+      {pendingDelete && (
+        <div className="mt-4 p-3 bg-cyber-dark border border-yellow-500/30 rounded-lg flex items-center justify-between">
+          <p className="text-sm text-yellow-400">Log deleted</p>
+          <button
+            onClick={handleUndo}
+            className="flex items-center gap-1 px-3 py-1 text-sm text-yellow-400 hover:bg-yellow-500/10 rounded-lg transition-all"
+          >
+            <Undo2 size={14} />
+            Undo
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <p className="mt-4 text-sm text-red-400">{error}</p>
+      )}
+
+      <div className="mt-4 space-y-3">
+        {shownLogs.length === 0 && !loading && (
+          <p className="text-sm text-cyber-muted text-center py-4">
+            {selectedDay ? 'No entries on this day.' : 'No entries this month.'}
+          </p>
+        )}
+
+        {shownLogs.map(log => (
+          <div key={log.id} className="p-4 bg-cyber-dark rounded-lg border border-gray-700">
+            {editing?.id === log.id ? (
+              <div className="space-y-2">
+                <input
+                  type="date"
+                  value={editing.dateKey}
+                  max={toDateKey(new Date())}
+                  onChange={(e) => setEditing({ ...editing, dateKey: e.target.value })}
+                  className="px-3 py-2 bg-cyber-grey border border-neon-blue/30 rounded-lg text-cyber-text text-sm focus:outline-none focus:border-neon-blue"
+                />
+                <textarea
+                  value={editing.text}
+                  onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                  className="w-full h-28 px-3 py-2 bg-cyber-grey border border-neon-purple/30 rounded-lg text-cyber-text text-sm focus:outline-none focus:border-neon-purple resize-none"
+                />
+                <input
+                  type="text"
+                  value={editing.tagText}
+                  onChange={(e) => setEditing({ ...editing, tagText: e.target.value })}
+                  placeholder="#coding #gym"
+                  className="w-full px-3 py-2 bg-cyber-grey border border-neon-green/30 rounded-lg text-neon-green font-mono text-sm focus:outline-none focus:border-neon-green"
+                />
+                <div className="flex gap-2">
+                  <button
+                    onClick={handleSaveEdit}
+                    disabled={!editing.text.trim() || !editing.dateKey}
+                    className="flex items-center gap-1 px-4 py-2 bg-white text-gray-900 text-sm font-semibold rounded-lg hover:bg-gray-100 transition-all disabled:opacity-50"
+                  >
+                    <Save size={14} />
+                    Save
+                  </button>
+                  <button
+                    onClick={() => setEditing(null)}
+                    className="flex items-center gap-1 px-4 py-2 text-sm text-cyber-muted hover:text-cyber-text transition-all"
+                  >
+                    <X size={14} />
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <>
+                <div className="flex items-start justify-between gap-3 mb-2">
+                  <p className="text-xs text-cyber-muted">
+                    {log.date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}
+                  </p>
+                  <div className="flex gap-1">
+                    <button
+                      onClick={() => startEditing(log)}
+                      className="p-1 text-cyber-muted hover:text-neon-blue transition-all"
+                      title="Edit"
+                    >
+                      <Pencil size={14} />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(log)}
+                      className="p-1 text-cyber-muted hover:text-red-400 transition-all"
+                      title="Delete"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </div>
+                <p className="text-sm text-cyber-text whitespace-pre-wrap">{log.text_entry}</p>
+                {log.tags?.length > 0 && (
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    {log.tags.map(tag => (
+                      <span
+                        key={tag}
+                        className="text-xs font-mono"
+                        style={{ color: getDimensionColor(getTagDimension(tag, tagMappings)) }}
+                      >
+                        #{tag}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
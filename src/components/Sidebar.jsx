@@ -1,6 +1,8 @@
 import { NavLink } from 'react-router-dom';
 import { 
   Brain,
+  LayoutDashboard,
+  PenLine,
   TrendingUp,
   Settings,
   LogOut
@@ -12,6 +14,8 @@ export default function Sidebar() {
 
   const navItems = [
     { path: '/app', icon: Brain, label: 'Mind Map' },
+    { path: '/app/dashboard', icon: LayoutDashboard, label: 'Dashboard' },
+    { path: '/app/daily-log', icon: PenLine, label: 'Daily Log' },
     { path: '/app/analytics', icon: TrendingUp, label: 'Analytics' },
     { path: '/app/settings', icon: Settings, label: 'Settings' },
   ];
@@ -49,6 +53,7 @@ export default function Sidebar() {
             <li key={path}>
               <NavLink
                 to={path}
+                end={path === '/app'}
                 className={({ isActive }) =>
                   `flex items-center gap-3 px-4 py-3 rounded-lg transition-all duration-200 ${
                     isActive
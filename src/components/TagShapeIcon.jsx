@@ -0,0 +1,16 @@
+import { getShapePoints } from '../constants/tagTypes';
+
+// A tag type's shape as a small inline SVG (legends and pickers)
+export default function TagShapeIcon({ shape, color, size = 14 }) {
+  const points = getShapePoints(shape);
+
+  return (
+    <svg width={size} height={size} viewBox="-1.1 -1.1 2.2 2.2" className="shrink-0">
+      {points ? (
+        <polygon points={points.map(([x, y]) => `${x},${y}`).join(' ')} fill={color} />
+      ) : (
+        <circle r="1" fill={color} />
+      )}
+    </svg>
+  );
+}
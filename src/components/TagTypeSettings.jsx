@@ -0,0 +1,169 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Shapes, Plus, Trash2, Save, CheckCircle } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { TAG_TYPE_CONFIG, TAG_SHAPES, MAX_CUSTOM_TAG_TYPES } from '../constants/tagTypes';
+import { loadUserTagTypes, saveUserTagTypes, getTagsOfRemovedTypes } from '../services/tagTypeService';
+import TagShapeIcon from './TagShapeIcon';
+
+const inputClass = 'px-3 py-2 bg-cyber-grey border border-neon-blue/30 rounded-lg text-cyber-text text-sm focus:outline-none focus:border-neon-blue';
+
+// Editable row with a stable key
+const toRow = (type, index) => ({ ...type, key: `${type.name}-${index}` });
+
+export default function TagTypeSettings() {
+  const { user } = useAuth();
+  const [rows, setRows] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadTypes = useCallback(async () => {
+    try {
+      const types = await loadUserTagTypes(user.uid);
+      setRows(types.map(toRow));
+    } catch {
+      setError('Failed to load your tag types');
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (user) {
+      loadTypes();
+    }
+  }, [user, loadTypes]);
+
+  const updateRow = (key, changes) => {
+    setRows(rows.map(row => (row.key === key ? { ...row, ...changes } : row)));
+    setSaved(false);
+  };
+
+  const handleAdd = () => {
+    setRows([...rows, { key: `new-${Date.now()}`, name: '', shape: 'hexagon', color: '#FF8C00', description: '' }]);
+    setSaved(false);
+  };
+
+  const handleRemove = (key) => {
+    setRows(rows.filter(row => row.key !== key));
+    setSaved(false);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const orphaned = Object.entries(await getTagsOfRemovedTypes(user.uid, rows));
+      if (orphaned.length > 0) {
+        const summary = orphaned
+          .map(([type, tags]) => `${type}: ${tags.length} tag${tags.length === 1 ? '' : 's'} (${tags.slice(0, 3).join(', ')}${tags.length > 3 ? ', …' : ''})`)
+          .join('\n');
+        if (!window.confirm(`These tags use a type you deleted or renamed and will show as Concepts:\n${summary}\n\nSave anyway?`)) {
+          return;
+        }
+      }
+
+      const types = await saveUserTagTypes(user.uid, rows);
+      setRows(types.map(toRow));
+      setSaved(true);
+      setTimeout(() => setSaved(false), 3000);
+    } catch (err) {
+      setError(err.message || 'Failed to save tag types');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-cyber-grey border border-yellow-500/30 rounded-lg p-6 mb-6">
+      <div className="flex items-center gap-3 mb-4">
+        <Shapes className="text-yellow-500" size={28} />
+        <div>
+          <h2 className="text-xl font-semibold text-cyber-text">Tag Types</h2>
+          <p className="text-cyber-muted text-sm">
+            What kind of thing a tag is — each type has its own shape in the Mind Map
+          </p>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-3 mb-4">
+        {Object.entries(TAG_TYPE_CONFIG).map(([name, config]) => (
+          <span key={name} className="flex items-center gap-2 px-3 py-1 bg-cyber-dark rounded-lg text-sm text-cyber-muted" title={config.description}>
+            <TagShapeIcon shape={config.shape} color={config.color} />
+            {name}
+          </span>
+        ))}
+      </div>
+
+      <div className="space-y-2 mb-4">
+        {rows.map(row => (
+          <div key={row.key} className="flex items-center gap-2">
+            <TagShapeIcon shape={row.shape} color={row.color} size={18} />
+            <input
+              type="text"
+              value={row.name}
+              onChange={(e) => updateRow(row.key, { name: e.target.value })}
+              placeholder="Name (e.g. Place)"
+              className={`${inputClass} w-40`}
+            />
+            <select
+              value={row.shape}
+              onChange={(e) => updateRow(row.key, { shape: e.target.value })}
+              className={inputClass}
+            >
+              {TAG_SHAPES.map(shape => (
+                <option key={shape} value={shape}>{shape}</option>
+              ))}
+            </select>
+            <input
+              type="color"
+              value={row.color}
+              onChange={(e) => updateRow(row.key, { color: e.target.value })}
+              className="h-9 w-12 bg-cyber-grey border border-neon-blue/30 rounded-lg cursor-pointer"
+              aria-label="Color"
+            />
+            <input
+              type="text"
+              value={row.description}
+              onChange={(e) => updateRow(row.key, { description: e.target.value })}
+              placeholder="Description"
+              className={`${inputClass} flex-1`}
+            />
+            <button
+              onClick={() => handleRemove(row.key)}
+              className="p-2 text-cyber-muted hover:text-red-400 transition-all"
+              title="Delete this type"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {error && (
+        <p className="mb-4 text-sm text-red-400">{error}</p>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          onClick={handleAdd}
+          disabled={rows.length >= MAX_CUSTOM_TAG_TYPES}
+          className="flex items-center gap-2 px-4 py-2 bg-cyber-dark border border-yellow-500/30 text-yellow-500 text-sm rounded-lg hover:bg-yellow-500/10 transition-all disabled:opacity-50"
+        >
+          <Plus size={16} />
+          Add Type
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center gap-2 px-4 py-2 bg-white text-gray-900 font-semibold rounded-lg hover:bg-gray-100 transition-all disabled:opacity-50"
+        >
+          {saved ? <CheckCircle size={18} /> : <Save size={18} />}
+          {saved ? 'Saved' : 'Save Tag Types'}
+        </button>
+      </div>
+
+      <p className="mt-3 text-xs text-cyber-muted">
+        Tags whose type you delete are shown as Concepts.
+      </p>
+    </div>
+  );
+}
@@ -1,33 +1,17 @@
 import { RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar, ResponsiveContainer, Tooltip } from 'recharts';
+import { getDimensionNames } from '../constants/dimensions';
 
 export default function TrajectoryRadar({ trajectoryData }) {
   if (!trajectoryData || !trajectoryData.hasData) {
     return null;
   }
 
-  // Format data for radar chart
-  const chartData = [
-    {
-      dimension: 'Career',
-      score: trajectoryData.percentages.Career || 0,
-      fullMark: 100,
-    },
-    {
-      dimension: 'Spiritual',
-      score: trajectoryData.percentages.Spiritual || 0,
-      fullMark: 100,
-    },
-    {
-      dimension: 'Physical',
-      score: trajectoryData.percentages.Physical || 0,
-      fullMark: 100,
-    },
-    {
-      dimension: 'Social',
-      score: trajectoryData.percentages.Social || 0,
-      fullMark: 100,
-    },
-  ];
+  // Format data for radar chart (one axis per registry dimension)
+  const chartData = getDimensionNames().map(dimension => ({
+    dimension,
+    score: trajectoryData.percentages[dimension] || 0,
+    fullMark: 100,
+  }));
 
   // Custom tooltip
   const CustomTooltip = ({ active, payload }) => {
@@ -0,0 +1,28 @@
+/**
+ * Date Window Constants
+ * Time ranges the Analytics and Mind Map pages can load
+ */
+
+export const DATE_WINDOWS = {
+  '30d': { label: 'Last 30 days', days: 30 },
+  '90d': { label: 'Last 90 days', days: 90 },
+  '1y': { label: 'Last year', days: 365 },
+  all: { label: 'All time', days: null },
+};
+
+/**
+ * Get the date range for a window
+ * @param {string} windowId - Key of DATE_WINDOWS
+ * @returns {{startDate: Date|null, endDate: Date|null}} - null bounds are open
+ */
+export const getDateWindowRange = (windowId) => {
+  const days = DATE_WINDOWS[windowId]?.days;
+  if (!days) {
+    return { startDate: null, endDate: null };
+  }
+
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+  startDate.setHours(0, 0, 0, 0);
+  return { startDate, endDate: null };
+};
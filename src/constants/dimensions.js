@@ -1,4 +1,7 @@
 // Life Dimensions - Core categories for AI tag organization
+// Every engine, chart and prompt reads dimensions through the getters below,
+// which serve the active registry: the built-in DIMENSION_CONFIG, or the
+// signed-in user's own dimensions once setActiveDimensions has run.
 export const DIMENSIONS = {
   CAREER: 'Career',
   SPIRITUAL: 'Spiritual',
@@ -17,17 +20,19 @@ export const LIFE_DIMENSIONS = {
   SOCIAL: 'Social',
 };
 
-// Array format for easy iteration
-export const LIFE_DIMENSIONS_LIST = [
-  DIMENSIONS.CAREER,
-  DIMENSIONS.SPIRITUAL,
-  DIMENSIONS.HEALTH,
-  DIMENSIONS.SOCIAL,
-  DIMENSIONS.INTELLECTUAL,
-  DIMENSIONS.ENTERTAINMENT,
-];
+// Old dimension names that may still be stored in logs, mappings and videos
+// Applied whenever saved data is read, so old and new data score together
+export const DIMENSION_ALIASES = {
+  Physical: DIMENSIONS.HEALTH,
+  Body: DIMENSIONS.HEALTH,
+  Mind: DIMENSIONS.SPIRITUAL,
+  Wealth: DIMENSIONS.CAREER,
+  Relationships: DIMENSIONS.SOCIAL,
+  Learning: DIMENSIONS.INTELLECTUAL,
+  Noise: DIMENSIONS.ENTERTAINMENT,
+};
 
-// Dimension configuration with colors and descriptions for AI categorization
+// Built-in dimension configuration with colors and descriptions for AI categorization
 export const DIMENSION_CONFIG = {
   [DIMENSIONS.CAREER]: {
     name: 'Career/Wealth',
@@ -35,6 +40,12 @@ export const DIMENSION_CONFIG = {
     emoji: '💼',
     description: 'Coding, Finance, Business, Work',
     keywords: ['coding', 'finance', 'business', 'work', 'career', 'money', 'startup', 'tech', 'programming', 'job', 'entrepreneur'],
+    subdimensions: [
+      { name: 'Coding', keywords: ['coding', 'programming', 'code', 'software', 'developer', 'rust', 'python', 'javascript', 'tech'] },
+      { name: 'Finance', keywords: ['finance', 'money', 'stocks', 'stock', 'market', 'investing', 'crypto', 'trading', 'budget'] },
+      { name: 'Business', keywords: ['business', 'startup', 'entrepreneur', 'marketing', 'sales', 'founder'] },
+      { name: 'Work', keywords: ['work', 'job', 'career', 'meeting', 'project', 'interview', 'office'] }
+    ],
     gravityX: -400, // Top Left
     gravityY: -400
   },
@@ -44,6 +55,11 @@ export const DIMENSION_CONFIG = {
     emoji: '🧘',
     description: 'Meditation, Philosophy, Religion, Mindfulness',
     keywords: ['meditation', 'philosophy', 'religion', 'spiritual', 'mindfulness', 'consciousness', 'faith', 'prayer', 'reflection'],
+    subdimensions: [
+      { name: 'Meditation', keywords: ['meditation', 'mindfulness', 'breathing', 'reflection', 'journaling', 'gratitude'] },
+      { name: 'Philosophy', keywords: ['philosophy', 'stoicism', 'consciousness', 'ethics', 'meaning'] },
+      { name: 'Religion', keywords: ['religion', 'faith', 'prayer', 'church', 'bible', 'spiritual'] }
+    ],
     gravityX: 400, // Top Right
     gravityY: -400
   },
@@ -53,6 +69,12 @@ export const DIMENSION_CONFIG = {
     emoji: '💪',
     description: 'Gym, Diet, Sleep, Fitness',
     keywords: ['gym', 'diet', 'sleep', 'fitness', 'health', 'exercise', 'nutrition', 'workout', 'yoga', 'running', 'sports'],
+    subdimensions: [
+      { name: 'Fitness', keywords: ['gym', 'fitness', 'exercise', 'workout', 'running', 'yoga', 'strength'] },
+      { name: 'Nutrition', keywords: ['diet', 'nutrition', 'food', 'cooking', 'recipe', 'fasting'] },
+      { name: 'Sleep', keywords: ['sleep', 'rest', 'recovery', 'nap'] },
+      { name: 'Sports', keywords: ['sports', 'football', 'soccer', 'basketball', 'tennis', 'climbing'] }
+    ],
     gravityX: -400, // Bottom Left
     gravityY: 400
   },
@@ -62,6 +84,12 @@ export const DIMENSION_CONFIG = {
     emoji: '👥',
     description: 'Friends, Family, Dates, Community',
     keywords: ['friends', 'family', 'dating', 'social', 'relationships', 'community', 'people', 'networking', 'event'],
+    subdimensions: [
+      { name: 'Family', keywords: ['family', 'parents', 'kids', 'parenting', 'mom', 'dad'] },
+      { name: 'Friends', keywords: ['friends', 'friend', 'hangout', 'party'] },
+      { name: 'Dating', keywords: ['dating', 'date', 'relationship', 'relationships', 'partner'] },
+      { name: 'Community', keywords: ['community', 'networking', 'event', 'volunteer', 'people'] }
+    ],
     gravityX: 400, // Bottom Right
     gravityY: 400
   },
@@ -71,6 +99,12 @@ export const DIMENSION_CONFIG = {
     emoji: '📚',
     description: 'Books, History, Science, Education',
     keywords: ['books', 'history', 'science', 'learning', 'education', 'study', 'knowledge', 'research', 'reading', 'documentary'],
+    subdimensions: [
+      { name: 'Science', keywords: ['science', 'physics', 'biology', 'chemistry', 'space', 'research'] },
+      { name: 'History', keywords: ['history', 'historical', 'war', 'ancient', 'documentary'] },
+      { name: 'Books', keywords: ['books', 'book', 'reading', 'novel', 'literature'] },
+      { name: 'Education', keywords: ['education', 'learning', 'study', 'course', 'lecture', 'tutorial'] }
+    ],
     gravityX: 0, // Top Center
     gravityY: -500
   },
@@ -80,6 +114,12 @@ export const DIMENSION_CONFIG = {
     emoji: '🎮',
     description: 'Movies, Games, Memes, Fun',
     keywords: ['movies', 'games', 'memes', 'entertainment', 'fun', 'youtube', 'video', 'comedy', 'music', 'anime', 'series'],
+    subdimensions: [
+      { name: 'Gaming', keywords: ['games', 'game', 'gaming', 'gameplay', 'minecraft', 'speedrun'] },
+      { name: 'Movies & Series', keywords: ['movies', 'movie', 'film', 'series', 'trailer', 'anime', 'episode'] },
+      { name: 'Music', keywords: ['music', 'song', 'album', 'concert', 'lyrics', 'remix'] },
+      { name: 'Comedy', keywords: ['comedy', 'memes', 'meme', 'funny', 'standup', 'prank'] }
+    ],
     gravityX: 0, // Center (Neutral)
     gravityY: 0
   },
@@ -89,11 +129,15 @@ export const DIMENSION_CONFIG = {
     emoji: '❓',
     description: 'Uncategorized tags',
     keywords: [],
+    subdimensions: [],
     gravityX: 0,
     gravityY: 0
   }
 };
 
+// Array format for easy iteration (every built-in dimension except Unassigned)
+export const LIFE_DIMENSIONS_LIST = Object.keys(DIMENSION_CONFIG).filter(d => d !== DIMENSIONS.UNASSIGNED);
+
 // Predefined tags mapped to dimensions (legacy support)
 export const TAG_DIMENSION_MAP = {
   // Career
@@ -142,14 +186,108 @@ export const TAG_DIMENSION_MAP = {
   'history': DIMENSIONS.INTELLECTUAL,
 };
 
+// Most dimensions a user can define (the categorize functions accept up to 20)
+export const MAX_DIMENSIONS = 20;
+
+// Most sub-dimensions under one dimension
+export const MAX_SUBDIMENSIONS = 10;
+
+// Active registry: name -> config, always including Unassigned
+let activeConfig = DIMENSION_CONFIG;
+let activeAliases = DIMENSION_ALIASES;
+
+// Editable definition of a dimension, the shape users store
+// ({ name, label, color, emoji, description, keywords, subdimensions, gravityX, gravityY })
+const toDefinition = (name, config) => ({
+  name,
+  label: config.name,
+  color: config.color,
+  emoji: config.emoji,
+  description: config.description,
+  keywords: [...config.keywords],
+  subdimensions: config.subdimensions.map(sub => ({ name: sub.name, keywords: [...sub.keywords] })),
+  gravityX: config.gravityX,
+  gravityY: config.gravityY,
+});
+
+// Built-in dimensions as definitions (what a new user starts from)
+export const getDefaultDimensionDefinitions = () => {
+  return LIFE_DIMENSIONS_LIST.map(name => toDefinition(name, DIMENSION_CONFIG[name]));
+};
+
+// Replace the active registry with a user's definitions (null restores the built-ins)
+// aliases maps old names (from renames) to current ones, on top of DIMENSION_ALIASES
+export const setActiveDimensions = (definitions, aliases = {}) => {
+  activeAliases = { ...DIMENSION_ALIASES, ...aliases };
+
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    activeConfig = DIMENSION_CONFIG;
+    return;
+  }
+
+  activeConfig = {};
+  definitions.forEach(definition => {
+    activeConfig[definition.name] = {
+      name: definition.label || definition.name,
+      color: definition.color,
+      emoji: definition.emoji || '',
+      description: definition.description || '',
+      keywords: definition.keywords || [],
+      subdimensions: definition.subdimensions || [],
+      gravityX: Number(definition.gravityX) || 0,
+      gravityY: Number(definition.gravityY) || 0,
+    };
+  });
+  activeConfig[DIMENSIONS.UNASSIGNED] = DIMENSION_CONFIG[DIMENSIONS.UNASSIGNED];
+};
+
+// The active dimensions as definitions (for the editor)
+export const getDimensionDefinitions = () => {
+  return getDimensionNames().map(name => toDefinition(name, activeConfig[name]));
+};
+
+// Resolve a stored or AI-provided dimension name to its registry name
+// Accepts registry names, display names ("Health/Body") and aliases, in any case
+// Returns null for anything it doesn't recognise, including retired dimensions
+export const resolveDimension = (value) => {
+  if (typeof value !== 'string') return null;
+  const normalized = value.trim().toLowerCase();
+  if (!normalized) return null;
+
+  const match = Object.keys(activeConfig).find(d => (
+    d.toLowerCase() === normalized || activeConfig[d].name.toLowerCase() === normalized
+  ));
+  if (match) return match;
+
+  const alias = Object.keys(activeAliases).find(a => a.toLowerCase() === normalized);
+  return alias && activeConfig[activeAliases[alias]] ? activeAliases[alias] : null;
+};
+
+// Same as resolveDimension, but unknown names become Unassigned
+export const normalizeDimension = (value) => {
+  return resolveDimension(value) || DIMENSIONS.UNASSIGNED;
+};
+
 // Get dimension config by name
 export const getDimensionConfig = (dimension) => {
-  return DIMENSION_CONFIG[dimension] || DIMENSION_CONFIG[DIMENSIONS.UNASSIGNED];
+  return activeConfig[normalizeDimension(dimension)];
 };
 
 // Get all dimension names for API prompt (exclude UNASSIGNED)
 export const getDimensionNames = () => {
-  return Object.keys(DIMENSION_CONFIG).filter(d => d !== DIMENSIONS.UNASSIGNED);
+  return Object.keys(activeConfig).filter(d => d !== DIMENSIONS.UNASSIGNED);
+};
+
+// Where answers go when an item can't be placed:
+// Entertainment, or the last dimension if the user retired it
+export const getFallbackDimension = () => {
+  const names = getDimensionNames();
+  return names.includes(DIMENSIONS.ENTERTAINMENT) ? DIMENSIONS.ENTERTAINMENT : names[names.length - 1];
+};
+
+// Zeroed score for every dimension, in registry order
+export const createDimensionScores = () => {
+  return Object.fromEntries(getDimensionNames().map(d => [d, 0]));
 };
 
 // Get dimension color
@@ -158,29 +296,153 @@ export const getDimensionColor = (dimension) => {
   return config.color;
 };
 
+// Optional second level under a dimension (e.g. Career → Coding, Finance)
+export const getSubdimensions = (dimension) => {
+  return getDimensionConfig(dimension).subdimensions || [];
+};
+
+// Match a stored or AI-provided sub-dimension to one of the dimension's own
+// Returns null when the dimension has no such sub-dimension
+export const resolveSubdimension = (dimension, value) => {
+  if (typeof value !== 'string') return null;
+  const normalized = value.trim().toLowerCase();
+  const match = getSubdimensions(dimension).find(sub => sub.name.toLowerCase() === normalized);
+  return match ? match.name : null;
+};
+
+// Lighten or darken a #rrggbb color (amount -1..1)
+const shadeColor = (hex, amount) => {
+  const channels = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  const target = amount > 0 ? 255 : 0;
+  return `#${channels
+    .map(channel => Math.round(channel + (target - channel) * Math.abs(amount)).toString(16).padStart(2, '0'))
+    .join('')}`;
+};
+
+// Sub-dimensions are drawn in shades of their dimension's color
+// (anything that isn't one of its sub-dimensions gets the darkest shade)
+export const getSubdimensionColor = (dimension, subdimension) => {
+  const color = getDimensionColor(dimension);
+  const subdimensions = getSubdimensions(dimension);
+  const index = subdimensions.findIndex(sub => sub.name === subdimension);
+  if (index === -1) return shadeColor(color, -0.5);
+  return shadeColor(color, subdimensions.length > 1 ? 0.5 - (index / (subdimensions.length - 1)) * 0.7 : 0);
+};
+
+// Rule-based sub-dimension: the one whose name or keywords best match the text
+export const classifySubdimension = (dimension, text) => {
+  const words = (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  let best = null;
+  let bestScore = 0;
+
+  getSubdimensions(dimension).forEach(sub => {
+    const keywords = [sub.name.toLowerCase(), ...sub.keywords];
+    const score = words.filter(word => keywords.some(keyword => (
+      keyword === word || (keyword.length > 3 && word.startsWith(keyword))
+    ))).length;
+    if (score > bestScore) {
+      best = sub.name;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
+
+// Sub-dimension of an item: the stored/AI answer if valid, otherwise rules on its text
+export const assignSubdimension = (dimension, value, text) => {
+  return resolveSubdimension(dimension, value) || classifySubdimension(dimension, text);
+};
+
 // Helper function to get dimension from tag (legacy support)
 export const getDimensionFromTag = (tag) => {
   const normalizedTag = tag.toLowerCase().trim();
-  return TAG_DIMENSION_MAP[normalizedTag] || DIMENSIONS.UNASSIGNED;
+  return resolveDimension(TAG_DIMENSION_MAP[normalizedTag]) || DIMENSIONS.UNASSIGNED;
+};
+
+// Dimension of a tag: the user's mapping first, then the predefined map
+// Mappings are { dimension, category, ... } (or a plain name in very old data);
+// a manual dimension wins over an AI category
+export const getTagDimension = (tag, userMappings = {}) => {
+  const mapping = userMappings[tag.toLowerCase().trim()];
+  const candidates = typeof mapping === 'string' ? [mapping] : [mapping?.dimension, mapping?.category];
+
+  for (const candidate of candidates) {
+    const dimension = resolveDimension(candidate);
+    if (dimension && dimension !== DIMENSIONS.UNASSIGNED) {
+      return dimension;
+    }
+  }
+
+  return getDimensionFromTag(tag);
 };
 
 // Helper function to calculate dimension scores from tags
-export const calculateDimensionScores = (tags) => {
-  const scores = {
-    [DIMENSIONS.CAREER]: 0,
-    [DIMENSIONS.SPIRITUAL]: 0,
-    [DIMENSIONS.HEALTH]: 0,
-    [DIMENSIONS.SOCIAL]: 0,
-    [DIMENSIONS.INTELLECTUAL]: 0,
-    [DIMENSIONS.ENTERTAINMENT]: 0,
-  };
+export const calculateDimensionScores = (tags, userMappings = {}) => {
+  const scores = createDimensionScores();
 
   tags.forEach(tag => {
-    const dimension = getDimensionFromTag(tag);
-    if (dimension && dimension !== DIMENSIONS.UNASSIGNED) {
+    const dimension = getTagDimension(tag, userMappings);
+    if (dimension !== DIMENSIONS.UNASSIGNED) {
       scores[dimension]++;
     }
   });
 
   return scores;
 };
+
+// Dimension with the most tags (null when none are assigned; ties go to registry order)
+export const getDominantDimension = (tags, userMappings = {}) => {
+  const scores = calculateDimensionScores(tags, userMappings);
+  let dominant = null;
+  Object.entries(scores).forEach(([dimension, score]) => {
+    if (score > 0 && (!dominant || score > scores[dominant])) {
+      dominant = dimension;
+    }
+  });
+  return dominant;
+};
+
+// Share of each dimension in a list of { category, weight } (AI multi-label output)
+// Names are resolved and merged, Unassigned is dropped, weights sum to 1;
+// an empty result falls back to the given dimension
+export const toDimensionWeights = (categories, fallback = DIMENSIONS.UNASSIGNED) => {
+  const totals = {};
+  (Array.isArray(categories) ? categories : []).forEach(({ category, weight }) => {
+    const dimension = resolveDimension(category);
+    if (dimension && dimension !== DIMENSIONS.UNASSIGNED && weight > 0) {
+      totals[dimension] = (totals[dimension] || 0) + weight;
+    }
+  });
+
+  const sum = Object.values(totals).reduce((total, weight) => total + weight, 0);
+  if (sum === 0) {
+    return [{ category: normalizeDimension(fallback), weight: 1 }];
+  }
+  return Object.entries(totals).map(([category, weight]) => ({ category, weight: weight / sum }));
+};
+
+// Dimension shares of a tag: a manual dimension counts fully,
+// otherwise the AI's multi-label categories, otherwise getTagDimension
+export const getTagDimensionWeights = (tag, userMappings = {}) => {
+  const dimension = getTagDimension(tag, userMappings);
+  const mapping = userMappings[tag.toLowerCase().trim()];
+  if (!mapping || typeof mapping === 'string' || resolveDimension(mapping.dimension)) {
+    return [{ category: dimension, weight: 1 }];
+  }
+  return toDimensionWeights(mapping.categories, dimension);
+};
+
+// Point on the compass between the anchors (gravityX/gravityY) of some dimension shares
+export const getCompassAnchor = (weights) => {
+  let x = 0;
+  let y = 0;
+  let total = 0;
+  weights.forEach(({ category, weight }) => {
+    const config = getDimensionConfig(category);
+    x += config.gravityX * weight;
+    y += config.gravityY * weight;
+    total += weight;
+  });
+  return total > 0 ? { x: x / total, y: y / total } : { x: 0, y: 0 };
+};
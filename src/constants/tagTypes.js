@@ -38,11 +38,67 @@ export const TAG_TYPE_CONFIG = {
   },
 };
 
+/**
+ * Shapes a tag type can be drawn with
+ */
+export const TAG_SHAPES = ['circle', 'square', 'triangle', 'diamond', 'pentagon', 'hexagon', 'star'];
+
+export const MAX_CUSTOM_TAG_TYPES = 12;
+
+// Built-in types plus the user's own (see setActiveTagTypes)
+let activeConfig = TAG_TYPE_CONFIG;
+
+/**
+ * Regular polygon vertices on the unit circle, first vertex at the top
+ * @param {number} sides - Number of vertices
+ * @param {number} rotation - Extra rotation in radians
+ * @returns {Array<[number, number]>}
+ */
+const polygon = (sides, rotation = 0) => Array.from({ length: sides }, (_, i) => {
+  const angle = -Math.PI / 2 + rotation + (i * 2 * Math.PI) / sides;
+  return [Math.cos(angle), Math.sin(angle)];
+});
+
+const SHAPE_POINTS = {
+  square: polygon(4, Math.PI / 4),
+  triangle: polygon(3),
+  diamond: polygon(4),
+  pentagon: polygon(5),
+  hexagon: polygon(6),
+  star: polygon(10).map(([x, y], i) => (i % 2 ? [x * 0.45, y * 0.45] : [x, y])),
+};
+
+/**
+ * Outline of a shape around (0, 0) with radius 1, shared by the canvas and SVG legend
+ * @param {string} shape - One of TAG_SHAPES
+ * @returns {Array<[number, number]>|null} - Polygon vertices, or null for a circle
+ */
+export const getShapePoints = (shape) => SHAPE_POINTS[shape] || null;
+
+/**
+ * Use the user's own tag types alongside the built-in ones
+ * @param {Array<{name, shape, color, description}>|null} customTypes - null = built-ins only
+ */
+export const setActiveTagTypes = (customTypes) => {
+  activeConfig = { ...TAG_TYPE_CONFIG };
+  (customTypes || []).forEach(({ name, shape, color, description }) => {
+    if (!TAG_TYPE_CONFIG[name]) {
+      activeConfig[name] = { shape, color, description: description || '', custom: true };
+    }
+  });
+};
+
+/**
+ * Names of every active tag type (built-ins first)
+ * @returns {string[]}
+ */
+export const getTagTypeNames = () => Object.keys(activeConfig);
+
 /**
  * Get tag type configuration
  * @param {string} type - Tag type
  * @returns {Object} Configuration object
  */
 export const getTagTypeConfig = (type) => {
-  return TAG_TYPE_CONFIG[type] || TAG_TYPE_CONFIG[TAG_TYPES.CONCEPT];
+  return activeConfig[type] || TAG_TYPE_CONFIG[TAG_TYPES.CONCEPT];
 };
@@ -6,33 +6,56 @@ import {
   signOut as firebaseSignOut
 } from 'firebase/auth';
 import { auth } from '../firebase/config';
+import { migrateTagConnections } from '../services/tagConnectionService';
+import { migrateLegacyVideoKeys } from '../services/categorizedVideoService';
+import { isLocalBackend, LOCAL_DEMO_USER } from '../repositories';
 
 const AuthContext = createContext({});
 
 export const useAuth = () => useContext(AuthContext);
 
 export function AuthProvider({ children }) {
-  const [user, setUser] = useState(null);
-  const [loading, setLoading] = useState(true);
+  // The local storage backend runs offline as a built-in demo user
+  const [user, setUser] = useState(() => (isLocalBackend() ? LOCAL_DEMO_USER : null));
+  const [loading, setLoading] = useState(() => !isLocalBackend());
 
   useEffect(() => {
+    if (isLocalBackend()) return;
+
     const unsubscribe = onAuthStateChanged(auth, (user) => {
       setUser(user);
       setLoading(false);
+
+      if (user) {
+        // One-time migrations; run in the background
+        migrateTagConnections(user.uid).catch(() => {});
+        migrateLegacyVideoKeys(user.uid).catch(() => {});
+      }
     });
 
     return unsubscribe;
   }, []);
 
   const signIn = (email, password) => {
+    if (isLocalBackend()) {
+      setUser(LOCAL_DEMO_USER);
+      return Promise.resolve({ user: LOCAL_DEMO_USER });
+    }
     return signInWithEmailAndPassword(auth, email, password);
   };
 
   const signUp = (email, password) => {
+    if (isLocalBackend()) {
+      return signIn(email, password);
+    }
     return createUserWithEmailAndPassword(auth, email, password);
   };
 
   const signOut = () => {
+    if (isLocalBackend()) {
+      setUser(null);
+      return Promise.resolve();
+    }
     return firebaseSignOut(auth);
   };
 
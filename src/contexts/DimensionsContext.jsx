@@ -0,0 +1,67 @@
+import { useEffect, useState } from 'react';
+import { useAuth } from './AuthContext';
+import { DimensionsContext } from './useDimensions';
+import { getDimensionDefinitions, setActiveDimensions } from '../constants/dimensions';
+import { getUserDimensions, saveUserDimensions, resetUserDimensions } from '../services/dimensionService';
+
+export function DimensionsProvider({ children }) {
+  const { user } = useAuth();
+  const [dimensions, setDimensions] = useState(getDimensionDefinitions);
+  const [isCustom, setIsCustom] = useState(false);
+  const [loadedFor, setLoadedFor] = useState(null);
+
+  // Make the user's dimensions the active registry for every engine and chart
+  const apply = (customDimensions, aliases) => {
+    setActiveDimensions(customDimensions, aliases || {});
+    setDimensions(getDimensionDefinitions());
+    setIsCustom(Boolean(customDimensions));
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadDimensions = async () => {
+      let saved = { dimensions: null, aliases: {} };
+      if (user) {
+        try {
+          saved = await getUserDimensions(user.uid);
+        } catch {
+          // Fall back to the built-in dimensions
+        }
+      }
+      if (!cancelled) {
+        apply(saved.dimensions, saved.aliases);
+        setLoadedFor(user?.uid || 'signed-out');
+      }
+    };
+
+    loadDimensions();
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  const saveDimensions = async (definitions, renames = {}) => {
+    const saved = await saveUserDimensions(user.uid, definitions, renames);
+    apply(saved.dimensions, saved.aliases);
+    return saved;
+  };
+
+  const resetDimensions = async () => {
+    await resetUserDimensions(user.uid);
+    apply(null, {});
+  };
+
+  const value = {
+    dimensions,
+    isCustom,
+    saveDimensions,
+    resetDimensions,
+  };
+
+  return (
+    <DimensionsContext.Provider value={value}>
+      {loadedFor === (user?.uid || 'signed-out') && children}
+    </DimensionsContext.Provider>
+  );
+}
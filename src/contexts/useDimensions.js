@@ -0,0 +1,6 @@
+import { createContext, useContext } from 'react';
+
+// Kept apart from DimensionsProvider so that module only exports a component
+export const DimensionsContext = createContext({});
+
+export const useDimensions = () => useContext(DimensionsContext);
@@ -1,15 +1,20 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { getCategorizedVideos } from '../services/categorizedVideoService';
 import { 
   calculateCategoryTrends, 
   calculateCategoryTotals, 
+  calculateSubcategoryTrends,
+  calculateSubcategoryTotals,
+  OTHER_SUBCATEGORY,
   getDominantArchetype,
   calculateSummaryStats 
 } from '../services/analyticsEngine';
-import { DIMENSION_CONFIG } from '../constants/dimensions';
+import { getDimensionColor, getDimensionNames, getSubdimensionColor, getSubdimensions } from '../constants/dimensions';
+import { getDateWindowRange } from '../constants/dateWindows';
+import DateWindowSelect from '../components/DateWindowSelect';
 import { AreaChart, Area, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
-import { TrendingUp, PieChart as PieChartIcon, Calendar } from 'lucide-react';
+import { TrendingUp, PieChart as PieChartIcon, Calendar, ArrowLeft } from 'lucide-react';
 
 // Sketchy stroke dasharray pattern for hand-drawn effect
 const sketchyStroke = '4 2';
@@ -21,23 +26,37 @@ export default function Analytics() {
   const [pieData, setPieData] = useState([]);
   const [archetype, setArchetype] = useState('Explorer');
   const [stats, setStats] = useState(null);
+  const [dateWindow, setDateWindow] = useState('1y');
+  const [loadedCount, setLoadedCount] = useState(0);
+  const [videos, setVideos] = useState([]);
+  const [focusDimension, setFocusDimension] = useState(null);
 
   useEffect(() => {
     if (user) {
       loadAnalytics();
     }
-  }, [user]);
+  }, [user, dateWindow]);
 
   const loadAnalytics = async () => {
     setLoading(true);
+    setLoadedCount(0);
     try {
-      console.log('📊 Loading analytics data...');
+      console.log(`📊 Loading analytics data (${dateWindow})...`);
       
-      // Get categorized videos
-      const videos = await getCategorizedVideos(user.uid);
+      // Get categorized videos in the selected window, page by page
+      const videos = await getCategorizedVideos(user.uid, {
+        ...getDateWindowRange(dateWindow),
+        onPage: (page, loaded) => setLoadedCount(loaded),
+      });
       console.log(`📹 Loaded ${videos.length} categorized videos`);
 
+      setVideos(videos);
+      setFocusDimension(null);
+
       if (videos.length === 0) {
+        setTrendsData([]);
+        setPieData([]);
+        setStats(null);
         setLoading(false);
         return;
       }
@@ -66,6 +85,30 @@ export default function Analytics() {
     }
   };
 
+  // Drilling into a dimension swaps both charts to its sub-dimensions
+  const drillDown = useMemo(() => {
+    if (!focusDimension) return null;
+    return {
+      pie: calculateSubcategoryTotals(videos, focusDimension),
+      trends: calculateSubcategoryTrends(videos, focusDimension),
+    };
+  }, [videos, focusDimension]);
+
+  const chartPieData = drillDown ? drillDown.pie : pieData;
+  const chartTrendsData = drillDown ? drillDown.trends : trendsData;
+  const riverSeries = focusDimension
+    ? [...getSubdimensions(focusDimension).map(sub => sub.name), OTHER_SUBCATEGORY].map(name => ({
+      key: name,
+      color: getSubdimensionColor(focusDimension, name),
+    }))
+    : getDimensionNames().map(name => ({ key: name, color: getDimensionColor(name) }));
+
+  const handleSliceClick = (entry) => {
+    if (!focusDimension && getSubdimensions(entry.name).length > 0) {
+      setFocusDimension(entry.name);
+    }
+  };
+
   // Custom tooltip for area chart
   const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
@@ -86,14 +129,17 @@ export default function Analytics() {
   return (
     <div className="max-w-7xl mx-auto p-6 min-h-screen" style={{ backgroundColor: '#0a0a0a' }}>
       {/* Header */}
-      <div className="mb-8">
-        <h1 className="text-4xl font-bold text-white mb-2 flex items-center gap-3" style={{ fontFamily: 'Comic Sans MS, cursive' }}>
-          <TrendingUp size={40} className="text-blue-400" />
-          Life Analytics
-        </h1>
-        <p className="text-gray-300" style={{ fontFamily: 'Comic Sans MS, cursive' }}>
-          Visualize your life trajectory over time
-        </p>
+      <div className="mb-8 flex items-center justify-between">
+        <div>
+          <h1 className="text-4xl font-bold text-white mb-2 flex items-center gap-3" style={{ fontFamily: 'Comic Sans MS, cursive' }}>
+            <TrendingUp size={40} className="text-blue-400" />
+            Life Analytics
+          </h1>
+          <p className="text-gray-300" style={{ fontFamily: 'Comic Sans MS, cursive' }}>
+            Visualize your life trajectory over time
+          </p>
+        </div>
+        <DateWindowSelect value={dateWindow} onChange={setDateWindow} disabled={loading} className="text-gray-300" />
       </div>
 
       {/* Loading State */}
@@ -101,7 +147,9 @@ export default function Analytics() {
         <div className="flex items-center justify-center h-96">
           <div className="text-center">
             <div className="w-16 h-16 mx-auto mb-4 border-4 border-blue-400 border-t-transparent rounded-full animate-spin"></div>
-            <p className="text-gray-300" style={{ fontFamily: 'Comic Sans MS, cursive' }}>Loading analytics...</p>
+            <p className="text-gray-300" style={{ fontFamily: 'Comic Sans MS, cursive' }}>
+              {loadedCount > 0 ? `Loading analytics... ${loadedCount} videos` : 'Loading analytics...'}
+            </p>
           </div>
         </div>
       )}
@@ -111,12 +159,16 @@ export default function Analytics() {
         <div className="flex items-center justify-center h-96">
           <div className="text-center">
             <Calendar className="mx-auto mb-4 text-orange-400" size={64} />
-            <h3 className="text-xl font-semibold text-white mb-2" style={{ fontFamily: 'Comic Sans MS, cursive' }}>No Data Yet</h3>
+            <h3 className="text-xl font-semibold text-white mb-2" style={{ fontFamily: 'Comic Sans MS, cursive' }}>
+              {dateWindow === 'all' ? 'No Data Yet' : 'Nothing In This Period'}
+            </h3>
             <p className="text-gray-300 mb-4" style={{ fontFamily: 'Comic Sans MS, cursive' }}>
-              Import your YouTube history to see your life trajectory
+              {dateWindow === 'all'
+                ? 'Import your YouTube history to see your life trajectory'
+                : 'Pick a longer time range, or import more of your YouTube history'}
             </p>
             <a
-              href="/settings"
+              href="/app/settings"
               className="inline-block px-6 py-3 bg-white border-2 border-white text-gray-900 font-semibold rounded-lg hover:bg-gray-100 transition-all"
               style={{ fontFamily: 'Comic Sans MS, cursive' }}
             >
@@ -138,7 +190,7 @@ export default function Analytics() {
               </div>
               <div className="bg-[#1a1a1a] border-2 border-gray-700 rounded-lg p-4" style={{ borderStyle: 'dashed' }}>
                 <p className="text-gray-400 text-sm mb-1" style={{ fontFamily: 'Comic Sans MS, cursive' }}>Top Category</p>
-                <p className="text-2xl font-bold" style={{ color: DIMENSION_CONFIG[stats.topCategory]?.color, fontFamily: 'Comic Sans MS, cursive' }}>
+                <p className="text-2xl font-bold" style={{ color: getDimensionColor(stats.topCategory), fontFamily: 'Comic Sans MS, cursive' }}>
                   {stats.topCategory}
                 </p>
                 <p className="text-sm text-gray-400" style={{ fontFamily: 'Comic Sans MS, cursive' }}>{stats.topCategoryPercentage}%</p>
@@ -155,15 +207,26 @@ export default function Analytics() {
             {/* Pie Chart - Life Composition */}
             <div className="w-[30%] bg-[#1a1a1a] border-2 border-gray-700 rounded-lg p-6" style={{ borderStyle: 'dashed' }}>
               <h2 className="text-xl font-semibold text-white mb-4 flex items-center gap-2" style={{ fontFamily: 'Comic Sans MS, cursive' }}>
-                <PieChartIcon size={20} />
-                Life Composition
+                {focusDimension ? (
+                  <button onClick={() => setFocusDimension(null)} className="text-gray-400 hover:text-white transition-all" title="Back to all dimensions">
+                    <ArrowLeft size={20} />
+                  </button>
+                ) : (
+                  <PieChartIcon size={20} />
+                )}
+                {focusDimension || 'Life Composition'}
               </h2>
+              {!focusDimension && (
+                <p className="text-xs text-gray-500 -mt-3 mb-2" style={{ fontFamily: 'Comic Sans MS, cursive' }}>
+                  Click a slice to see its sub-dimensions
+                </p>
+              )}
               
               <div className="relative sketchy-chart-container">
                 <ResponsiveContainer width="100%" height={300}>
                   <PieChart>
                     <Pie
-                      data={pieData}
+                      data={chartPieData}
                       cx="50%"
                       cy="50%"
                       innerRadius={60}
@@ -173,12 +236,14 @@ export default function Analytics() {
                       stroke="#2d2d2d"
                       strokeWidth={2}
                       strokeDasharray={sketchyStroke}
+                      onClick={handleSliceClick}
                     >
-                      {pieData.map((entry, index) => (
+                      {chartPieData.map((entry, index) => (
                         <Cell 
                           key={`cell-${index}`} 
                           fill={entry.color} 
                           fillOpacity={0.7}
+                          cursor={!focusDimension && getSubdimensions(entry.name).length > 0 ? 'pointer' : 'default'}
                         />
                       ))}
                     </Pie>
@@ -203,7 +268,7 @@ export default function Analytics() {
 
               {/* Legend */}
               <div className="mt-4 space-y-2">
-                {pieData.map((entry, index) => (
+                {chartPieData.map((entry, index) => (
                   <div key={index} className="flex items-center justify-between">
                     <div className="flex items-center gap-2">
                       <div className="w-3 h-3 rounded-full" style={{ backgroundColor: entry.color, border: '1px solid #555' }}></div>
@@ -219,39 +284,21 @@ export default function Analytics() {
             <div className="flex-1 bg-[#1a1a1a] border-2 border-gray-700 rounded-lg p-6" style={{ borderStyle: 'dashed' }}>
               <h2 className="text-xl font-semibold text-white mb-4 flex items-center gap-2" style={{ fontFamily: 'Comic Sans MS, cursive' }}>
                 <TrendingUp size={20} />
-                The River of Life
+                {focusDimension ? `The River of ${focusDimension}` : 'The River of Life'}
               </h2>
               
               <ResponsiveContainer width="100%" height={400}>
                 <AreaChart
-                  data={trendsData}
+                  data={chartTrendsData}
                   margin={{ top: 10, right: 30, left: 0, bottom: 0 }}
                 >
                   <defs>
-                    <linearGradient id="colorCareer" x1="0" y1="0" x2="0" y2="1">
-                      <stop offset="5%" stopColor="#6B9BD1" stopOpacity={0.6}/>
-                      <stop offset="95%" stopColor="#6B9BD1" stopOpacity={0.1}/>
-                    </linearGradient>
-                    <linearGradient id="colorSpiritual" x1="0" y1="0" x2="0" y2="1">
-                      <stop offset="5%" stopColor="#B88CD8" stopOpacity={0.6}/>
-                      <stop offset="95%" stopColor="#B88CD8" stopOpacity={0.1}/>
-                    </linearGradient>
-                    <linearGradient id="colorHealth" x1="0" y1="0" x2="0" y2="1">
-                      <stop offset="5%" stopColor="#90C695" stopOpacity={0.6}/>
-                      <stop offset="95%" stopColor="#90C695" stopOpacity={0.1}/>
-                    </linearGradient>
-                    <linearGradient id="colorSocial" x1="0" y1="0" x2="0" y2="1">
-                      <stop offset="5%" stopColor="#E89AC7" stopOpacity={0.6}/>
-                      <stop offset="95%" stopColor="#E89AC7" stopOpacity={0.1}/>
-                    </linearGradient>
-                    <linearGradient id="colorIntellectual" x1="0" y1="0" x2="0" y2="1">
-                      <stop offset="5%" stopColor="#F4C95D" stopOpacity={0.6}/>
-                      <stop offset="95%" stopColor="#F4C95D" stopOpacity={0.1}/>
-                    </linearGradient>
-                    <linearGradient id="colorEntertainment" x1="0" y1="0" x2="0" y2="1">
-                      <stop offset="5%" stopColor="#999999" stopOpacity={0.6}/>
-                      <stop offset="95%" stopColor="#999999" stopOpacity={0.1}/>
-                    </linearGradient>
+                    {riverSeries.map((series, index) => (
+                      <linearGradient key={series.key} id={`riverColor${index}`} x1="0" y1="0" x2="0" y2="1">
+                        <stop offset="5%" stopColor={series.color} stopOpacity={0.6}/>
+                        <stop offset="95%" stopColor={series.color} stopOpacity={0.1}/>
+                      </linearGradient>
+                    ))}
                   </defs>
                   <CartesianGrid strokeDasharray="5 5" stroke="#444" strokeWidth={1.5} />
                   <XAxis 
@@ -266,12 +313,9 @@ export default function Analytics() {
                     style={{ fontSize: '12px', fontFamily: 'Comic Sans MS, cursive' }}
                   />
                   <Tooltip content={<CustomTooltip />} />
-                  <Area type="monotone" dataKey="Career" stackId="1" stroke="#4A7BA7" fill="url(#colorCareer)" strokeWidth={2.5} strokeDasharray={sketchyStroke} />
-                  <Area type="monotone" dataKey="Spiritual" stackId="1" stroke="#9966CC" fill="url(#colorSpiritual)" strokeWidth={2.5} strokeDasharray={sketchyStroke} />
-                  <Area type="monotone" dataKey="Health" stackId="1" stroke="#6B9B6E" fill="url(#colorHealth)" strokeWidth={2.5} strokeDasharray={sketchyStroke} />
-                  <Area type="monotone" dataKey="Social" stackId="1" stroke="#D467A5" fill="url(#colorSocial)" strokeWidth={2.5} strokeDasharray={sketchyStroke} />
-                  <Area type="monotone" dataKey="Intellectual" stackId="1" stroke="#D4A942" fill="url(#colorIntellectual)" strokeWidth={2.5} strokeDasharray={sketchyStroke} />
-                  <Area type="monotone" dataKey="Entertainment" stackId="1" stroke="#777" fill="url(#colorEntertainment)" strokeWidth={2.5} strokeDasharray={sketchyStroke} />
+                  {riverSeries.map((series, index) => (
+                    <Area key={series.key} type="monotone" dataKey={series.key} stackId="1" stroke={series.color} fill={`url(#riverColor${index})`} strokeWidth={2.5} strokeDasharray={sketchyStroke} />
+                  ))}
                 </AreaChart>
               </ResponsiveContainer>
             </div>
@@ -281,7 +325,7 @@ export default function Analytics() {
           <div className="bg-[#1a1a1a] border-2 border-gray-700 rounded-lg p-6" style={{ borderStyle: 'dashed' }}>
             <h2 className="text-xl font-semibold text-white mb-4" style={{ fontFamily: 'Comic Sans MS, cursive' }}>Insights</h2>
             <p className="text-gray-300" style={{ fontFamily: 'Comic Sans MS, cursive' }}>
-              Your life trajectory shows a focus on <span className="font-semibold" style={{ color: DIMENSION_CONFIG[stats.topCategory]?.color }}>{stats.topCategory}</span> with {stats.topCategoryPercentage}% of your attention. 
+              Your life trajectory shows a focus on <span className="font-semibold" style={{ color: getDimensionColor(stats.topCategory) }}>{stats.topCategory}</span> with {stats.topCategoryPercentage}% of your attention. 
               As a <span className="font-semibold text-blue-400">{archetype}</span>, you're naturally drawn to these areas of growth.
             </p>
           </div>
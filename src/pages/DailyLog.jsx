@@ -1,11 +1,14 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { createDailyLog } from '../services/dailyLogService';
+import { createDailyLog, toDateKey, fromDateKey } from '../services/dailyLogService';
 import { getUserTagMappings, saveTagWithType } from '../services/tagMappingService';
-import { LIFE_DIMENSIONS_LIST, TAG_DIMENSION_MAP, getDimensionFromTag } from '../constants/dimensions';
-import { TAG_TYPES_LIST } from '../constants/tagTypes';
+import { recordCorrection } from '../services/correctionClassifierService';
+import { DIMENSIONS, getDimensionNames, getTagDimension } from '../constants/dimensions';
+import { getTagTypeNames } from '../constants/tagTypes';
+import { loadUserTagTypes } from '../services/tagTypeService';
 import { Save, Tag as TagIcon, Hash, CheckCircle } from 'lucide-react';
-import { Timestamp } from 'firebase/firestore';
+import LogHistory from '../components/LogHistory';
 
 export default function DailyLog() {
   const { user } = useAuth();
@@ -16,6 +19,9 @@ export default function DailyLog() {
   const [loading, setLoading] = useState(false);
   const [success, setSuccess] = useState(false);
   const [error, setError] = useState('');
+  const [dateKey, setDateKey] = useState(() => toDateKey(new Date()));
+  const [savedLog, setSavedLog] = useState({ count: 0, date: null }); // Refreshes the log browser
+  const [tagTypes, setTagTypes] = useState(getTagTypeNames);
 
   // Load user's saved tag mappings
   useEffect(() => {
@@ -34,6 +40,27 @@ export default function DailyLog() {
     loadTagMappings();
   }, [user]);
 
+  // Make the user's own tag types selectable
+  useEffect(() => {
+    const loadTagTypes = async () => {
+      if (user) {
+        try {
+          await loadUserTagTypes(user.uid);
+          setTagTypes(getTagTypeNames());
+        } catch {
+          // Built-in types are still available
+        }
+      }
+    };
+    loadTagTypes();
+  }, [user]);
+
+  // Suggested dimension for a tag ('' leaves the picker empty)
+  const suggestDimension = (tag) => {
+    const dimension = getTagDimension(tag, tagMappings);
+    return dimension === DIMENSIONS.UNASSIGNED ? '' : dimension;
+  };
+
   // Extract hashtags from text
   const extractHashtags = (text) => {
     const hashtagRegex = /#(\w+)/g;
@@ -44,7 +71,7 @@ export default function DailyLog() {
         const mapping = tagMappings[tag];
         return {
           name: tag,
-          dimension: mapping?.dimension || getDimensionFromTag(tag) || '',
+          dimension: suggestDimension(tag),
           type: mapping?.type || 'Concept',
         };
       }));
@@ -68,7 +95,7 @@ export default function DailyLog() {
         const mapping = tagMappings[normalizedTag];
         setTags([...tags, {
           name: normalizedTag,
-          dimension: mapping?.dimension || getDimensionFromTag(normalizedTag) || '',
+          dimension: suggestDimension(normalizedTag),
           type: mapping?.type || 'Concept',
         }]);
       }
@@ -88,6 +115,9 @@ export default function DailyLog() {
     
     // Update local mapping
     setTagMappings({ ...tagMappings, [tagName]: { dimension, type } });
+
+    // Every manual choice is a training example for the on-device classifier
+    recordCorrection(user.uid, { text: tagName, label: dimension, source: 'daily_log' });
     
     // Save to Firebase in background (non-blocking)
     try {
@@ -145,8 +175,9 @@ export default function DailyLog() {
 
     try {
       // Add timeout to prevent infinite hanging
+      const date = fromDateKey(dateKey);
       const savePromise = createDailyLog(user.uid, {
-        date: Timestamp.now(),
+        date,
         text_entry: textEntry,
         tags: tags.map(tag => tag.name),
       });
@@ -160,6 +191,8 @@ export default function DailyLog() {
       setSuccess(true);
       setTextEntry('');
       setTags([]);
+      setDateKey(toDateKey(new Date()));
+      setSavedLog({ count: savedLog.count + 1, date });
       
       setTimeout(() => setSuccess(false), 3000);
     } catch (err) {
@@ -192,9 +225,21 @@ export default function DailyLog() {
 
       {/* Today's Reflection */}
       <div className="bg-cyber-grey border border-neon-blue/30 rounded-lg p-6 mb-6 shadow-xl shadow-neon-blue/10">
-        <div className="flex items-center gap-2 mb-4">
-          <Hash className="text-neon-blue" size={20} />
-          <h2 className="text-xl font-semibold text-cyber-text">Today's Reflection</h2>
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <Hash className="text-neon-blue" size={20} />
+            <h2 className="text-xl font-semibold text-cyber-text">
+              {dateKey === toDateKey(new Date()) ? "Today's Reflection" : 'Reflection'}
+            </h2>
+          </div>
+          <input
+            type="date"
+            value={dateKey}
+            max={toDateKey(new Date())}
+            onChange={(e) => setDateKey(e.target.value || toDateKey(new Date()))}
+            className="px-3 py-2 bg-cyber-dark border border-neon-blue/30 rounded-lg text-cyber-text text-sm focus:outline-none focus:border-neon-blue"
+            title="Backdate this entry"
+          />
         </div>
         
         <textarea
@@ -258,7 +303,7 @@ export default function DailyLog() {
                   className="px-3 py-2 bg-cyber-grey border border-yellow-500/30 rounded-lg text-cyber-text focus:outline-none focus:border-yellow-500 focus:ring-2 focus:ring-yellow-500/20 transition-all text-sm"
                   title="Tag Type"
                 >
-                  {TAG_TYPES_LIST.map(type => (
+                  {tagTypes.map(type => (
                     <option key={type} value={type}>
                       {type}
                     </option>
@@ -271,7 +316,7 @@ export default function DailyLog() {
                   className="px-4 py-2 bg-cyber-grey border border-neon-blue/30 rounded-lg text-cyber-text focus:outline-none focus:border-neon-blue focus:ring-2 focus:ring-neon-blue/20 transition-all"
                 >
                   <option value="">Select Dimension</option>
-                  {LIFE_DIMENSIONS_LIST.map(dimension => (
+                  {getDimensionNames().map(dimension => (
                     <option key={dimension} value={dimension}>
                       {dimension}
                     </option>
@@ -300,7 +345,9 @@ export default function DailyLog() {
       {success && (
         <div className="mb-6 p-4 bg-green-500/10 border border-green-500/30 rounded-lg flex items-center gap-2">
           <CheckCircle className="text-green-400" size={20} />
-          <p className="text-green-400">Log saved successfully!</p>
+          <p className="text-green-400">
+            Log saved successfully! <Link to="/app/dashboard" className="underline hover:text-green-300">See your trajectory</Link>
+          </p>
         </div>
       )}
 
@@ -313,6 +360,11 @@ export default function DailyLog() {
         <Save size={20} />
         {loading ? 'Saving...' : 'Save Daily Log'}
       </button>
+
+      {/* Log History */}
+      <div className="mt-8">
+        <LogHistory tagMappings={tagMappings} refreshKey={savedLog.count} focusDate={savedLog.date} />
+      </div>
     </div>
   );
 }
@@ -1,9 +1,11 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { debugTrajectoryScores, calculateTrajectory } from '../services/trajectoryEngine';
-import { getUserTagMappings } from '../services/tagMappingService';
-import { debugTagConnections } from '../services/tagConnectionService';
-import { Calculator, BarChart3, RefreshCw, TrendingUp } from 'lucide-react';
+import { calculateTrajectory } from '../services/trajectoryEngine';
+import { getDateWindowRange, DATE_WINDOWS } from '../constants/dateWindows';
+import { getDimensionColor } from '../constants/dimensions';
+import DateWindowSelect from '../components/DateWindowSelect';
+import { BarChart3, RefreshCw, TrendingUp, PenLine, Hash } from 'lucide-react';
 import TrajectoryRadar from '../components/TrajectoryRadar';
 import TrajectoryLineChart from '../components/TrajectoryLineChart';
 
@@ -11,29 +13,17 @@ export default function Dashboard() {
   const { user } = useAuth();
   const [loading, setLoading] = useState(false);
   const [trajectoryData, setTrajectoryData] = useState(null);
-  const [userMappings, setUserMappings] = useState({});
+  const [dateWindow, setDateWindow] = useState('30d');
   const [error, setError] = useState('');
 
-  // Auto-load trajectory on mount
+  // Load trajectory for the selected window
   useEffect(() => {
     if (user) {
       loadTrajectory();
-      loadUserMappings();
     }
-  }, [user]);
+  }, [user, dateWindow]);
 
-  // Load user's custom tag mappings
-  const loadUserMappings = async () => {
-    if (!user) return;
-    try {
-      const mappings = await getUserTagMappings(user.uid);
-      setUserMappings(mappings);
-    } catch (err) {
-      console.error('Error loading user mappings:', err);
-    }
-  };
-
-  // Load trajectory data
+  // Load trajectory data (same videos as Analytics, plus daily logs)
   const loadTrajectory = async () => {
     if (!user) return;
     
@@ -41,7 +31,7 @@ export default function Dashboard() {
     setError('');
     
     try {
-      const trajectory = await calculateTrajectory(user.uid, 30);
+      const trajectory = await calculateTrajectory(user.uid, getDateWindowRange(dateWindow));
       setTrajectoryData(trajectory);
     } catch (err) {
       console.error('Error loading trajectory:', err);
@@ -51,32 +41,7 @@ export default function Dashboard() {
     }
   };
 
-  // Test trajectory calculation with debug output
-  const handleDebugCalculation = async () => {
-    if (!user) return;
-    
-    setLoading(true);
-    setError('');
-    
-    try {
-      console.clear();
-      console.log('🚀 DEBUG: Detailed trajectory calculation...');
-      await debugTrajectoryScores(user.uid, 30);
-      await loadTrajectory();
-    } catch (err) {
-      console.error('❌ Error:', err);
-      setError(err.message || 'Failed to calculate trajectory');
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  // Debug tag connections network
-  const handleDebugConnections = async () => {
-    console.clear();
-    console.log('🔗 DEBUG: Tag Connection Network...\n');
-    await debugTagConnections();
-  };
+  const windowLabel = DATE_WINDOWS[dateWindow].label.toLowerCase();
 
   return (
     <div className="max-w-7xl mx-auto">
@@ -90,14 +55,24 @@ export default function Dashboard() {
           </p>
         </div>
         
-        <button
-          onClick={loadTrajectory}
-          disabled={loading}
-          className="flex items-center gap-2 px-4 py-2 bg-cyber-grey border border-neon-blue/30 text-neon-blue rounded-lg hover:bg-neon-blue/10 transition-all disabled:opacity-50"
-        >
-          <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
-          Refresh
-        </button>
+        <div className="flex items-center gap-3">
+          <DateWindowSelect value={dateWindow} onChange={setDateWindow} disabled={loading} className="text-neon-blue" />
+          <Link
+            to="/app/daily-log"
+            className="flex items-center gap-2 px-4 py-2 bg-cyber-grey border border-neon-green/30 text-neon-green rounded-lg hover:bg-neon-green/10 transition-all"
+          >
+            <PenLine size={18} />
+            New Log
+          </Link>
+          <button
+            onClick={loadTrajectory}
+            disabled={loading}
+            className="flex items-center gap-2 px-4 py-2 bg-cyber-grey border border-neon-blue/30 text-neon-blue rounded-lg hover:bg-neon-blue/10 transition-all disabled:opacity-50"
+          >
+            <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
+            Refresh
+          </button>
+        </div>
       </div>
 
       {error && (
@@ -117,31 +92,13 @@ export default function Dashboard() {
       {trajectoryData && trajectoryData.hasData && (
         <div className="mb-6">
           <div className="bg-cyber-grey border border-neon-blue/30 rounded-lg p-6 shadow-xl shadow-neon-blue/10">
-            <div className="flex items-center justify-between mb-6">
-              <div className="flex items-center gap-3">
-                <TrendingUp className="text-neon-blue" size={24} />
-                <div>
-                  <h2 className="text-2xl font-bold text-cyber-text">Life Trajectory Radar</h2>
-                  <p className="text-sm text-cyber-muted">Based on your last 30 days ({trajectoryData.totalLogs} logs)</p>
-                </div>
-              </div>
-              
-              <div className="flex gap-2">
-                <button
-                  onClick={handleDebugConnections}
-                  className="px-4 py-2 bg-cyber-dark border border-neon-green/30 text-neon-green text-sm rounded-lg hover:bg-neon-green/10 transition-all"
-                  title="View tag co-occurrence network in console"
-                >
-                  🔗 Connections
-                </button>
-                
-                <button
-                  onClick={handleDebugCalculation}
-                  className="px-4 py-2 bg-cyber-dark border border-neon-purple/30 text-neon-purple text-sm rounded-lg hover:bg-neon-purple/10 transition-all"
-                >
-                  <Calculator size={16} className="inline mr-1" />
-                  Debug Console
-                </button>
+            <div className="flex items-center gap-3 mb-6">
+              <TrendingUp className="text-neon-blue" size={24} />
+              <div>
+                <h2 className="text-2xl font-bold text-cyber-text">Life Trajectory Radar</h2>
+                <p className="text-sm text-cyber-muted">
+                  Based on {windowLabel} ({trajectoryData.totalVideos} videos, {trajectoryData.totalLogs} logs)
+                </p>
               </div>
             </div>
 
@@ -152,17 +109,28 @@ export default function Dashboard() {
               <p className="text-neon-purple font-medium">{trajectoryData.trajectory}</p>
             </div>
 
-            <div className="mt-4 grid grid-cols-4 gap-4">
+            <div className="mt-4 grid grid-cols-3 gap-4">
               {Object.entries(trajectoryData.percentages).map(([dimension, percentage]) => (
                 <div 
                   key={dimension}
                   className="p-3 bg-cyber-dark rounded-lg border border-neon-blue/20 text-center hover:border-neon-blue/50 transition-all"
                 >
                   <p className="text-cyber-muted text-xs mb-1">{dimension}</p>
-                  <p className="text-2xl font-bold text-neon-blue">{percentage}%</p>
+                  <p className="text-2xl font-bold" style={{ color: getDimensionColor(dimension) }}>{percentage}%</p>
+                  {trajectoryData.topTags[dimension] && (
+                    <p className="mt-1 text-xs text-cyber-muted truncate" title="Most logged tags">
+                      {trajectoryData.topTags[dimension].map(({ tag, count }) => `#${tag}×${count}`).join(' ')}
+                    </p>
+                  )}
                 </div>
               ))}
             </div>
+
+            <div className="mt-4 flex items-center gap-2 text-xs text-cyber-muted">
+              <Hash size={14} />
+              Videos count toward their categories, logged tags toward the dimension you gave them.
+              See how your tags connect in the <Link to="/app" className="text-neon-green hover:underline">Mind Map</Link>.
+            </div>
           </div>
         </div>
       )}
@@ -174,12 +142,12 @@ export default function Dashboard() {
             <div className="flex items-center gap-3 mb-6">
               <BarChart3 className="text-neon-purple" size={24} />
               <div>
-                <h2 className="text-2xl font-bold text-cyber-text">30-Day Trajectory Timeline</h2>
+                <h2 className="text-2xl font-bold text-cyber-text">Trajectory Timeline</h2>
                 <p className="text-sm text-cyber-muted">Track how each dimension evolves over time</p>
               </div>
             </div>
 
-            <TrajectoryLineChart userId={user.uid} userMappings={userMappings} />
+            <TrajectoryLineChart data={trajectoryData.timeline} />
           </div>
         </div>
       )}
@@ -189,12 +157,12 @@ export default function Dashboard() {
           <BarChart3 className="mx-auto mb-4 text-yellow-500" size={48} />
           <h3 className="text-xl font-semibold text-yellow-500 mb-2">No Data Yet</h3>
           <p className="text-cyber-muted mb-4">{trajectoryData.message}</p>
-          <a
-            href="/daily-log"
+          <Link
+            to="/app/daily-log"
             className="inline-block px-6 py-3 bg-gradient-to-r from-neon-blue to-neon-purple text-white font-semibold rounded-lg hover:shadow-lg hover:shadow-neon-blue/50 transition-all"
           >
-            Create Your First Log
-          </a>
+            Write a Daily Log
+          </Link>
         </div>
       )}
     </div>
@@ -1,10 +1,104 @@
 import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { getCategorizedVideos, buildGraphFromCategories } from '../services/categorizedVideoService';
-import { DIMENSIONS, getDimensionColor } from '../constants/dimensions';
+import { getStrongestTagConnections, buildTagGraph } from '../services/tagConnectionService';
+import { getUserTagMappings } from '../services/tagMappingService';
+import { loadUserTagTypes } from '../services/tagTypeService';
+import { getShapePoints, getTagTypeConfig } from '../constants/tagTypes';
+import TagShapeIcon from '../components/TagShapeIcon';
+import { analyzeGraph } from '../services/graphMetricsService';
+import {
+  DIMENSIONS,
+  getCompassAnchor,
+  getDimensionColor,
+  getDimensionConfig,
+  getDimensionNames,
+  getSubdimensionColor
+} from '../constants/dimensions';
+import { getDateWindowRange } from '../constants/dateWindows';
+import DateWindowSelect from '../components/DateWindowSelect';
 import ForceGraph2D from 'react-force-graph-2d';
-import { forceCollide } from 'd3-force';
-import { Brain, RefreshCw } from 'lucide-react';
+import { forceCollide, forceX, forceY } from 'd3-force';
+import { Brain, RefreshCw, Film, Hash, Compass, Network } from 'lucide-react';
+
+const GRAPH_MODES = {
+  videos: { label: 'Videos', icon: Film },
+  tags: { label: 'Tags', icon: Hash },
+};
+
+// Radius of a node on the canvas (tags grow with how often they're used)
+const getNodeSize = (node) => {
+  if (node.isMainNode || node.type === 'Category') return 25;
+  if (node.type === 'Subcategory') return 16;
+  if (node.kind === 'Tag') return Math.min(6 + Math.sqrt(node.frequency || 1) * 2, 24);
+  return 10;
+};
+
+const COMPASS_STRENGTH = 0.06;
+
+// Hull colors, largest community first
+const COMMUNITY_COLORS = ['#00D4FF', '#B026FF', '#39FF14', '#FF8C00', '#FF3D8B', '#FFD700', '#00FFC8', '#8C9EFF'];
+const HULL_PADDING = 24;
+const TOP_LIST_SIZE = 5;
+
+const getCommunityColor = (community) => COMMUNITY_COLORS[community % COMMUNITY_COLORS.length];
+
+// Convex hull of canvas points (monotone chain), counter-clockwise
+const convexHull = (points) => {
+  if (points.length < 3) return points;
+
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const buildChain = (chain, point) => {
+    while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+      chain.pop();
+    }
+    chain.push(point);
+    return chain;
+  };
+
+  const lower = sorted.reduce(buildChain, []);
+  const upper = [...sorted].reverse().reduce(buildChain, []);
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+};
+
+// Custom d3 force for the compass layout: pull each node toward the anchor
+// (gravityX/gravityY) of its dimension, or the weighted mix of its dimensions
+const forceCompass = (strength) => {
+  let nodes = [];
+  let anchors = [];
+
+  const force = (alpha) => {
+    nodes.forEach((node, i) => {
+      node.vx += (anchors[i].x - node.x) * strength * alpha;
+      node.vy += (anchors[i].y - node.y) * strength * alpha;
+    });
+  };
+
+  force.initialize = (newNodes) => {
+    nodes = newNodes;
+    anchors = nodes.map(node => getCompassAnchor(node.dimensions || [{ category: node.category, weight: 1 }]));
+  };
+
+  return force;
+};
+
+// Add a node's outline to the current path: its tag type's shape, or a circle
+const traceNodeShape = (ctx, node, size) => {
+  const points = node.kind === 'Tag' ? getShapePoints(getTagTypeConfig(node.type).shape) : null;
+  if (!points) {
+    ctx.arc(node.x, node.y, size, 0, 2 * Math.PI);
+    return;
+  }
+  points.forEach(([x, y], i) => {
+    if (i === 0) {
+      ctx.moveTo(node.x + x * size, node.y + y * size);
+    } else {
+      ctx.lineTo(node.x + x * size, node.y + y * size);
+    }
+  });
+  ctx.closePath();
+};
 
 export default function MindMap() {
   const { user } = useAuth();
@@ -17,12 +111,22 @@ export default function MindMap() {
   const [userMappings, setUserMappings] = useState({});
   const [hoveredNode, setHoveredNode] = useState(null);
   const [groupByCategory, setGroupByCategory] = useState(false);
+  const [dateWindow, setDateWindow] = useState('30d');
+  const [graphMode, setGraphMode] = useState('videos');
+  const [hiddenTypes, setHiddenTypes] = useState([]); // Tag types filtered out of the Tags view
+  const [showCommunities, setShowCommunities] = useState(false);
+  const [metrics, setMetrics] = useState(null); // Communities and centrality of the displayed graph
+  const [analyzing, setAnalyzing] = useState(false);
+  const [metricsError, setMetricsError] = useState('');
+
+  // The Tags view queries only connections above the threshold, so it reloads when that changes
+  const tagMinWeight = graphMode === 'tags' ? minWeight : null;
 
   useEffect(() => {
     if (user) {
       loadGraphData();
     }
-  }, [user, minWeight]);
+  }, [user, dateWindow, graphMode, tagMinWeight]);
 
   // Memoized filtered data for noise reduction
   const filteredGraphData = useMemo(() => {
@@ -35,8 +139,10 @@ export default function MindMap() {
     let filteredNodes = graphData.nodes.filter(node => {
       // Always show main category nodes
       if (node.isMainNode || node.type === 'Category') return true;
-      // Always show video nodes
-      if (node.type === 'Video') return true;
+      // Tag types switched off in the legend
+      if (node.kind === 'Tag' && hiddenTypes.includes(node.type)) return false;
+      // Always show sub-dimension and video nodes
+      if (node.type === 'Subcategory' || node.type === 'Video') return true;
       // For other nodes, apply frequency filter
       return (node.frequency || 0) >= minNodeWeight;
     });
@@ -52,19 +158,98 @@ export default function MindMap() {
     const validNodeIds = new Set(filteredNodes.map(node => node.id));
 
     // Filter links where both source and target exist in filtered nodes
+    // (tag links also need at least minWeight co-occurrences)
     const filteredLinks = graphData.links.filter(link => {
       const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
       const targetId = typeof link.target === 'object' ? link.target.id : link.target;
-      return validNodeIds.has(sourceId) && validNodeIds.has(targetId);
+      return validNodeIds.has(sourceId) && validNodeIds.has(targetId)
+        && (graphMode !== 'tags' || (link.weight || 0) >= minWeight);
     });
 
+    // Tags left without any connection above the threshold are dropped too
+    if (graphMode === 'tags') {
+      const linkedIds = new Set();
+      filteredLinks.forEach(link => {
+        linkedIds.add(typeof link.source === 'object' ? link.source.id : link.source);
+        linkedIds.add(typeof link.target === 'object' ? link.target.id : link.target);
+      });
+      filteredNodes = filteredNodes.filter(node => linkedIds.has(node.id));
+    }
+
     console.log(`🔍 Noise Filter: ${filteredNodes.length}/${graphData.nodes.length} nodes, ${filteredLinks.length}/${graphData.links.length} links`);
 
     return {
       nodes: filteredNodes,
       links: filteredLinks,
     };
-  }, [graphData, minNodeWeight]);
+  }, [graphData, minNodeWeight, minWeight, graphMode, hiddenTypes]);
+
+  // Tag types present in the Tags view, with how many tags each has
+  const typeLegend = useMemo(() => {
+    const counts = {};
+    graphData.nodes.forEach(node => {
+      if (node.kind === 'Tag') {
+        counts[node.type] = (counts[node.type] || 0) + 1;
+      }
+    });
+    return Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, count]) => ({ type, count, config: getTagTypeConfig(type) }));
+  }, [graphData]);
+
+  const toggleType = (type) => {
+    setHiddenTypes(hiddenTypes.includes(type)
+      ? hiddenTypes.filter(hidden => hidden !== type)
+      : [...hiddenTypes, type]);
+  };
+
+  const runAnalysis = useCallback(async (signal) => {
+    setAnalyzing(true);
+    setMetricsError('');
+    try {
+      setMetrics(await analyzeGraph(filteredGraphData, signal));
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        setMetricsError('Failed to analyze the graph');
+      }
+    } finally {
+      if (!signal.aborted) {
+        setAnalyzing(false);
+      }
+    }
+  }, [filteredGraphData]);
+
+  // Re-analyze whenever the displayed graph changes (in a worker; stale runs are aborted)
+  useEffect(() => {
+    if (!showCommunities || filteredGraphData.nodes.length === 0) {
+      // Don't keep showing communities of a graph that is gone
+      setMetrics(null);
+      setMetricsError('');
+      setAnalyzing(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    runAnalysis(controller.signal);
+    return () => controller.abort();
+  }, [showCommunities, filteredGraphData, runAnalysis]);
+
+  // Most central nodes by PageRank, with their degree and betweenness
+  const centralNodes = useMemo(() => {
+    if (!metrics) return [];
+    return filteredGraphData.nodes
+      .filter(node => metrics.pageRank[node.id] !== undefined)
+      .sort((a, b) => metrics.pageRank[b.id] - metrics.pageRank[a.id])
+      .slice(0, TOP_LIST_SIZE)
+      .map(node => ({
+        id: node.id,
+        name: node.kind === 'Tag' ? `#${node.name}` : node.name,
+        pageRank: metrics.pageRank[node.id],
+        degree: metrics.degree[node.id],
+        betweenness: metrics.betweenness[node.id],
+        community: metrics.communities[node.id],
+      }));
+  }, [metrics, filteredGraphData]);
 
   // STEP 23: Heavy, localized physics with honey-like movement
   useEffect(() => {
@@ -76,29 +261,65 @@ export default function MindMap() {
       
       // STEP 23: Medium-strength links for honey-like connectivity
       fg.d3Force('link').distance(link => {
-        // Temporal links are shorter, regular links have breathing room
-        return link.type === 'temporal' ? 50 : 100;
+        // Temporal links are shorter, regular links have breathing room,
+        // sub-dimensions stay close to their dimension
+        if (link.type === 'temporal') return 50;
+        const sourceType = typeof link.source === 'object' ? link.source.type : null;
+        return sourceType === 'Subcategory' ? 70 : 100;
       }).strength(0.35); // Medium strength for smooth flow without excessive pull
       
       // Collision force for spacing
-      fg.d3Force('collide', forceCollide().radius(node => {
-        const isMainNode = node.isMainNode || node.type === 'Category';
-        const nodeSize = isMainNode ? 25 : 10;
-        return nodeSize + 8;
-      }).strength(0.8));
+      fg.d3Force('collide', forceCollide().radius(node => getNodeSize(node) + 8).strength(0.8));
+
+      // Pull each dimension's hub toward its anchor from the user's dimension settings
+      // (sub-dimension hubs more loosely, so they cluster around their dimension)
+      const hubStrength = node => {
+        if (node.isMainNode || node.type === 'Category') return 0.1;
+        return node.type === 'Subcategory' ? 0.03 : 0;
+      };
+      fg.d3Force('gravityX', forceX(node => getDimensionConfig(node.category).gravityX)
+        .strength(hubStrength));
+      fg.d3Force('gravityY', forceY(node => getDimensionConfig(node.category).gravityY)
+        .strength(hubStrength));
+
+      // Compass layout: every node settles in its dimension's quadrant
+      fg.d3Force('compass', groupByCategory ? forceCompass(COMPASS_STRENGTH) : null);
 
       // Reheat simulation
       fg.d3ReheatSimulation();
     }
   }, [filteredGraphData, groupByCategory]);
 
+  // Tag co-occurrence network from tag_connections, colored by tag_mappings
+  const loadTagGraph = async () => {
+    const [connections, mappings] = await Promise.all([
+      getStrongestTagConnections(user.uid, { minWeight }),
+      getUserTagMappings(user.uid),
+      loadUserTagTypes(user.uid).catch(() => []), // Custom shapes; built-ins work without them
+    ]);
+    console.log(`🔗 Found ${connections.length} tag connections`);
+
+    const tagGraph = buildTagGraph(connections, mappings);
+    setStats({
+      totalNodes: tagGraph.nodes.length,
+      totalLinks: tagGraph.links.length,
+      strongestConnection: connections[0] || null,
+    });
+    setGraphData(tagGraph);
+  };
+
   const loadGraphData = async () => {
     setLoading(true);
     try {
-      console.log('🌐 Loading Mind Map data...');
+      console.log(`🌐 Loading Mind Map data (${graphMode})...`);
+
+      if (graphMode === 'tags') {
+        await loadTagGraph();
+        return;
+      }
       
-      // NEW: Load categorized videos directly
-      const categorizedVideos = await getCategorizedVideos(user.uid);
+      // NEW: Load categorized videos directly (only the selected window)
+      const categorizedVideos = await getCategorizedVideos(user.uid, getDateWindowRange(dateWindow));
       console.log(`🎬 Found ${categorizedVideos.length} categorized videos`);
       
       if (categorizedVideos.length === 0) {
@@ -135,9 +356,11 @@ export default function MindMap() {
     }
     
     const isMainNode = node.isMainNode || node.type === 'Category';
-    const nodeSize = isMainNode ? 25 : 10;
+    const isSubcategory = node.type === 'Subcategory';
+    const isTag = node.kind === 'Tag';
+    const nodeSize = getNodeSize(node);
     const category = node.category || DIMENSIONS.UNASSIGNED;
-    const categoryColor = getDimensionColor(category);
+    const categoryColor = isSubcategory ? getSubdimensionColor(category, node.name) : getDimensionColor(category);
     const isHovered = hoveredNode === node.id;
     
     // Check if node should be faded (spotlight effect)
@@ -150,9 +373,9 @@ export default function MindMap() {
       ctx.shadowColor = categoryColor;
     }
     
-    // Draw glowing circle
+    // Draw glowing circle (tags use their type's shape)
     ctx.beginPath();
-    ctx.arc(node.x, node.y, nodeSize, 0, 2 * Math.PI);
+    traceNodeShape(ctx, node, nodeSize);
     
     if (shouldFade) {
       // Faded for spotlight effect
@@ -160,14 +383,15 @@ export default function MindMap() {
     } else if (isHovered) {
       ctx.fillStyle = categoryColor;
     } else {
-      ctx.fillStyle = isMainNode ? categoryColor : 'rgba(255, 255, 255, 0.8)';
+      ctx.fillStyle = isMainNode || isSubcategory || isTag ? categoryColor : 'rgba(255, 255, 255, 0.8)';
     }
     ctx.fill();
     
     // Subtle stroke
     if (!shouldFade) {
-      ctx.strokeStyle = isHovered ? '#FFFFFF' : categoryColor;
-      ctx.lineWidth = isHovered ? 2 : 1;
+      // Tags are outlined in their type's color
+      ctx.strokeStyle = isHovered ? '#FFFFFF' : isTag ? getTagTypeConfig(node.type).color : categoryColor;
+      ctx.lineWidth = isHovered || isTag ? 2 : 1;
       ctx.stroke();
     }
     ctx.restore();
@@ -176,7 +400,7 @@ export default function MindMap() {
     const showLabel = node.val > 5 || isMainNode || isHovered;
     if (showLabel && !shouldFade) {
       const fullLabel = node.name || '';
-      const label = node.type === 'Video' ? fullLabel.split(' ')[0] : fullLabel;
+      const label = node.type === 'Video' ? fullLabel.split(' ')[0] : isTag ? `#${fullLabel}` : fullLabel;
       const fontSize = (isMainNode ? 16 : 12) / globalScale;
       
       ctx.font = `${isMainNode ? 'bold' : ''} ${fontSize}px 'Courier New', monospace`;
@@ -241,6 +465,53 @@ export default function MindMap() {
     ctx.stroke();
   }, [hoveredNode]);
 
+  // Behind the graph: community hulls, then the compass layout's dimension labels
+  const paintBackground = useCallback((ctx, globalScale) => {
+    if (showCommunities && metrics) {
+      const members = new Map();
+      filteredGraphData.nodes.forEach(node => {
+        const community = metrics.communities[node.id];
+        if (community === undefined || node.x === undefined) return;
+        if (!members.has(community)) members.set(community, []);
+        members.get(community).push({ x: node.x, y: node.y });
+      });
+
+      // A thick round stroke around the hull pads it past the nodes on its edge
+      ctx.lineJoin = 'round';
+      ctx.lineCap = 'round';
+      ctx.lineWidth = HULL_PADDING * 2;
+      members.forEach((points, community) => {
+        if (points.length < 2) return;
+        const hull = convexHull(points);
+        const color = getCommunityColor(community);
+
+        ctx.beginPath();
+        hull.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+        ctx.closePath();
+        ctx.globalAlpha = 0.12;
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+        ctx.fill();
+        ctx.stroke();
+      });
+      ctx.globalAlpha = 1;
+    }
+
+    if (!groupByCategory) return;
+
+    const fontSize = 16 / globalScale;
+    ctx.font = `bold ${fontSize}px Sans-Serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.globalAlpha = 0.35;
+    getDimensionNames().forEach(dimension => {
+      const config = getDimensionConfig(dimension);
+      ctx.fillStyle = config.color;
+      ctx.fillText(`${config.emoji} ${config.name}`, config.gravityX, config.gravityY);
+    });
+    ctx.globalAlpha = 1;
+  }, [groupByCategory, showCommunities, metrics, filteredGraphData]);
+
   return (
     <div className="max-w-7xl mx-auto h-screen flex flex-col">
       {/* Header */}
@@ -256,6 +527,61 @@ export default function MindMap() {
         </div>
         
         <div className="flex gap-3 items-center">
+          <div className="flex bg-cyber-grey border border-neon-purple/30 rounded-lg overflow-hidden">
+            {Object.entries(GRAPH_MODES).map(([mode, config]) => (
+              <button
+                key={mode}
+                onClick={() => setGraphMode(mode)}
+                disabled={loading}
+                className={`flex items-center gap-2 px-3 py-2 text-sm transition-all disabled:opacity-50 ${
+                  graphMode === mode ? 'bg-neon-purple/20 text-neon-purple' : 'text-cyber-muted hover:text-neon-purple'
+                }`}
+              >
+                <config.icon size={16} />
+                {config.label}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={() => setGroupByCategory(!groupByCategory)}
+            className={`flex items-center gap-2 px-3 py-2 border rounded-lg text-sm transition-all ${
+              groupByCategory
+                ? 'bg-neon-purple/20 border-neon-purple text-neon-purple'
+                : 'bg-cyber-grey border-neon-purple/30 text-cyber-muted hover:text-neon-purple'
+            }`}
+            title="Pull nodes toward their dimension's place on the compass"
+          >
+            <Compass size={16} />
+            Compass
+          </button>
+          <button
+            onClick={() => setShowCommunities(!showCommunities)}
+            className={`flex items-center gap-2 px-3 py-2 border rounded-lg text-sm transition-all ${
+              showCommunities
+                ? 'bg-neon-purple/20 border-neon-purple text-neon-purple'
+                : 'bg-cyber-grey border-neon-purple/30 text-cyber-muted hover:text-neon-purple'
+            }`}
+            title="Detect communities and find the most central and bridging nodes"
+          >
+            <Network size={16} />
+            Communities
+          </button>
+          {graphMode === 'tags' ? (
+            <label className="flex items-center gap-2 text-sm text-neon-purple" title="Hide connections seen fewer times than this">
+              Min. weight
+              <input
+                type="range"
+                min="1"
+                max="10"
+                value={minWeight}
+                onChange={(e) => setMinWeight(Number(e.target.value))}
+                className="accent-neon-purple"
+              />
+              <span className="w-5 text-right">{minWeight}</span>
+            </label>
+          ) : (
+            <DateWindowSelect value={dateWindow} onChange={setDateWindow} disabled={loading} className="text-neon-purple" />
+          )}
           <button
             onClick={loadGraphData}
             disabled={loading}
@@ -294,6 +620,87 @@ export default function MindMap() {
         </div>
       )}
 
+      {/* Tag Type Legend / Filter */}
+      {!loading && graphMode === 'tags' && typeLegend.length > 0 && (
+        <div className="mb-4 flex flex-wrap items-center gap-2">
+          <span className="text-xs text-cyber-muted">Types:</span>
+          {typeLegend.map(({ type, count, config }) => {
+            const hidden = hiddenTypes.includes(type);
+            return (
+              <button
+                key={type}
+                onClick={() => toggleType(type)}
+                className={`flex items-center gap-2 px-3 py-1 bg-cyber-grey border rounded-lg text-sm transition-all ${
+                  hidden ? 'border-gray-800 text-cyber-muted opacity-50' : 'border-gray-700 text-cyber-text hover:border-neon-purple/50'
+                }`}
+                title={hidden ? `Show ${type} tags` : `Hide ${type} tags`}
+              >
+                <TagShapeIcon shape={config.shape} color={config.color} />
+                {type}
+                <span className="text-xs text-cyber-muted">{count}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Communities and Centrality */}
+      {!loading && showCommunities && (
+        <div className="mb-4">
+          {analyzing && !metrics && (
+            <p className="text-sm text-neon-purple">Analyzing graph structure...</p>
+          )}
+          {metricsError && (
+            <p className="text-sm text-red-400">{metricsError}</p>
+          )}
+          {metrics && (
+            <div className={`grid grid-cols-3 gap-4 transition-opacity ${analyzing ? 'opacity-50' : ''}`}>
+              <div className="p-4 bg-cyber-grey border border-neon-purple/30 rounded-lg">
+                <p className="text-cyber-muted text-xs mb-1">Communities</p>
+                <p className="text-2xl font-bold text-neon-purple">{metrics.communityCount}</p>
+                <p className="text-xs text-cyber-muted mt-1" title="How much more the graph links inside communities than chance would (0-1)">
+                  Modularity {metrics.modularity.toFixed(2)}
+                  {metrics.sampled && ' · betweenness estimated from a sample'}
+                </p>
+              </div>
+              <div className="p-4 bg-cyber-grey border border-neon-blue/30 rounded-lg">
+                <p className="text-cyber-muted text-xs mb-2">Most Central (PageRank)</p>
+                <ul className="space-y-1">
+                  {centralNodes.map(node => (
+                    <li
+                      key={node.id}
+                      className="flex items-center gap-2 text-sm"
+                      title={`Degree ${node.degree} · betweenness ${node.betweenness.toFixed(3)}`}
+                    >
+                      <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: getCommunityColor(node.community) }} />
+                      <span className="truncate text-cyber-text">{node.name}</span>
+                      <span className="ml-auto text-xs text-cyber-muted">{(node.pageRank * 100).toFixed(1)}%</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <div className="p-4 bg-cyber-grey border border-neon-green/30 rounded-lg">
+                <p className="text-cyber-muted text-xs mb-2">Bridge Tags</p>
+                {metrics.bridges.length === 0 ? (
+                  <p className="text-sm text-cyber-muted">
+                    {graphMode === 'tags' ? 'No tag links separate dimensions yet.' : 'Switch to Tags to find bridge tags.'}
+                  </p>
+                ) : (
+                  <ul className="space-y-1">
+                    {metrics.bridges.slice(0, TOP_LIST_SIZE).map(bridge => (
+                      <li key={bridge.id} className="text-sm" title={`Betweenness ${bridge.betweenness.toFixed(3)}`}>
+                        <span className="font-mono" style={{ color: getDimensionColor(bridge.category) }}>#{bridge.name}</span>
+                        <span className="text-xs text-cyber-muted"> links {bridge.dimensions.join(', ')}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Loading State */}
       {loading && (
         <div className="flex-1 bg-cyber-grey border border-neon-blue/30 rounded-lg flex items-center justify-center">
@@ -315,9 +722,12 @@ export default function MindMap() {
             graphData={filteredGraphData}
             width={window.innerWidth - 400}
             height={window.innerHeight - 350}
-            nodeLabel={node => `${node.name} (${node.category || 'Unassigned'})`}
+            nodeLabel={node => (node.kind === 'Tag'
+              ? `#${node.name} · ${node.type} (${node.category || 'Unassigned'})`
+              : `${node.name} (${node.category || 'Unassigned'})`)}
             nodeCanvasObject={paintNode}
             linkCanvasObject={paintLink}
+            onRenderFramePre={paintBackground}
             linkDirectionalParticles={1}
             linkDirectionalParticleWidth={link => Math.sqrt(link.weight || 1) * 1.2}
             linkDirectionalParticleSpeed={0.002}
@@ -348,10 +758,12 @@ export default function MindMap() {
             <Brain className="mx-auto mb-4 text-yellow-500" size={64} />
             <h3 className="text-xl font-semibold text-yellow-500 mb-2">No Mind Map Yet</h3>
             <p className="text-cyber-muted mb-4">
-              Create daily logs with multiple tags to see connections
+              {graphMode === 'tags'
+                ? 'Create daily logs with multiple tags to see connections'
+                : 'Import your YouTube history in Settings to see your videos'}
             </p>
             <a
-              href="/daily-log"
+              href="/app/daily-log"
               className="inline-block px-6 py-3 bg-gradient-to-r from-neon-blue to-neon-purple text-white font-semibold rounded-lg hover:shadow-lg hover:shadow-neon-blue/50 transition-all"
             >
               Create Your First Log
@@ -364,8 +776,9 @@ export default function MindMap() {
       <div className="mt-4 p-4 bg-gradient-to-r from-neon-purple/10 to-neon-blue/10 border border-neon-purple/30 rounded-lg">
         <p className="text-sm text-cyber-muted">
           <strong className="text-neon-purple">Tip:</strong> Drag nodes to explore connections. 
-          Zoom with mouse wheel. Larger nodes = more frequently used tags. 
-          Thicker connections = tags that often appear together in your logs.
+          Zoom with mouse wheel. {graphMode === 'tags'
+            ? 'Larger nodes = more frequently used tags, colored by dimension. Thicker connections = tags that often appear together in your logs and videos.'
+            : 'Videos gather around their sub-dimension and dimension; videos watched within 30 minutes of each other are linked.'}
         </p>
       </div>
     </div>
@@ -0,0 +1,319 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { ClipboardCheck, Check, Flag, Search, Loader, CheckCircle, AlertCircle } from 'lucide-react';
+import { getDimensionConfig, getDimensionNames } from '../constants/dimensions';
+import { getReviewQueue, applyReviewDecision, REVIEW_REASONS } from '../services/reviewService';
+
+const MAX_VISIBLE_ITEMS = 200;
+
+const REASON_STYLES = {
+  defaulted: 'bg-red-500/10 border-red-500/40 text-red-400',
+  'low-confidence': 'bg-yellow-500/10 border-yellow-500/40 text-yellow-400',
+  flagged: 'bg-neon-purple/10 border-neon-purple/40 text-neon-purple',
+};
+
+export default function Review() {
+  const { user } = useAuth();
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [reasonFilter, setReasonFilter] = useState('all');
+  const [kindFilter, setKindFilter] = useState('all');
+  const [keyword, setKeyword] = useState('');
+  const [channel, setChannel] = useState('');
+  const [selected, setSelected] = useState(new Set());
+  const [bulkCategory, setBulkCategory] = useState('');
+
+  const dimensionNames = getDimensionNames();
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    try {
+      setItems(await getReviewQueue(user.uid));
+      setSelected(new Set());
+    } catch (error) {
+      setStatus({ type: 'error', message: `Failed to load review queue: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (user) {
+      loadQueue();
+    }
+  }, [user, loadQueue]);
+
+  const channels = useMemo(() => {
+    return [...new Set(items.map(item => item.channel).filter(Boolean))].sort();
+  }, [items]);
+
+  const filteredItems = useMemo(() => {
+    const needle = keyword.trim().toLowerCase();
+    return items.filter(item =>
+      (reasonFilter === 'all' || item.reason === reasonFilter) &&
+      (kindFilter === 'all' || item.kind === kindFilter) &&
+      (!channel || item.channel === channel) &&
+      (!needle || item.text.toLowerCase().includes(needle))
+    );
+  }, [items, reasonFilter, kindFilter, keyword, channel]);
+
+  const itemKey = (item) => `${item.kind}:${item.id}`;
+
+  const toggleSelected = (item) => {
+    const next = new Set(selected);
+    if (next.has(itemKey(item))) {
+      next.delete(itemKey(item));
+    } else {
+      next.add(itemKey(item));
+    }
+    setSelected(next);
+  };
+
+  // Bulk actions apply to the selection, or to everything the filters show
+  const bulkTargets = selected.size > 0
+    ? filteredItems.filter(item => selected.has(itemKey(item)))
+    : filteredItems;
+
+  const applyDecision = async (targets, decision) => {
+    if (targets.length === 0) return;
+
+    setSaving(true);
+    setStatus(null);
+    try {
+      await applyReviewDecision(user.uid, targets, decision);
+
+      if (decision.action === 'unflag') {
+        // Unflagged items may still need review for another reason
+        await loadQueue();
+      } else {
+        const targetKeys = new Set(targets.map(itemKey));
+        setItems(items
+          .map(item => {
+            if (!targetKeys.has(itemKey(item))) return item;
+            return decision.action === 'flag' ? { ...item, reason: 'flagged' } : null;
+          })
+          .filter(Boolean));
+        setSelected(new Set());
+      }
+
+      const verb = { accept: 'Accepted', reassign: 'Moved', flag: 'Flagged', unflag: 'Unflagged' }[decision.action];
+      const count = `${targets.length} item${targets.length === 1 ? '' : 's'}`;
+      setStatus({ type: 'success', message: `${verb} ${count}${decision.category ? ` to ${decision.category}` : ''}` });
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const reasonCounts = items.reduce((counts, item) => {
+    counts[item.reason] = (counts[item.reason] || 0) + 1;
+    return counts;
+  }, {});
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-cyber-text mb-2 flex items-center gap-3">
+          <ClipboardCheck className="text-neon-green" size={32} />
+          Review Categorizations
+        </h1>
+        <p className="text-cyber-muted">
+          Check what the AI wasn't sure about. Corrections update your Analytics and Mind Map.
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-cyber-grey border border-neon-green/30 rounded-lg p-4 mb-4 space-y-3">
+        <div className="flex flex-wrap gap-2">
+          {['all', ...Object.keys(REVIEW_REASONS)].map(reason => (
+            <button
+              key={reason}
+              onClick={() => setReasonFilter(reason)}
+              className={`px-3 py-1.5 text-sm rounded-lg border transition-all ${
+                reasonFilter === reason
+                  ? 'bg-neon-green/10 border-neon-green text-cyber-text'
+                  : 'bg-cyber-dark border-gray-700 text-cyber-muted hover:border-neon-green/50'
+              }`}
+            >
+              {reason === 'all' ? 'All' : REVIEW_REASONS[reason]}
+              <span className="ml-2 text-xs text-cyber-muted">
+                {reason === 'all' ? items.length : reasonCounts[reason] || 0}
+              </span>
+            </button>
+          ))}
+          <select
+            value={kindFilter}
+            onChange={(e) => setKindFilter(e.target.value)}
+            className="ml-auto px-3 py-1.5 bg-cyber-dark border border-gray-700 rounded-lg text-cyber-text text-sm focus:outline-none focus:border-neon-green"
+          >
+            <option value="all">Videos and tags</option>
+            <option value="video">Videos only</option>
+            <option value="tag">Tags only</option>
+          </select>
+        </div>
+
+        <div className="flex flex-wrap gap-3">
+          <div className="relative flex-1 min-w-[220px]">
+            <Search className="absolute left-3 top-2.5 text-cyber-muted" size={16} />
+            <input
+              type="text"
+              value={keyword}
+              onChange={(e) => setKeyword(e.target.value)}
+              placeholder="Filter by keyword..."
+              className="w-full pl-9 pr-3 py-2 bg-cyber-dark border border-gray-700 rounded-lg text-cyber-text text-sm focus:outline-none focus:border-neon-green"
+            />
+          </div>
+          <select
+            value={channel}
+            onChange={(e) => setChannel(e.target.value)}
+            className="px-3 py-2 bg-cyber-dark border border-gray-700 rounded-lg text-cyber-text text-sm focus:outline-none focus:border-neon-green"
+          >
+            <option value="">All channels</option>
+            {channels.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Bulk actions */}
+        <div className="flex flex-wrap items-center gap-3 pt-3 border-t border-gray-800">
+          <span className="text-sm text-cyber-muted">
+            {selected.size > 0 ? `${bulkTargets.length} selected` : `All ${filteredItems.length} shown`}:
+          </span>
+          <button
+            onClick={() => applyDecision(bulkTargets, { action: 'accept' })}
+            disabled={saving || bulkTargets.length === 0}
+            className="flex items-center gap-1 px-3 py-1.5 bg-cyber-dark border border-neon-green/30 text-neon-green text-sm rounded-lg hover:bg-neon-green/10 transition-all disabled:opacity-50"
+          >
+            <Check size={14} />
+            Accept
+          </button>
+          <select
+            value={bulkCategory}
+            onChange={(e) => setBulkCategory(e.target.value)}
+            className="px-3 py-1.5 bg-cyber-dark border border-gray-700 rounded-lg text-cyber-text text-sm focus:outline-none focus:border-neon-green"
+          >
+            <option value="">Reassign to...</option>
+            {dimensionNames.map(name => (
+              <option key={name} value={name}>{getDimensionConfig(name).emoji} {name}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => applyDecision(bulkTargets, { action: 'reassign', category: bulkCategory })}
+            disabled={saving || !bulkCategory || bulkTargets.length === 0}
+            className="px-3 py-1.5 bg-white text-gray-900 text-sm font-semibold rounded-lg hover:bg-gray-100 transition-all disabled:opacity-50"
+          >
+            Reassign
+          </button>
+          <button
+            onClick={() => applyDecision(bulkTargets, { action: 'flag' })}
+            disabled={saving || bulkTargets.length === 0}
+            className="flex items-center gap-1 px-3 py-1.5 bg-cyber-dark border border-neon-purple/30 text-neon-purple text-sm rounded-lg hover:bg-neon-purple/10 transition-all disabled:opacity-50"
+          >
+            <Flag size={14} />
+            Flag
+          </button>
+          {saving && <Loader className="text-neon-green animate-spin" size={18} />}
+        </div>
+      </div>
+
+      {status && (
+        <div className={`mb-4 p-3 rounded-lg flex items-center gap-2 text-sm ${
+          status.type === 'success'
+            ? 'bg-green-500/10 border border-green-500/30 text-green-400'
+            : 'bg-red-500/10 border border-red-500/30 text-red-400'
+        }`}>
+          {status.type === 'success' ? <CheckCircle size={16} /> : <AlertCircle size={16} />}
+          {status.message}
+        </div>
+      )}
+
+      {loading && (
+        <div className="flex items-center justify-center h-64">
+          <Loader className="text-neon-green animate-spin" size={40} />
+        </div>
+      )}
+
+      {!loading && items.length === 0 && (
+        <div className="bg-cyber-grey border border-neon-green/30 rounded-lg p-12 text-center">
+          <CheckCircle className="mx-auto mb-4 text-neon-green" size={48} />
+          <h3 className="text-xl font-semibold text-cyber-text mb-2">Nothing to review</h3>
+          <p className="text-cyber-muted">Every categorization is confident and nothing is flagged.</p>
+        </div>
+      )}
+
+      {!loading && filteredItems.length > 0 && (
+        <div className="bg-cyber-grey border border-gray-800 rounded-lg divide-y divide-gray-800">
+          {filteredItems.slice(0, MAX_VISIBLE_ITEMS).map(item => (
+            <div key={itemKey(item)} className="flex items-center gap-3 p-3 hover:bg-cyber-dark/50">
+              <input
+                type="checkbox"
+                checked={selected.has(itemKey(item))}
+                onChange={() => toggleSelected(item)}
+                className="accent-neon-green"
+              />
+
+              <div className="flex-1 min-w-0">
+                <p className="text-cyber-text text-sm truncate" title={item.text}>
+                  {item.kind === 'tag' && <span className="text-xs text-neon-blue mr-2">#tag</span>}
+                  {item.text}
+                </p>
+                <p className="text-xs text-cyber-muted truncate">
+                  {item.channel && <span className="mr-3">{item.channel}</span>}
+                  {(item.categories || [{ category: item.category, weight: 1 }])
+                    .map(({ category, weight }) => `${getDimensionConfig(category).emoji} ${category} ${Math.round(weight * 100)}%`)
+                    .join(' • ')}
+                  {item.confidence !== null && (
+                    <span className="ml-3">confidence {Math.round(item.confidence * 100)}%</span>
+                  )}
+                </p>
+              </div>
+
+              <span className={`px-2 py-0.5 text-xs rounded border whitespace-nowrap ${REASON_STYLES[item.reason]}`}>
+                {REVIEW_REASONS[item.reason]}
+              </span>
+
+              <button
+                onClick={() => applyDecision([item], { action: 'accept' })}
+                disabled={saving}
+                title={`Keep ${item.category}`}
+                className="p-1.5 text-neon-green hover:bg-neon-green/10 rounded-lg transition-all disabled:opacity-50"
+              >
+                <Check size={16} />
+              </button>
+              <select
+                value=""
+                onChange={(e) => applyDecision([item], { action: 'reassign', category: e.target.value })}
+                disabled={saving}
+                className="px-2 py-1 bg-cyber-dark border border-gray-700 rounded-lg text-cyber-text text-xs focus:outline-none focus:border-neon-green"
+              >
+                <option value="">Move to...</option>
+                {dimensionNames.filter(name => name !== item.category).map(name => (
+                  <option key={name} value={name}>{getDimensionConfig(name).emoji} {name}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => applyDecision([item], { action: item.reason === 'flagged' ? 'unflag' : 'flag' })}
+                disabled={saving}
+                title={item.reason === 'flagged' ? 'Unflag' : 'Flag for later'}
+                className={`p-1.5 rounded-lg transition-all disabled:opacity-50 ${
+                  item.reason === 'flagged' ? 'text-neon-purple bg-neon-purple/10' : 'text-cyber-muted hover:text-neon-purple'
+                }`}
+              >
+                <Flag size={16} />
+              </button>
+            </div>
+          ))}
+          {filteredItems.length > MAX_VISIBLE_ITEMS && (
+            <p className="p-3 text-xs text-cyber-muted text-center">
+              Showing {MAX_VISIBLE_ITEMS} of {filteredItems.length}. Narrow the filters or use the bulk actions above.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,27 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { Upload, FileJson, CheckCircle, AlertCircle, Database, Sparkles, Wand2, Tag } from 'lucide-react';
 
-import { 
-  categorizeTitlesInBatches, 
-  getCategoryStats 
-} from '../services/titleCategorizationService';
-import { saveCategorizedVideos } from '../services/categorizedVideoService';
+import { parseTakeoutFile, describeSkipped } from '../services/takeoutParserService';
+import {
+  createImportJob,
+  getLatestImportJob,
+  startImportJob,
+  pauseImportJob,
+  cancelImportJob,
+  subscribeToImportJobs
+} from '../services/importQueueService';
+import { partitionNewVideos } from '../services/categorizedVideoService';
+import { getActiveProvider, checkAiBudget } from '../services/llmProviderService';
+import { getDailyUsage } from '../services/rateLimiterService';
+import ImportJobPanel from '../components/ImportJobPanel';
+import AiProviderSettings from '../components/AiProviderSettings';
+import CategorizationCacheSettings from '../components/CategorizationCacheSettings';
+import LocalClassifierSettings from '../components/LocalClassifierSettings';
+import DimensionSettings from '../components/DimensionSettings';
+import ConnectionMaintenanceSettings from '../components/ConnectionMaintenanceSettings';
+import TagTypeSettings from '../components/TagTypeSettings';
+import { getDimensionConfig } from '../constants/dimensions';
 import { 
   categorizeTagsInBatches, 
   getCategorizationStats 
@@ -18,64 +33,47 @@ import {
   saveMultipleTagMappings 
 } from '../services/tagMappingService';
 import { getTagAnalytics } from '../services/dailyLogService';
-import { getAllUniqueTagsFromConnections } from '../services/tagConnectionService';
+import { removeTagFromConnections } from '../services/tagConnectionService';
 
 export default function Settings() {
   const { user } = useAuth();
   const [uploading, setUploading] = useState(false);
   const [uploadStatus, setUploadStatus] = useState(null); // 'success' | 'error' | null
   const [statusMessage, setStatusMessage] = useState('');
-  const [processing, setProcessing] = useState(false);
-  const [progress, setProgress] = useState({ current: 0, total: 0 });
+  const [importJob, setImportJob] = useState(null);
   const [categorizing, setCategorizing] = useState(false);
   const [categorizationStatus, setCategorizationStatus] = useState(null);
   const [categorizationMessage, setCategorizationMessage] = useState('');
   const [categorizationProgress, setCategorizationProgress] = useState({ current: 0, total: 0 });
   const fileInputRef = useRef(null);
 
-  // Parse Google Takeout Watch History JSON
-  const parseGoogleTakeout = (data) => {
-    try {
-      // Google Takeout Watch History typically has structure like:
-      // [{ "title": "Video Title", "time": "2023-01-01T12:00:00Z", ... }, ...]
-      // or { "videos": [{ "title": "...", ... }] }
-      
-      let videos = [];
-      
-      // Handle different possible structures
-      if (Array.isArray(data)) {
-        videos = data;
-      } else if (data.videos && Array.isArray(data.videos)) {
-        videos = data.videos;
-      } else if (data.history && Array.isArray(data.history)) {
-        videos = data.history;
-      } else {
-        throw new Error('Unrecognized JSON structure. Expected an array of videos.');
+  // Restore the user's import job (survives reloads) and follow its progress
+  useEffect(() => {
+    if (!user) return;
+
+    const unsubscribe = subscribeToImportJobs((job) => {
+      if (job.userId === user.uid) {
+        setImportJob(job);
       }
+    });
 
-      // Extract first 5 video titles
-      const firstFive = videos.slice(0, 5).map((video, index) => {
-        // Handle various possible field names
-        const title = video.title || video.name || video.titleUrl || 'Unknown Title';
-        const time = video.time || video.time_accessed || video.timestamp || video.date || 'Unknown Time';
-        
-        return { index: index + 1, title, time };
-      });
+    getLatestImportJob(user.uid)
+      .then(job => setImportJob(job))
+      .catch(error => console.error('Error loading import job:', error));
 
-      return { success: true, videos: firstFive, total: videos.length };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  };
+    return unsubscribe;
+  }, [user]);
+
+  const importInProgress = importJob && !['completed', 'cancelled'].includes(importJob.status);
 
   // Handle file upload
   const handleFileUpload = async (file) => {
     if (!file) return;
 
     // Validate file type
-    if (!file.name.endsWith('.json')) {
+    if (!/\.(json|html?)$/i.test(file.name)) {
       setUploadStatus('error');
-      setStatusMessage('Please upload a .json file');
+      setStatusMessage('Please upload a watch-history .json or .html file');
       return;
     }
 
@@ -86,95 +84,77 @@ export default function Settings() {
     try {
       // Read file content
       const text = await file.text();
-      const data = JSON.parse(text);
 
-      // Parse Google Takeout format
-      const result = parseGoogleTakeout(data);
+      // Parse Google Takeout format (JSON or HTML export)
+      let result;
+      try {
+        result = parseTakeoutFile(text, file.name);
+      } catch (parseError) {
+        console.error('❌ Parse error:', parseError);
+        setUploadStatus('error');
+        setStatusMessage(`Parse error: ${parseError.message}`);
+        return;
+      }
+
+      const skippedSummary = describeSkipped(result.skipped);
+
+      console.log(`✅ Successfully parsed Google Takeout ${result.format.toUpperCase()} file!`);
+      console.log(`📊 Total videos found: ${result.videos.length} of ${result.totalEntries} entries`);
+      if (skippedSummary) {
+        console.log(`🚫 Skipped: ${skippedSummary}`);
+      }
+      console.log('🎬 First 5 video titles:');
+      console.log('─'.repeat(80));
 
-      if (result.success) {
-        console.log('✅ Successfully parsed Google Takeout file!');
-        console.log(`📊 Total videos found: ${result.total}`);
-        console.log('🎬 First 5 video titles:');
+      result.videos.slice(0, 5).forEach(({ title, channel, time }, index) => {
+        console.log(`${index + 1}. ${title}${channel ? ` — ${channel}` : ''}`);
+        console.log(`   ⏰ ${time || 'Unknown Time'}`);
         console.log('─'.repeat(80));
-        
-        result.videos.forEach(({ index, title, time }) => {
-          console.log(`${index}. ${title}`);
-          console.log(`   ⏰ ${time}`);
-          console.log('─'.repeat(80));
-        });
-
-        // NEW PIPELINE: AI Categorization FIRST!
-        console.log('\n🤖 STARTING AI CATEGORIZATION...\n');
-        
-        // Get all videos from the parsed data
-        let allVideos = [];
-        if (Array.isArray(data)) {
-          allVideos = data;
-        } else if (data.videos && Array.isArray(data.videos)) {
-          allVideos = data.videos;
-        } else if (data.history && Array.isArray(data.history)) {
-          allVideos = data.history;
-        }
+      });
 
-        // Limit to first 50 videos for free tier testing
-        const videosToProcess = allVideos.slice(0, 50);
-        console.log(`📊 Processing ${videosToProcess.length} videos (limited for free tier)`);
-
-        setProcessing(true);
-        setStatusMessage('Categorizing videos with AI...');
-
-        try {
-          // STEP 1: AI categorizes each title
-          const categorizedVideos = await categorizeTitlesInBatches(
-            videosToProcess,
-            20, // 20 titles per API call
-            (progress) => {
-              setProgress({ current: progress.videosProcessed, total: progress.totalVideos });
-              setStatusMessage(`AI Categorizing: ${progress.videosProcessed}/${progress.totalVideos} videos`);
-            }
-          );
-
-          console.log('✅ AI categorization complete!');
-          
-          // Get statistics
-          const stats = getCategoryStats(categorizedVideos);
-          console.log('📊 Category breakdown:', stats);
-
-          // STEP 2: Save categorized videos to Firestore
-          setStatusMessage('Saving categorized videos to database...');
-          await saveCategorizedVideos(
-            user.uid,
-            categorizedVideos,
-            (current, total) => {
-              setProgress({ current, total });
-              setStatusMessage(`Saving: ${current}/${total} videos`);
-            }
-          );
-
-          // Success!
-          const statsMessage = Object.entries(stats)
-            .filter(([_, count]) => count > 0)
-            .map(([cat, count]) => `${cat}: ${count}`)
-            .join(' • ');
-
-          setUploadStatus('success');
-          setStatusMessage(
-            `Successfully categorized and saved ${categorizedVideos.length} videos! ` +
-            `${statsMessage} • Go to Mind Map to see your categorized galaxy!`
-          );
-
-        } catch (error) {
-          console.error('❌ Processing error:', error);
-          setUploadStatus('error');
-          setStatusMessage(`Error: ${error.message}`);
-        } finally {
-          setProcessing(false);
-        }
-      } else {
-        console.error('❌ Parse error:', result.error);
+      if (result.videos.length === 0) {
         setUploadStatus('error');
-        setStatusMessage(`Parse error: ${result.error}`);
+        setStatusMessage(`No watchable videos found in this file${skippedSummary ? ` (skipped ${skippedSummary})` : ''}.`);
+        return;
+      }
+
+      // Compare against what's already stored so re-imports are idempotent
+      const { newVideos, existingCount, duplicateCount } = await partitionNewVideos(user.uid, result.videos);
+      const presentCount = existingCount + duplicateCount;
+      console.log(`🆔 ${newVideos.length} new, ${existingCount} already present, ${duplicateCount} duplicated in file`);
+
+      if (newVideos.length === 0) {
+        setUploadStatus('success');
+        setStatusMessage(`All ${result.videos.length} videos in this file are already imported. Nothing to do!`);
+        return;
       }
+
+      const requestsNeeded = Math.ceil(newVideos.length / 20);
+      const { remaining, limit } = getDailyUsage();
+      const budgetNote = getActiveProvider().isLocal
+        ? ''
+        : `\n\nThis needs up to ${requestsNeeded} AI requests (${remaining}/${limit} left today).` +
+          (requestsNeeded > remaining ? ' The import will pause when today\'s quota runs out and can be resumed tomorrow.' : '');
+
+      if (!window.confirm(`${newVideos.length} new, ${presentCount} already present. Import the new videos?${budgetNote}`)) {
+        return;
+      }
+
+      // Queue the new videos as a resumable background job
+      const job = await createImportJob(user.uid, newVideos, {
+        fileName: file.name,
+        skipped: result.skipped,
+      });
+      setImportJob(job);
+      startImportJob(job.id);
+
+      setUploadStatus('success');
+      setStatusMessage(
+        `Queued ${newVideos.length} new videos for import in ${job.chunks.length} chunks ` +
+        `(${presentCount} already present). ` +
+        `${skippedSummary ? `Skipped ${skippedSummary}. ` : ''}` +
+        'You can leave this page — the import keeps running and can be resumed after a reload.'
+      );
     } catch (error) {
       console.error('❌ File read error:', error);
       setUploadStatus('error');
@@ -265,6 +245,9 @@ export default function Settings() {
       const tagsToProcess = unassignedTags.slice(0, 20);
       console.log(`🚀 Processing ${tagsToProcess.length} unassigned tags (limited to 20 for stability)...`);
 
+      // Refuse up front rather than stopping halfway through the daily quota
+      checkAiBudget(Math.ceil(tagsToProcess.length / 20));
+
       // STEP 22: Minimize requests - 20 tags per batch = 5 requests for 100 tags
       const categorization = await categorizeTagsInBatches(
         tagsToProcess,
@@ -289,7 +272,7 @@ export default function Settings() {
 
       const statsMessage = Object.entries(stats)
         .filter(([_, count]) => count > 0)
-        .map(([category, count]) => `${DIMENSION_CONFIG[category].emoji} ${category}: ${count}`)
+        .map(([category, count]) => `${getDimensionConfig(category).emoji} ${category}: ${count}`)
         .join(' • ');
 
       setCategorizationStatus('success');
@@ -298,7 +281,7 @@ export default function Settings() {
     } catch (error) {
       console.error('❌ AI categorization error:', error);
       setCategorizationStatus('error');
-      setCategorizationMessage(error.message || 'Failed to categorize tags. Please check your Gemini API key.');
+      setCategorizationMessage(error.message || 'Failed to categorize tags. Please check your AI provider settings.');
     } finally {
       setCategorizing(false);
     }
@@ -312,7 +295,7 @@ export default function Settings() {
 
     try {
       setCategorizationStatus(null);
-      const result = await removeTagFromConnections('watched');
+      const result = await removeTagFromConnections(user.uid, 'watched');
       setCategorizationStatus('success');
       setCategorizationMessage(`Removed ${result.deleted} connections with "watched" tag. Refresh your Mind Map to see changes!`);
     } catch (error) {
@@ -341,7 +324,7 @@ export default function Settings() {
         </div>
 
         <p className="text-cyber-muted mb-2">
-          Upload your Google Takeout Watch History (.json file) to automatically extract topics and tags.
+          Upload your Google Takeout Watch History (watch-history.json or watch-history.html) to automatically extract topics and tags.
         </p>
         
         <div className="mb-6 p-3 bg-neon-blue/10 border border-neon-blue/30 rounded-lg">
@@ -361,7 +344,7 @@ export default function Settings() {
           <input
             ref={fileInputRef}
             type="file"
-            accept=".json"
+            accept=".json,.html"
             onChange={handleFileChange}
             className="hidden"
           />
@@ -370,43 +353,38 @@ export default function Settings() {
 
           <button
             onClick={handleClick}
-            disabled={uploading || processing}
+            disabled={uploading || importInProgress}
             className="px-8 py-4 bg-white text-gray-900 font-bold text-lg rounded-lg hover:bg-gray-100 transition-all disabled:opacity-50 disabled:cursor-not-allowed shadow-lg hover:shadow-xl flex items-center gap-3"
           >
             <Upload size={24} />
-            <span>Upload YouTube History (.json)</span>
+            <span>Upload YouTube History (.json / .html)</span>
           </button>
 
           <p className="text-cyber-muted text-sm text-center max-w-md">
-            Upload your Google Takeout watch history file to automatically categorize your videos
+            Upload your Google Takeout watch history file to automatically categorize your videos.
+            Removed, private and ad entries are skipped automatically.
           </p>
 
-          {(uploading || processing) && (
-            <div className="flex flex-col items-center justify-center gap-3 mt-4">
-              <div className="flex items-center gap-2">
-                <Database className="text-neon-purple animate-pulse" size={24} />
-                <span className="text-neon-purple font-semibold">
-                  {uploading ? 'Reading file...' : 'Processing videos...'}
-                </span>
-              </div>
-              {progress.total > 0 && (
-                <div className="w-full max-w-md">
-                  <div className="flex justify-between text-xs text-cyber-muted mb-1">
-                    <span>{progress.current} / {progress.total} videos</span>
-                    <span>{Math.round(progress.current / progress.total * 100)}%</span>
-                  </div>
-                  <div className="w-full h-2 bg-cyber-dark rounded-full overflow-hidden">
-                    <div 
-                      className="h-full bg-gradient-to-r from-neon-blue via-neon-purple to-neon-green transition-all duration-300"
-                      style={{ width: `${(progress.current / progress.total) * 100}%` }}
-                    ></div>
-                  </div>
-                </div>
-              )}
+          {uploading && (
+            <div className="flex items-center justify-center gap-2 mt-4">
+              <Database className="text-neon-purple animate-pulse" size={24} />
+              <span className="text-neon-purple font-semibold">Reading file...</span>
             </div>
           )}
         </div>
 
+        {/* Background Import Job */}
+        <ImportJobPanel
+          job={importJob}
+          onPause={pauseImportJob}
+          onResume={startImportJob}
+          onCancel={(jobId) => {
+            if (window.confirm('Cancel this import? Videos already imported are kept.')) {
+              cancelImportJob(jobId);
+            }
+          }}
+        />
+
         {/* Status Messages */}
         {uploadStatus === 'success' && (
           <div className="mt-4 p-4 bg-green-500/10 border border-green-500/30 rounded-lg flex items-start gap-3">
@@ -435,12 +413,26 @@ export default function Settings() {
             <li>Go to <a href="https://takeout.google.com" target="_blank" rel="noopener noreferrer" className="text-neon-blue hover:underline">takeout.google.com</a></li>
             <li>Select "YouTube and YouTube Music"</li>
             <li>Click "All YouTube data included" and deselect all except "history"</li>
-            <li>Choose JSON format and download</li>
-            <li>Extract the ZIP and upload the watch-history.json file here</li>
+            <li>Choose JSON (recommended) or HTML format and download</li>
+            <li>Extract the ZIP and upload the watch-history.json or watch-history.html file here</li>
           </ol>
         </div>
       </div>
 
+      {/* Life Dimensions */}
+      <DimensionSettings />
+
+      <TagTypeSettings />
+
+      {/* AI Provider */}
+      <AiProviderSettings />
+
+      <CategorizationCacheSettings />
+
+      <LocalClassifierSettings />
+
+      <ConnectionMaintenanceSettings />
+
       {/* AI Auto-Categorization */}
       <div className="bg-cyber-grey border border-neon-purple/30 rounded-lg p-6 mb-6">
         <div className="flex items-center gap-3 mb-4">
@@ -448,7 +440,7 @@ export default function Settings() {
           <div>
             <h2 className="text-xl font-semibold text-cyber-text">AI Auto-Categorization</h2>
             <p className="text-cyber-muted text-sm">
-              Use Gemini AI to automatically categorize your tags into life dimensions
+              Use your selected AI provider to automatically categorize your tags into life dimensions
             </p>
           </div>
         </div>
@@ -521,7 +513,7 @@ export default function Settings() {
             <li>See at a glance which areas of life you're focused on</li>
           </ol>
           <p className="text-xs text-yellow-400/80 mt-2">
-            ⚠️ Requires Gemini API key in .env file (VITE_GEMINI_API_KEY)
+            🔒 Gemini runs through the app server, so no API key is stored in the browser. Local and offline providers need no server at all.
           </p>
         </div>
       </div>
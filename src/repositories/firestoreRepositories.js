@@ -0,0 +1,249 @@
+import { db } from '../firebase/config';
+import {
+  collection,
+  doc,
+  addDoc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  increment,
+  writeBatch,
+  Timestamp
+} from 'firebase/firestore';
+
+/**
+ * Firestore Repositories
+ * The only module that talks to Firestore for user data.
+ *
+ * Records come back as plain objects with an `id`, and Firestore
+ * Timestamps converted to Dates; Dates passed in are stored as Timestamps.
+ */
+
+const MAX_BATCH_WRITES = 500; // Firestore limit
+
+/**
+ * Convert top-level Timestamps in a document to Dates
+ * @param {DocumentSnapshot} docSnap - Firestore document
+ * @returns {Object} - Record with `id`
+ */
+const toRecord = (docSnap) => {
+  const record = { id: docSnap.id };
+  Object.entries(docSnap.data()).forEach(([key, value]) => {
+    record[key] = value instanceof Timestamp ? value.toDate() : value;
+  });
+  return record;
+};
+
+/**
+ * Strip the `id` from a record before writing it
+ * @param {Object} record - Record with `id`
+ * @returns {Object} - Document data
+ */
+const toData = (record) => {
+  const data = { ...record };
+  delete data.id;
+  return data;
+};
+
+/**
+ * Run writes in batches of at most 500
+ * @param {Array} items - Items to write
+ * @param {function(WriteBatch, any)} write - Adds one item to the batch
+ * @returns {Promise<void>}
+ */
+const commitInBatches = async (items, write) => {
+  for (let i = 0; i < items.length; i += MAX_BATCH_WRITES) {
+    const batch = writeBatch(db);
+    items.slice(i, i + MAX_BATCH_WRITES).forEach(item => write(batch, item));
+    await batch.commit();
+  }
+};
+
+/**
+ * All of a user's documents in a collection
+ * @param {string} collectionName - Collection
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Records
+ */
+const getAllByUser = async (collectionName, userId) => {
+  const querySnapshot = await getDocs(query(collection(db, collectionName), where('userId', '==', userId)));
+  return querySnapshot.docs.map(toRecord);
+};
+
+/**
+ * One page of a user's documents, newest first
+ * Needs a (userId, field desc) composite index (see firestore.indexes.json)
+ * @param {string} collectionName - Collection
+ * @param {string} field - Timestamp field to filter and order by
+ * @param {string} userId - User ID
+ * @param {Object} options - { startDate?, endDate?, pageSize, cursor? }
+ * @returns {Promise<{records: Array, cursor: DocumentSnapshot|null, hasMore: boolean}>}
+ */
+const getPageByDate = async (collectionName, field, userId, { startDate = null, endDate = null, pageSize, cursor = null }) => {
+  const constraints = [where('userId', '==', userId)];
+  if (startDate) constraints.push(where(field, '>=', Timestamp.fromDate(startDate)));
+  if (endDate) constraints.push(where(field, '<=', Timestamp.fromDate(endDate)));
+  constraints.push(orderBy(field, 'desc'));
+  if (cursor) constraints.push(startAfter(cursor));
+  constraints.push(limit(pageSize));
+
+  const querySnapshot = await getDocs(query(collection(db, collectionName), ...constraints));
+  const docs = querySnapshot.docs;
+
+  return {
+    records: docs.map(toRecord),
+    cursor: docs.length > 0 ? docs[docs.length - 1] : null,
+    hasMore: docs.length === pageSize,
+  };
+};
+
+/**
+ * Build the Firestore-backed repositories
+ * @returns {Object} - { logs, tagMappings, videos, history, connections, settings, categorizationCache }
+ */
+export const createFirestoreRepositories = () => {
+  const logs = {
+    create: async (userId, log) => {
+      const docRef = await addDoc(collection(db, 'daily_logs'), { ...log, userId });
+      return docRef.id;
+    },
+    get: async (logId) => {
+      const docSnap = await getDoc(doc(db, 'daily_logs', logId));
+      return docSnap.exists() ? toRecord(docSnap) : null;
+    },
+    update: (logId, changes) => updateDoc(doc(db, 'daily_logs', logId), changes),
+    remove: (logId) => deleteDoc(doc(db, 'daily_logs', logId)),
+    getPage: async (userId, options) => {
+      const { records, cursor, hasMore } = await getPageByDate('daily_logs', 'date', userId, options);
+      return { logs: records, cursor, hasMore };
+    },
+    getAll: (userId) => getAllByUser('daily_logs', userId),
+  };
+
+  const tagMappings = {
+    get: async (userId) => {
+      const docSnap = await getDoc(doc(db, 'tag_mappings', userId));
+      return docSnap.exists() ? toData(toRecord(docSnap)) : null;
+    },
+    set: (userId, data) => setDoc(doc(db, 'tag_mappings', userId), { ...data, userId }),
+  };
+
+  const videos = {
+    getKeys: async (userId) => {
+      const records = await getAllByUser('categorized_videos', userId);
+      return new Set(records.map(record => record.videoKey).filter(Boolean));
+    },
+    // Point reads of the given keys only, so the cost doesn't grow with the history
+    getExistingKeys: async (userId, videoKeys) => {
+      const snaps = await Promise.all(videoKeys.map(videoKey => getDoc(doc(db, 'categorized_videos', `${userId}_${videoKey}`))));
+      return new Set(videoKeys.filter((_, i) => snaps[i].exists()));
+    },
+    mergeMany: (records) => commitInBatches(records, (batch, record) => {
+      batch.set(doc(db, 'categorized_videos', record.id), toData(record), { merge: true });
+    }),
+    updateMany: (updates) => commitInBatches(updates, (batch, { id, changes }) => {
+      batch.update(doc(db, 'categorized_videos', id), changes);
+    }),
+    getPage: async (userId, options) => {
+      const { records, cursor, hasMore } = await getPageByDate('categorized_videos', 'watchedAt', userId, options);
+      return { videos: records, cursor, hasMore };
+    },
+    getAll: (userId) => getAllByUser('categorized_videos', userId),
+    removeMany: (ids) => commitInBatches(ids, (batch, id) => {
+      batch.delete(doc(db, 'categorized_videos', id));
+    }),
+  };
+
+  const history = {
+    mergeMany: (records) => commitInBatches(records, (batch, record) => {
+      batch.set(doc(db, 'youtube_history', record.id), toData(record), { merge: true });
+    }),
+    getAll: (userId) => getAllByUser('youtube_history', userId),
+  };
+
+  const connections = {
+    getAll: (userId) => getAllByUser('tag_connections', userId),
+    // Needs the (userId, weight desc) composite index in firestore.indexes.json
+    getStrongest: async (userId, { minWeight, maxCount }) => {
+      const querySnapshot = await getDocs(query(
+        collection(db, 'tag_connections'),
+        where('userId', '==', userId),
+        where('weight', '>=', minWeight),
+        orderBy('weight', 'desc'),
+        limit(maxCount)
+      ));
+      return querySnapshot.docs.map(toRecord);
+    },
+    // Blind upserts: no reads, so an import batch costs only its writes
+    // (edges first created here have no createdAt)
+    incrementMany: (userId, changes, now = new Date()) => commitInBatches(changes, (batch, { id, source, target, delta }) => {
+      batch.set(
+        doc(db, 'tag_connections', id),
+        { userId, source, target, weight: increment(delta), lastUpdated: now },
+        { merge: true }
+      );
+    }),
+    adjust: async (userId, changes, now = new Date()) => {
+      const writes = [];
+
+      for (const { id, source, target, delta } of changes) {
+        const connectionRef = doc(db, 'tag_connections', id);
+
+        // Check if connection already exists
+        const connectionSnap = await getDoc(connectionRef);
+
+        if (connectionSnap.exists()) {
+          // Shift the weight, or drop the edge once nothing supports it
+          writes.push(connectionSnap.data().weight + delta > 0
+            ? batch => batch.update(connectionRef, { weight: increment(delta), lastUpdated: now })
+            : batch => batch.delete(connectionRef));
+        } else if (delta > 0) {
+          // Create new connection
+          writes.push(batch => batch.set(connectionRef, { userId, source, target, weight: delta, createdAt: now, lastUpdated: now }));
+        }
+      }
+
+      await commitInBatches(writes, (batch, write) => write(batch));
+    },
+    setMany: (records) => commitInBatches(records, (batch, record) => {
+      batch.set(doc(db, 'tag_connections', record.id), toData(record));
+    }),
+    removeMany: (ids) => commitInBatches(ids, (batch, id) => {
+      batch.delete(doc(db, 'tag_connections', id));
+    }),
+  };
+
+  const settings = {
+    get: async (userId) => {
+      const docSnap = await getDoc(doc(db, 'user_settings', userId));
+      return docSnap.exists() ? toRecord(docSnap) : null;
+    },
+    merge: (userId, changes) => setDoc(doc(db, 'user_settings', userId), changes, { merge: true }),
+  };
+
+  const categorizationCache = {
+    getMany: (ids) => Promise.all(ids.map(async id => {
+      const docSnap = await getDoc(doc(db, 'categorization_cache', id));
+      return docSnap.exists() ? toRecord(docSnap) : null;
+    })),
+    setMany: (records) => commitInBatches(records, (batch, record) => {
+      batch.set(doc(db, 'categorization_cache', record.id), toData(record));
+    }),
+    clear: async (userId) => {
+      const records = await getAllByUser('categorization_cache', userId);
+      await commitInBatches(records, (batch, record) => {
+        batch.delete(doc(db, 'categorization_cache', record.id));
+      });
+      return records.length;
+    },
+  };
+
+  return { logs, tagMappings, videos, history, connections, settings, categorizationCache };
+};
@@ -0,0 +1,71 @@
+import { auth } from '../firebase/config';
+import { createFirestoreRepositories } from './firestoreRepositories';
+import { createLocalRepositories } from './localRepositories';
+
+/**
+ * Repositories
+ * Storage for user data behind one interface, so services don't care where
+ * it lives. The backend is picked once at startup:
+ *
+ *   VITE_STORAGE_BACKEND=firestore  (default) Firestore, signed-in Firebase user
+ *   VITE_STORAGE_BACKEND=local      IndexedDB (memory without it), offline demo user
+ *
+ * Every repository method is async. Records are plain objects with an `id`;
+ * date fields are Dates.
+ *
+ * logs         create(userId, log) → id, get(id), update(id, changes), remove(id),
+ *              getPage(userId, { startDate, endDate, pageSize, cursor }) → { logs, cursor, hasMore },
+ *              getAll(userId)
+ * tagMappings  get(userId) → { userId, mappings, updatedAt } | null, set(userId, data)
+ * videos       getKeys(userId) → Set<videoKey> (lists every video),
+ *              getExistingKeys(userId, videoKeys) → Set<videoKey> (point reads of "{userId}_{videoKey}"),
+ *              mergeMany(records), updateMany([{ id, changes }]),
+ *              getPage(userId, { startDate, endDate, pageSize, cursor }) → { videos, cursor, hasMore },
+ *              getAll(userId), removeMany(ids)
+ * history      mergeMany(records), getAll(userId)
+ * connections  getAll(userId), getStrongest(userId, { minWeight, maxCount }) → heaviest first,
+ *              incrementMany(userId, [{ id, source, target, delta > 0 }]) (upsert, no reads),
+ *              adjust(userId, [{ id, source, target, delta }]) (reads; edges at weight <= 0 are deleted),
+ *              setMany(records), removeMany(ids)
+ * settings     get(userId), merge(userId, changes)
+ * categorizationCache  getMany(ids) → [record | null], setMany(records), clear(userId) → count removed
+ */
+
+export const STORAGE_BACKENDS = {
+  firestore: 'Firestore',
+  local: 'Local (offline)',
+};
+
+export const STORAGE_BACKEND = import.meta.env.VITE_STORAGE_BACKEND === 'local' ? 'local' : 'firestore';
+
+// Signed in automatically when running on the local backend
+export const LOCAL_DEMO_USER = {
+  uid: 'local-demo-user',
+  email: 'demo@identity-compass.local',
+  displayName: 'Demo User',
+  isLocal: true,
+};
+
+/**
+ * Whether data is stored on this device only
+ * @returns {boolean}
+ */
+export const isLocalBackend = () => STORAGE_BACKEND === 'local';
+
+/**
+ * ID of the signed-in user, for services called outside React
+ * @returns {string|null}
+ */
+export const getCurrentUserId = () => (
+  isLocalBackend() ? LOCAL_DEMO_USER.uid : auth.currentUser?.uid || null
+);
+
+const repositories = isLocalBackend() ? createLocalRepositories() : createFirestoreRepositories();
+
+export const logRepository = repositories.logs;
+export const tagMappingRepository = repositories.tagMappings;
+export const videoRepository = repositories.videos;
+export const historyRepository = repositories.history;
+export const connectionRepository = repositories.connections;
+export const settingsRepository = repositories.settings;
+export const categorizationCacheRepository = repositories.categorizationCache;
@@ -0,0 +1,181 @@
+import { createDefaultLocalStore } from './localStore';
+
+/**
+ * Local Repositories
+ * Same contract as firestoreRepositories, backed by a local store.
+ * Nothing leaves the device, so the app runs fully offline.
+ */
+
+/**
+ * Generate a random document ID (like Firestore's auto IDs)
+ * @returns {string}
+ */
+const generateId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID().replace(/-/g, '');
+  }
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 12)}`;
+};
+
+/**
+ * Sort, window and paginate a user's records in memory
+ * The cursor is the offset of the next page
+ * @param {Array} records - All of the user's records
+ * @param {string} field - Date field to filter and order by (newest first)
+ * @param {Object} options - { startDate?, endDate?, pageSize, cursor? }
+ * @returns {{records: Array, cursor: number|null, hasMore: boolean}}
+ */
+const pageByDate = (records, field, { startDate = null, endDate = null, pageSize, cursor = null }) => {
+  const matching = records
+    .filter(record => record[field] instanceof Date)
+    .filter(record => (!startDate || record[field] >= startDate) && (!endDate || record[field] <= endDate))
+    .sort((a, b) => b[field] - a[field]);
+
+  const offset = cursor || 0;
+  const page = matching.slice(offset, offset + pageSize);
+  const hasMore = offset + pageSize < matching.length;
+
+  return { records: page, cursor: hasMore ? offset + pageSize : null, hasMore };
+};
+
+/**
+ * Build the repositories on top of a local store
+ * @param {Object} store - See localStore.js (defaults to IndexedDB, or memory without it)
+ * @returns {Object} - { logs, tagMappings, videos, history, connections, settings, categorizationCache }
+ */
+export const createLocalRepositories = (store = createDefaultLocalStore()) => {
+  const logs = {
+    create: async (userId, log) => {
+      const id = generateId();
+      await store.put('daily_logs', { ...log, id, userId });
+      return id;
+    },
+    get: (logId) => store.get('daily_logs', logId),
+    update: async (logId, changes) => {
+      const existing = await store.get('daily_logs', logId);
+      if (!existing) {
+        throw new Error(`Daily log ${logId} not found`);
+      }
+      await store.put('daily_logs', { ...existing, ...changes, id: logId });
+    },
+    remove: (logId) => store.remove('daily_logs', logId),
+    getPage: async (userId, options) => {
+      const { records, cursor, hasMore } = pageByDate(await store.getAllByUser('daily_logs', userId), 'date', options);
+      return { logs: records, cursor, hasMore };
+    },
+    getAll: (userId) => store.getAllByUser('daily_logs', userId),
+  };
+
+  const tagMappings = {
+    get: async (userId) => {
+      const record = await store.get('tag_mappings', userId);
+      if (!record) return null;
+      const { id: _id, ...data } = record;
+      return data;
+    },
+    set: (userId, data) => store.put('tag_mappings', { ...data, id: userId, userId }),
+  };
+
+  const videos = {
+    getKeys: async (userId) => {
+      const records = await store.getAllByUser('categorized_videos', userId);
+      return new Set(records.map(record => record.videoKey).filter(Boolean));
+    },
+    getExistingKeys: async (userId, videoKeys) => {
+      const records = await Promise.all(videoKeys.map(videoKey => store.get('categorized_videos', `${userId}_${videoKey}`)));
+      return new Set(videoKeys.filter((_, i) => records[i]));
+    },
+    mergeMany: async (records) => {
+      const merged = await Promise.all(records.map(async record => ({
+        ...(await store.get('categorized_videos', record.id)),
+        ...record,
+      })));
+      await store.putMany('categorized_videos', merged);
+    },
+    updateMany: async (updates) => {
+      const updated = await Promise.all(updates.map(async ({ id, changes }) => {
+        const existing = await store.get('categorized_videos', id);
+        if (!existing) {
+          throw new Error(`Categorized video ${id} not found`);
+        }
+        return { ...existing, ...changes, id };
+      }));
+      await store.putMany('categorized_videos', updated);
+    },
+    getPage: async (userId, options) => {
+      const { records, cursor, hasMore } = pageByDate(await store.getAllByUser('categorized_videos', userId), 'watchedAt', options);
+      return { videos: records, cursor, hasMore };
+    },
+    getAll: (userId) => store.getAllByUser('categorized_videos', userId),
+    removeMany: (ids) => store.removeMany('categorized_videos', ids),
+  };
+
+  const history = {
+    mergeMany: async (records) => {
+      const merged = await Promise.all(records.map(async record => ({
+        ...(await store.get('youtube_history', record.id)),
+        ...record,
+      })));
+      await store.putMany('youtube_history', merged);
+    },
+    getAll: (userId) => store.getAllByUser('youtube_history', userId),
+  };
+
+  const connections = {
+    getAll: (userId) => store.getAllByUser('tag_connections', userId),
+    getStrongest: async (userId, { minWeight, maxCount }) => (await store.getAllByUser('tag_connections', userId))
+      .filter(record => record.weight >= minWeight)
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, maxCount),
+    incrementMany: async (userId, changes, now = new Date()) => {
+      const records = await Promise.all(changes.map(async ({ id, source, target, delta }) => {
+        const existing = await store.get('tag_connections', id);
+        return existing
+          ? { ...existing, weight: existing.weight + delta, lastUpdated: now }
+          : { id, userId, source, target, weight: delta, lastUpdated: now };
+      }));
+      await store.putMany('tag_connections', records);
+    },
+    adjust: async (userId, changes, now = new Date()) => {
+      const records = [];
+      const removed = [];
+      await Promise.all(changes.map(async ({ id, source, target, delta }) => {
+        const existing = await store.get('tag_connections', id);
+        const weight = (existing?.weight || 0) + delta;
+        if (weight <= 0) {
+          if (existing) removed.push(id);
+        } else {
+          records.push(existing
+            ? { ...existing, weight, lastUpdated: now }
+            : { id, userId, source, target, weight, createdAt: now, lastUpdated: now });
+        }
+      }));
+      await store.putMany('tag_connections', records);
+      await store.removeMany('tag_connections', removed);
+    },
+    setMany: (records) => store.putMany('tag_connections', records),
+    removeMany: (ids) => store.removeMany('tag_connections', ids),
+  };
+
+  const settings = {
+    get: async (userId) => store.get('user_settings', userId),
+    merge: async (userId, changes) => {
+      const existing = await store.get('user_settings', userId);
+      await store.put('user_settings', { ...existing, ...changes, id: userId });
+    },
+  };
+
+  // The user's copy of the categorization cache (the device cache in
+  // categorization_cache is keyed differently, so this has its own store)
+  const categorizationCache = {
+    getMany: (ids) => Promise.all(ids.map(id => store.get('user_categorization_cache', id))),
+    setMany: (records) => store.putMany('user_categorization_cache', records),
+    clear: async (userId) => {
+      const records = await store.getAllByUser('user_categorization_cache', userId);
+      await store.removeMany('user_categorization_cache', records.map(record => record.id));
+      return records.length;
+    },
+  };
+
+  return { logs, tagMappings, videos, history, connections, settings, categorizationCache };
+};
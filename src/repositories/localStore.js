@@ -0,0 +1,74 @@
+import {
+  localGet,
+  localPut,
+  localPutMany,
+  localDelete,
+  localDeleteMany,
+  localGetAllByIndex
+} from '../services/localDatabase';
+
+/**
+ * Local Stores
+ * Record stores behind the local repositories: IndexedDB in the browser,
+ * plain memory where IndexedDB doesn't exist (Node, tests, private windows).
+ * Both hold records keyed by `id` and grouped by `userId`.
+ */
+
+/**
+ * Store backed by the IndexedDB object stores in localDatabase
+ * @returns {Object} - Local store
+ */
+export const createIndexedDbStore = () => ({
+  get: async (collection, id) => (await localGet(collection, id)) || null,
+  getAllByUser: (collection, userId) => localGetAllByIndex(collection, 'userId', userId),
+  put: (collection, record) => localPut(collection, record),
+  putMany: (collection, records) => localPutMany(collection, records),
+  remove: (collection, id) => localDelete(collection, id),
+  removeMany: (collection, ids) => localDeleteMany(collection, ids),
+});
+
+/**
+ * Store that lives in memory for the lifetime of the page/process
+ * Records are cloned on the way in and out, like a real database
+ * @returns {Object} - Local store
+ */
+export const createMemoryStore = () => {
+  const collections = new Map();
+
+  const getCollection = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  };
+
+  return {
+    get: async (collection, id) => {
+      const record = getCollection(collection).get(id);
+      return record ? structuredClone(record) : null;
+    },
+    getAllByUser: async (collection, userId) => Array.from(getCollection(collection).values())
+      .filter(record => record.userId === userId)
+      .map(record => structuredClone(record)),
+    put: async (collection, record) => {
+      getCollection(collection).set(record.id, structuredClone(record));
+    },
+    putMany: async (collection, records) => {
+      records.forEach(record => getCollection(collection).set(record.id, structuredClone(record)));
+    },
+    remove: async (collection, id) => {
+      getCollection(collection).delete(id);
+    },
+    removeMany: async (collection, ids) => {
+      ids.forEach(id => getCollection(collection).delete(id));
+    },
+  };
+};
+
+/**
+ * Pick the best store available in this environment
+ * @returns {Object} - Local store
+ */
+export const createDefaultLocalStore = () => (
+  typeof indexedDB === 'undefined' ? createMemoryStore() : createIndexedDbStore()
+);
@@ -1,131 +1,36 @@
-import { getDimensionNames } from '../constants/dimensions';
+import { assignSubdimension, createDimensionScores, normalizeDimension } from '../constants/dimensions';
+import { categorizeWithCache } from './categorizationCacheService';
 
 /**
  * AI Categorization Service - STEP 22 OPTIMIZED
- * Uses Gemini API to automatically categorize tags into life dimensions
- * Optimized for maximum throughput on Free Tier (15 requests/minute)
+ * Automatically categorizes tags into life dimensions using the AI provider
+ * selected in Settings (see llmProviderService)
+ * Tags seen before are answered from the categorization cache
+ * Request pacing and the daily budget are handled by rateLimiterService
  */
 
-const GEMINI_API_KEY = import.meta.env.VITE_GEMINI_API_KEY || '';
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
-
-/**
- * Sleep utility for rate limiting
- * @param {number} ms - Milliseconds to sleep
- */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
 /**
- * Categorize tags using Gemini AI with robust error handling
+ * Categorize tags with the active AI provider
  * @param {string[]} tags - Array of tag names to categorize (up to 50)
- * @param {number} retryCount - Internal retry counter
- * @returns {Promise<Object>} - Object mapping tag names to categories
+ * @returns {Promise<Object>} - Normalized tag name -> { category, subcategory, categories, confidence, defaulted }
  */
-export const categorizeTags = async (tags, retryCount = 0) => {
-  if (!GEMINI_API_KEY) {
-    throw new Error('Gemini API key not configured. Please add VITE_GEMINI_API_KEY to your .env file');
-  }
-
+export const categorizeTags = async (tags) => {
   if (!tags || tags.length === 0) {
     return {};
   }
 
-  const dimensionNames = getDimensionNames();
-  const prompt = `Classify these ${tags.length} tags into [Career, Spiritual, Health, Social, Intellectual, Entertainment]. Return a JSON list.
-
-Tags to classify:
-${tags.map((tag, i) => `${i + 1}. ${tag}`).join('\n')}
-
-Category Definitions:
-- Career: Coding, Finance, Business, Work, Professional Development
-- Spiritual: Meditation, Philosophy, Religion, Mindfulness, Personal Growth
-- Health: Gym, Diet, Sleep, Fitness, Exercise, Wellness
-- Social: Friends, Family, Dates, Community, Relationships
-- Intellectual: Books, History, Science, Education, Learning, Research
-- Entertainment: Movies, Games, Memes, Fun, Leisure, Hobbies
-
-Rules:
-1. Return ONLY valid JSON: {"tag": "Category", ...}
-2. Use exact category names (case-sensitive)
-3. Default to "Entertainment" if unsure
-4. Map all ${tags.length} tags
-
-JSON:`;
-
   try {
-    const response = await fetch(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }],
-        generationConfig: {
-          temperature: 0.2,
-          topK: 40,
-          topP: 0.95,
-          maxOutputTokens: 4096, // Increased for larger batches
-        }
-      })
-    });
-
-    // STEP 22: Robust 429 error handling
-    if (response.status === 429) {
-      if (retryCount < 3) {
-        console.warn(`⏳ Rate limit hit (429). Waiting 20 seconds before retry ${retryCount + 1}/3...`);
-        await sleep(20000); // Wait 20 seconds
-        return categorizeTags(tags, retryCount + 1); // Retry
-      } else {
-        throw new Error('Rate limit exceeded after 3 retries. Please wait a few minutes.');
-      }
-    }
+    const results = await categorizeWithCache('tag', tags, tags, { temperature: 0.2 });
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`Gemini API error: ${errorData.error?.message || 'Unknown error'}`);
-    }
-
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-
-    if (!text) {
-      throw new Error('No response from Gemini API');
-    }
-
-    // Extract JSON from response (handle markdown code blocks)
-    let jsonText = text.trim();
-    if (jsonText.startsWith('```json')) {
-      jsonText = jsonText.replace(/```json\n?/, '').replace(/\n?```$/, '');
-    } else if (jsonText.startsWith('```')) {
-      jsonText = jsonText.replace(/```\n?/, '').replace(/\n?```$/, '');
-    }
-
-    const categorization = JSON.parse(jsonText);
-    
-    console.log('🤖 Raw AI response:', categorization);
-    
-    // Validate and normalize the response
     const validatedCategories = {};
-    const validDimensions = new Set(dimensionNames);
-    
-    Object.keys(categorization).forEach(tag => {
-      const category = categorization[tag];
+    tags.forEach((tag, i) => {
       const normalizedTag = tag.toLowerCase().trim(); // Normalize tag to lowercase
-      
-      if (validDimensions.has(category)) {
-        validatedCategories[normalizedTag] = category;
-        console.log(`✅ Mapped: "${normalizedTag}" → ${category}`);
-      } else {
-        // Default to Entertainment if invalid category
-        console.warn(`Invalid category "${category}" for tag "${tag}", defaulting to Entertainment`);
-        validatedCategories[normalizedTag] = 'Entertainment';
-      }
+      const { category, categories, confidence, defaulted } = results[i];
+      const subcategory = assignSubdimension(category, results[i].subcategory, normalizedTag);
+      validatedCategories[normalizedTag] = { category, subcategory, categories, confidence, defaulted };
+      console.log(`✅ Mapped: "${normalizedTag}" → ${results[i].category}`);
     });
-    
+
     console.log('📦 Final validated categories:', validatedCategories);
 
     return validatedCategories;
@@ -136,17 +41,10 @@ JSON:`;
 };
 
 /**
- * STEP 22: Categorize tags in batches - GEMINI 2.5 FLASH FREE TIER
- * Official Free Tier Limits:
- *   - RPM: ~10 requests/minute
- *   - TPM: 250,000 tokens/minute
- *   - RPD: ~250 requests/day
- * 
- * Conservative Settings (Anti-Overload):
- *   - Batch Size: 20 tags per call (minimize total requests)
- *   - Rate Limit: 7-second delay → ~8.5 RPM (safe margin)
- *   - 100 tags = 5 requests only (35 seconds total)
- * 
+ * STEP 22: Categorize tags in batches
+ * Batch Size: 20 tags per call (minimize total requests against the daily budget)
+ * RPM/TPM/RPD limits and 429 retries are enforced by rateLimiterService
+ *
  * @param {string[]} tags - Array of all tags to categorize
  * @param {number} batchSize - Number of tags per batch (default 20)
  * @param {function} onProgress - Callback for progress updates
@@ -176,19 +74,11 @@ export const categorizeTagsInBatches = async (tags, batchSize = 20, onProgress =
       });
     }
 
-    // Categorize batch (with automatic retry on 429)
+    // Categorize batch (paced and retried by the shared rate limiter)
     const batchCategories = await categorizeTags(batch);
     allCategories = { ...allCategories, ...batchCategories };
     
     console.log(`✅ Batch ${batchNum} complete: ${Object.keys(batchCategories).length} tags categorized`);
-
-    // STEP 22: Mandatory 7-second delay (Gemini 2.5 Flash Free: 10 RPM limit)
-    // 7s delay = ~8.5 requests/min (safe margin under 10 RPM)
-    // Daily limit: 250 requests/day
-    if (i < batches.length - 1) {
-      console.log(`⏳ Waiting 7 seconds before next batch (Free Tier: 10 RPM, safe at ~8.5 RPM)...`);
-      await sleep(7000);
-    }
   }
 
   console.log(`🎉 All batches complete! Total categorized: ${Object.keys(allCategories).length} tags`);
@@ -197,20 +87,14 @@ export const categorizeTagsInBatches = async (tags, batchSize = 20, onProgress =
 
 /**
  * Get categorization statistics
- * @param {Object} categorization - Tag to category mapping
+ * @param {Object} categorization - Tag to category (or categorizeTags result) mapping
  * @returns {Object} - Statistics by category
  */
 export const getCategorizationStats = (categorization) => {
-  const stats = {
-    Career: 0,
-    Spiritual: 0,
-    Health: 0,
-    Social: 0,
-    Intellectual: 0,
-    Entertainment: 0
-  };
+  const stats = createDimensionScores();
 
-  Object.values(categorization).forEach(category => {
+  Object.values(categorization).forEach(result => {
+    const category = normalizeDimension(typeof result === 'string' ? result : result.category);
     if (stats[category] !== undefined) {
       stats[category]++;
     }
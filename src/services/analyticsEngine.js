@@ -1,24 +1,67 @@
-import { DIMENSION_CONFIG } from '../constants/dimensions';
+import {
+  classifySubdimension,
+  createDimensionScores,
+  getDimensionColor,
+  getDimensionNames,
+  getFallbackDimension,
+  getSubdimensionColor,
+  getSubdimensions,
+  normalizeDimension,
+  resolveSubdimension
+} from '../constants/dimensions';
 
 /**
  * Analytics Engine
  * Calculate category trends over time from categorized videos
+ *
+ * Multi-label videos count fractionally: a video that is 60% Career and
+ * 40% Intellectual adds 0.6 and 0.4, so every video still adds 1 in total.
+ * Drilling into a dimension splits its share by sub-dimension.
  */
 
+// Bucket for videos that match none of a dimension's sub-dimensions
+export const OTHER_SUBCATEGORY = 'Other';
+
 /**
- * Calculate category trends from categorized videos
- * @param {Array} categorizedVideos - Videos with categories and timestamps
- * @returns {Array} - Monthly trend data for charts
+ * Get a video's weighted categories
+ * Videos saved before multi-label categorization count fully toward their one category;
+ * legacy category names (e.g. Physical) are mapped to their current dimension
+ * @param {Object} video - Categorized video
+ * @returns {Array<{category: string, weight: number}>}
  */
-export const calculateCategoryTrends = (categorizedVideos) => {
-  if (!categorizedVideos || categorizedVideos.length === 0) {
-    return [];
-  }
+export const getCategoryWeights = (video) => {
+  const weights = Array.isArray(video.categories) && video.categories.length > 0
+    ? video.categories
+    : [{ category: video.category || getFallbackDimension(), weight: 1 }];
+  return weights.map(({ category, weight }) => ({ category: normalizeDimension(category), weight }));
+};
+
+/**
+ * Add a video's weights into a totals object (unknown categories are ignored)
+ * @param {Object} totals - Category -> score
+ * @param {Object} video - Categorized video
+ */
+const addCategoryWeights = (totals, video) => {
+  getCategoryWeights(video).forEach(({ category, weight }) => {
+    if (totals[category] !== undefined) {
+      totals[category] += weight;
+    }
+  });
+};
 
-  // Group videos by month
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Group videos by month and add up their weights
+ * @param {Array} videos - Videos with timestamps
+ * @param {string[]} keys - Series in each month (dimensions or sub-dimensions)
+ * @param {function(Object, Object)} addWeights - Adds one video's weights into a month
+ * @returns {Array} - Monthly data sorted by date
+ */
+const buildMonthlyTrends = (videos, keys, addWeights) => {
   const monthlyData = {};
 
-  categorizedVideos.forEach(video => {
+  videos.forEach(video => {
     if (!video.time) return;
 
     const date = new Date(video.time);
@@ -28,22 +71,36 @@ export const calculateCategoryTrends = (categorizedVideos) => {
       monthlyData[monthKey] = {
         name: monthKey,
         date: date,
-        Career: 0,
-        Spiritual: 0,
-        Health: 0,
-        Social: 0,
-        Intellectual: 0,
-        Entertainment: 0
+        ...Object.fromEntries(keys.map(key => [key, 0]))
       };
     }
 
-    // Add +1 to category score for this month
-    const category = video.category || 'Entertainment';
-    monthlyData[monthKey][category] += 1;
+    addWeights(monthlyData[monthKey], video);
   });
 
   // Convert to array and sort by date
   const trendsArray = Object.values(monthlyData).sort((a, b) => a.date - b.date);
+  trendsArray.forEach(month => {
+    keys.forEach(key => {
+      month[key] = roundScore(month[key]);
+    });
+  });
+
+  return trendsArray;
+};
+
+/**
+ * Calculate category trends from categorized videos
+ * @param {Array} categorizedVideos - Videos with categories and timestamps
+ * @returns {Array} - Monthly trend data for charts
+ */
+export const calculateCategoryTrends = (categorizedVideos) => {
+  if (!categorizedVideos || categorizedVideos.length === 0) {
+    return [];
+  }
+
+  // Add each video's category weights (summing to 1) to its month
+  const trendsArray = buildMonthlyTrends(categorizedVideos, getDimensionNames(), addCategoryWeights);
 
   console.log('📊 Calculated trends:', trendsArray);
   return trendsArray;
@@ -52,35 +109,94 @@ export const calculateCategoryTrends = (categorizedVideos) => {
 /**
  * Calculate total scores for all categories (for pie chart)
  * @param {Array} categorizedVideos - Videos with categories
- * @returns {Array} - Category totals for pie chart
+ * @returns {Array} - Category totals for pie chart (fractional for multi-label videos)
  */
 export const calculateCategoryTotals = (categorizedVideos) => {
-  const totals = {
-    Career: 0,
-    Spiritual: 0,
-    Health: 0,
-    Social: 0,
-    Intellectual: 0,
-    Entertainment: 0
-  };
+  const totals = createDimensionScores();
 
-  categorizedVideos.forEach(video => {
-    const category = video.category || 'Entertainment';
-    totals[category] += 1;
-  });
+  categorizedVideos.forEach(video => addCategoryWeights(totals, video));
 
   // Convert to array format for pie chart
   const pieData = Object.entries(totals)
-    .filter(([_, value]) => value > 0)
+    .filter(([, value]) => value > 0)
     .map(([category, value]) => ({
       name: category,
-      value: value,
-      color: DIMENSION_CONFIG[category]?.color || '#808080'
+      value: roundScore(value),
+      color: getDimensionColor(category)
     }));
 
   return pieData;
 };
 
+/**
+ * Sub-dimension of a video within a dimension
+ * Videos saved before sub-dimensions (or filed under another primary category)
+ * are placed by the keyword rules on their title
+ * @param {Object} video - Categorized video
+ * @param {string} dimension - Dimension being drilled into
+ * @returns {string} - Sub-dimension name or OTHER_SUBCATEGORY
+ */
+export const getVideoSubcategory = (video, dimension) => {
+  const stored = normalizeDimension(video.category) === dimension
+    ? resolveSubdimension(dimension, video.subcategory)
+    : null;
+  return stored || classifySubdimension(dimension, video.title) || OTHER_SUBCATEGORY;
+};
+
+/**
+ * Add a video's share of one dimension to its sub-dimension
+ * @param {Object} totals - Sub-dimension -> score
+ * @param {Object} video - Categorized video
+ * @param {string} dimension - Dimension being drilled into
+ */
+const addSubcategoryWeight = (totals, video, dimension) => {
+  const share = getCategoryWeights(video).find(({ category }) => category === dimension);
+  if (share) {
+    totals[getVideoSubcategory(video, dimension)] += share.weight;
+  }
+};
+
+const getSubcategoryKeys = (dimension) => [...getSubdimensions(dimension).map(sub => sub.name), OTHER_SUBCATEGORY];
+
+/**
+ * Calculate sub-dimension totals within one dimension (pie drill-down)
+ * @param {Array} categorizedVideos - Videos with categories
+ * @param {string} dimension - Dimension to split
+ * @returns {Array} - Sub-dimension totals for the pie chart
+ */
+export const calculateSubcategoryTotals = (categorizedVideos, dimension) => {
+  const keys = getSubcategoryKeys(dimension);
+  const totals = Object.fromEntries(keys.map(key => [key, 0]));
+
+  categorizedVideos.forEach(video => addSubcategoryWeight(totals, video, dimension));
+
+  return Object.entries(totals)
+    .filter(([, value]) => value > 0)
+    .map(([subcategory, value]) => ({
+      name: subcategory,
+      value: roundScore(value),
+      color: getSubdimensionColor(dimension, subcategory)
+    }));
+};
+
+/**
+ * Calculate sub-dimension trends within one dimension (trends drill-down)
+ * @param {Array} categorizedVideos - Videos with categories and timestamps
+ * @param {string} dimension - Dimension to split
+ * @returns {Array} - Monthly trend data keyed by sub-dimension
+ */
+export const calculateSubcategoryTrends = (categorizedVideos, dimension) => {
+  if (!categorizedVideos || categorizedVideos.length === 0) {
+    return [];
+  }
+
+  return buildMonthlyTrends(
+    categorizedVideos,
+    getSubcategoryKeys(dimension),
+    (month, video) => addSubcategoryWeight(month, video, dimension)
+  );
+};
+
 /**
  * Determine dominant archetype based on highest category
  * @param {Array} pieData - Category totals
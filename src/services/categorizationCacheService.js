@@ -0,0 +1,240 @@
+import { localGet, localGetAll, localPutMany, localClear } from './localDatabase';
+import { categorizationCacheRepository, getCurrentUserId, isLocalBackend } from '../repositories';
+import { hashString } from './categorizedVideoService';
+import { PROMPT_VERSION, getPromptDimensions, getActiveProvider, categorizeTexts } from './llmProviderService';
+
+/**
+ * Categorization Cache Service
+ * Remembers AI answers per normalized title/tag so re-imports don't spend
+ * the daily request budget on items that were already classified.
+ *
+ * Lookups go IndexedDB first, then (if enabled) the user's synced cache in
+ * categorizationCacheRepository, which follows them across browsers. Every entry stores the fingerprint of
+ * the prompt version + dimension set it was produced with; entries with a
+ * different fingerprint count as misses and are overwritten.
+ * Sync is unavailable on the local storage backend (everything is on the device).
+ */
+
+const STORE_NAME = 'categorization_cache';
+const SETTINGS_KEY = 'identity-compass:categorization-cache';
+
+/**
+ * Normalize a title or tag for cache lookups
+ * @param {string} text - Title or tag
+ * @returns {string}
+ */
+export const normalizeCacheText = (text) => {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Fingerprint of everything that changes the model's answer
+ * @returns {string}
+ */
+export const getCacheFingerprint = () => {
+  return hashString(`${PROMPT_VERSION}:${JSON.stringify(getPromptDimensions())}`);
+};
+
+/**
+ * Read cache settings and counters from localStorage
+ * @returns {{syncToFirestore: boolean, hits: number, misses: number}}
+ */
+export const getCacheSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    return {
+      syncToFirestore: Boolean(stored.syncToFirestore) && !isLocalBackend(),
+      hits: stored.hits || 0,
+      misses: stored.misses || 0,
+    };
+  } catch {
+    return { syncToFirestore: false, hits: 0, misses: 0 };
+  }
+};
+
+/**
+ * Persist cache settings and counters
+ * @param {Object} changes - Fields to update
+ */
+export const saveCacheSettings = (changes) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...getCacheSettings(), ...changes }));
+};
+
+/**
+ * Add lookup results to the hit/miss counters
+ * @param {number} hits - Items answered from cache
+ * @param {number} misses - Items sent to the provider
+ */
+const recordLookup = (hits, misses) => {
+  const settings = getCacheSettings();
+  saveCacheSettings({ hits: settings.hits + hits, misses: settings.misses + misses });
+};
+
+const cacheKey = (kind, text) => `${kind}:${normalizeCacheText(text)}`;
+
+const syncedEntryId = (userId, key) => `${userId}_${hashString(key)}`;
+
+const toResult = (entry) => ({
+  category: entry.category,
+  subcategory: entry.subcategory ?? null,
+  categories: entry.categories || [{ category: entry.category, weight: 1 }],
+  confidence: entry.confidence ?? null,
+});
+
+/**
+ * Look up cached categories for a list of items
+ * @param {'title'|'tag'} kind - What is being classified
+ * @param {string[]} texts - Titles or tags
+ * @returns {Promise<Array<Object|null>>} - { category, categories, confidence } per item, null on a miss
+ */
+export const getCachedCategories = async (kind, texts) => {
+  const fingerprint = getCacheFingerprint();
+  const results = new Array(texts.length).fill(null);
+
+  try {
+    const localEntries = await Promise.all(texts.map(text => localGet(STORE_NAME, cacheKey(kind, text))));
+    localEntries.forEach((entry, i) => {
+      if (entry?.fingerprint === fingerprint) {
+        results[i] = toResult(entry);
+      }
+    });
+
+    const userId = getCurrentUserId();
+    const missing = results.map((result, i) => (result ? null : i)).filter(i => i !== null);
+
+    if (userId && missing.length > 0 && getCacheSettings().syncToFirestore) {
+      const synced = await categorizationCacheRepository.getMany(
+        missing.map(i => syncedEntryId(userId, cacheKey(kind, texts[i])))
+      );
+
+      const restored = [];
+      synced.forEach((data, j) => {
+        if (data?.fingerprint === fingerprint) {
+          results[missing[j]] = toResult(data);
+          restored.push({ key: data.key, kind, text: data.text, ...toResult(data), fingerprint });
+        }
+      });
+
+      if (restored.length > 0) {
+        await localPutMany(STORE_NAME, restored);
+      }
+    }
+  } catch (error) {
+    // A broken cache must never block categorization
+    console.warn('⚠️ Categorization cache lookup failed:', error);
+  }
+
+  const hits = results.filter(Boolean).length;
+  recordLookup(hits, texts.length - hits);
+  if (hits > 0) {
+    console.log(`🗄️ Cache: ${hits}/${texts.length} ${kind}s already categorized`);
+  }
+
+  return results;
+};
+
+/**
+ * Store fresh categorizations
+ * @param {'title'|'tag'} kind - What was classified
+ * @param {Array<{text: string, category: string, categories: Array, confidence: number|null}>} items - Provider answers
+ * @returns {Promise<void>}
+ */
+export const cacheCategories = async (kind, items) => {
+  if (!items || items.length === 0) return;
+
+  const fingerprint = getCacheFingerprint();
+  const entries = items.map(({ text, ...result }) => ({
+    key: cacheKey(kind, text),
+    kind,
+    text: normalizeCacheText(text),
+    ...toResult(result),
+    fingerprint,
+  }));
+
+  try {
+    await localPutMany(STORE_NAME, entries);
+
+    const userId = getCurrentUserId();
+    if (!userId || !getCacheSettings().syncToFirestore) return;
+
+    const updatedAt = new Date();
+    await categorizationCacheRepository.setMany(entries.map(entry => ({
+      ...entry,
+      id: syncedEntryId(userId, entry.key),
+      userId,
+      updatedAt,
+    })));
+  } catch (error) {
+    console.warn('⚠️ Failed to write categorization cache:', error);
+  }
+};
+
+/**
+ * Categorize items, sending only cache misses to the active provider
+ * @param {'title'|'tag'} kind - What is being classified
+ * @param {string[]} keys - Cache key text per item (plain title or tag)
+ * @param {string[]} texts - Text sent to the provider per item (may carry extra hints)
+ * @param {Object} options - Passed to categorizeTexts
+ * @returns {Promise<Array<{category: string, categories: Array, confidence: number|null, defaulted: boolean, cached: boolean}>>} - Aligned with `keys`
+ */
+export const categorizeWithCache = async (kind, keys, texts, options = {}) => {
+  const cached = await getCachedCategories(kind, keys);
+  const missing = cached.map((result, i) => (result ? null : i)).filter(i => i !== null);
+
+  const results = cached.map(result => (result ? { ...result, defaulted: false, cached: true } : null));
+  if (missing.length === 0) return results;
+
+  const fresh = await categorizeTexts(missing.map(i => texts[i]), { ...options, kind });
+  missing.forEach((index, j) => {
+    results[index] = { ...fresh[j], cached: false };
+  });
+
+  // Rule-based answers cost nothing and defaulted answers are guesses: keep neither
+  const provider = getActiveProvider();
+  if (provider.request || provider.categorize) {
+    await cacheCategories(kind, missing
+      .filter((_, j) => !fresh[j].defaulted)
+      .map(index => ({ text: keys[index], ...results[index] })));
+  }
+
+  return results;
+};
+
+/**
+ * Get cache statistics for Settings
+ * @returns {Promise<{hits: number, misses: number, hitRate: number, entries: number, staleEntries: number}>}
+ */
+export const getCacheStats = async () => {
+  const { hits, misses } = getCacheSettings();
+  const fingerprint = getCacheFingerprint();
+  const entries = await localGetAll(STORE_NAME);
+  const staleEntries = entries.filter(entry => entry.fingerprint !== fingerprint).length;
+
+  return {
+    hits,
+    misses,
+    hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+    entries: entries.length - staleEntries,
+    staleEntries,
+  };
+};
+
+/**
+ * Invalidate the whole cache (this device, plus the user's synced entries)
+ * @param {string|null} userId - User whose synced cache to delete
+ * @returns {Promise<void>}
+ */
+export const clearCategorizationCache = async (userId = null) => {
+  try {
+    await localClear(STORE_NAME);
+    saveCacheSettings({ hits: 0, misses: 0 });
+
+    if (!userId || isLocalBackend()) return;
+
+    const removed = await categorizationCacheRepository.clear(userId);
+    console.log(`🗑️ Cleared categorization cache (${removed} synced entries)`);
+  } catch (error) {
+    console.error('Error clearing categorization cache:', error);
+    throw error;
+  }
+};
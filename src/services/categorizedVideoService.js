@@ -1,12 +1,189 @@
-import { db } from '../firebase/config';
-import { collection, doc, writeBatch, Timestamp, setDoc, getDocs } from 'firebase/firestore';
+import { videoRepository, settingsRepository } from '../repositories';
+import { classifySubdimension, getFallbackDimension, normalizeDimension, resolveSubdimension, toDimensionWeights } from '../constants/dimensions';
 
 /**
- * Save categorized videos to Firestore
+ * Save categorized videos
  * Stores each video with its title and category
+ *
+ * Documents are keyed by a content-derived identity (see getVideoKey),
+ * so re-importing the same or an overlapping Takeout file is idempotent.
  */
 
-const COLLECTION_NAME = 'categorized_videos';
+const DEFAULT_PAGE_SIZE = 1000;
+const VIDEO_KEYS_VERSION = 1;
+
+// Fields a categorized_videos document may hold (isValidCategorizedVideo in firestore.rules)
+const VIDEO_FIELDS = [
+  'userId', 'videoKey', 'videoId', 'title', 'channel',
+  'category', 'subcategory', 'categories', 'confidence', 'defaulted',
+  'flagged', 'reviewed', 'reviewedAt',
+  'time', 'watchedAt', 'source', 'createdAt', 'updatedAt',
+];
+
+/**
+ * Hash a string into a short, stable id (32-bit FNV-1a, base36)
+ * @param {string} text - Text to hash
+ * @returns {string} - Hash
+ */
+export const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Build the stable identity of a watched video
+ * Video ID + watch timestamp, falling back to a hash of the normalized title
+ * @param {Object} video - { videoId?, title, time? }
+ * @returns {string} - e.g. "dQw4w9WgXcQ_1705314600000" or "t1x9k2f_1705314600000"
+ */
+export const getVideoKey = (video) => {
+  const time = video.time || video.time_accessed || null;
+  const timestamp = time ? Date.parse(time) : NaN;
+  const timePart = isNaN(timestamp) ? 'notime' : String(timestamp);
+
+  if (video.videoId) {
+    return `${video.videoId}_${timePart}`;
+  }
+
+  const normalizedTitle = (video.title || video.name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return `t${hashString(normalizedTitle)}_${timePart}`;
+};
+
+/**
+ * Identity from the title and watch time only
+ * Videos saved before video IDs were parsed are keyed this way (see migrateLegacyVideoKeys),
+ * so a re-import that now has the video ID still recognizes them
+ * @param {Object} video - { title, time? }
+ * @returns {string}
+ */
+export const getTitleVideoKey = (video) => getVideoKey({ ...video, videoId: null });
+
+/**
+ * Get the identities of every video the user already has
+ * @param {string} userId - User ID
+ * @returns {Promise<Set<string>>} - Set of video keys
+ */
+export const getExistingVideoKeys = (userId) => videoRepository.getKeys(userId);
+
+/**
+ * Split an import into videos that are new and ones already stored
+ * Also collapses duplicates inside the file itself (overlapping exports)
+ * @param {string} userId - User ID
+ * @param {Array} videos - Parsed videos
+ * @returns {Promise<{newVideos: Array, existingCount: number, duplicateCount: number}>}
+ */
+export const partitionNewVideos = async (userId, videos) => {
+  const existingKeys = await getExistingVideoKeys(userId);
+  const seenKeys = new Set();
+  const newVideos = [];
+  let existingCount = 0;
+  let duplicateCount = 0;
+
+  videos.forEach(video => {
+    const key = getVideoKey(video);
+
+    if (existingKeys.has(key) || existingKeys.has(getTitleVideoKey(video))) {
+      existingCount++;
+    } else if (seenKeys.has(key)) {
+      duplicateCount++;
+    } else {
+      seenKeys.add(key);
+      newVideos.push(video);
+    }
+  });
+
+  return { newVideos, existingCount, duplicateCount };
+};
+
+/**
+ * One-time rewrite of videos saved before content keys
+ * Those documents are keyed "{uid}_{index}" with no videoKey, so re-imports
+ * couldn't find them, and they carry an `index` field the rules reject, so they
+ * can't be updated in place. Each is rewritten under its title key and deleted;
+ * copies of the same video collapse into one (a reviewed copy wins), and ones
+ * already imported again under a content key are just deleted.
+ * Safe to re-run: rewritten documents count as already imported.
+ * @param {string} userId - User ID
+ * @returns {Promise<{migrated: boolean, rewritten: number, removed: number}>}
+ */
+export const migrateLegacyVideoKeys = async (userId) => {
+  try {
+    const settings = await settingsRepository.get(userId);
+    if ((settings?.videoKeysVersion || 0) >= VIDEO_KEYS_VERSION) {
+      return { migrated: false, rewritten: 0, removed: 0 };
+    }
+
+    const records = await videoRepository.getAll(userId);
+    const legacy = records.filter(record => !record.videoKey);
+    let rewritten = 0;
+
+    if (legacy.length > 0) {
+      console.log(`🔄 Rewriting ${legacy.length} videos saved before content keys...`);
+
+      const importedKeys = new Set(records
+        .filter(record => record.videoKey)
+        .flatMap(record => [record.videoKey, getTitleVideoKey(record)]));
+
+      const rewrites = new Map();
+      legacy.forEach(record => {
+        const videoKey = getTitleVideoKey(record);
+        if (importedKeys.has(videoKey)) return;
+
+        const kept = rewrites.get(videoKey);
+        if (!kept || (record.reviewed && !kept.reviewed)) {
+          rewrites.set(videoKey, record);
+        }
+      });
+
+      // Write before deleting, so an interrupted run loses nothing
+      await videoRepository.mergeMany(Array.from(rewrites, ([videoKey, record]) => ({
+        ...Object.fromEntries(VIDEO_FIELDS.filter(field => record[field] !== undefined).map(field => [field, record[field]])),
+        id: `${userId}_${videoKey}`,
+        userId,
+        videoKey,
+        videoId: null,
+      })));
+      await videoRepository.removeMany(legacy.map(record => record.id));
+      rewritten = rewrites.size;
+
+      console.log(`✅ Rewrote ${rewritten} legacy videos, removed ${legacy.length - rewritten} duplicates`);
+    }
+
+    await settingsRepository.merge(userId, {
+      videoKeysVersion: VIDEO_KEYS_VERSION,
+      videoKeysMigratedAt: new Date(),
+    });
+
+    return { migrated: true, rewritten, removed: legacy.length - rewritten };
+  } catch (error) {
+    console.error('❌ Error migrating legacy videos:', error);
+    throw error;
+  }
+};
+
+/**
+ * Keep the videos of a small batch that aren't stored yet
+ * Reads only the batch's own documents (unlike partitionNewVideos, which lists
+ * the whole history), so it suits per-chunk checks during an import
+ * @param {string} userId - User ID
+ * @param {Array} videos - Videos to check
+ * @returns {Promise<Array>} - Videos not stored yet, duplicates collapsed
+ */
+export const filterUnsavedVideos = async (userId, videos) => {
+  const keys = videos.map(getVideoKey);
+  const storedKeys = await videoRepository.getExistingKeys(userId, [...new Set(keys)]);
+  const seenKeys = new Set();
+
+  return videos.filter((_, i) => {
+    if (storedKeys.has(keys[i]) || seenKeys.has(keys[i])) return false;
+    seenKeys.add(keys[i]);
+    return true;
+  });
+};
 
 /**
  * Save categorized videos in batches
@@ -23,27 +200,30 @@ export const saveCategorizedVideos = async (userId, categorizedVideos, onProgres
     console.log(`💾 Saving ${categorizedVideos.length} categorized videos...`);
 
     for (let i = 0; i < categorizedVideos.length; i += BATCH_SIZE) {
-      const batch = writeBatch(db);
       const videoBatch = categorizedVideos.slice(i, i + BATCH_SIZE);
 
-      videoBatch.forEach((video, idx) => {
-        const globalIndex = i + idx;
-        const videoId = `${userId}_${globalIndex}`;
-        const docRef = doc(db, COLLECTION_NAME, videoId);
+      // Merge so review state on re-imported videos survives
+      await videoRepository.mergeMany(videoBatch.map((video) => {
+        const videoKey = getVideoKey(video);
 
-        batch.set(docRef, {
+        return {
+          id: `${userId}_${videoKey}`,
           userId,
+          videoKey,
+          videoId: video.videoId || null,
           title: video.title,
+          channel: video.channel || null,
           category: video.category,
+          subcategory: video.subcategory || null,
+          categories: video.categories || [{ category: video.category, weight: 1 }],
+          confidence: video.confidence ?? null,
+          defaulted: Boolean(video.defaulted),
           time: video.time || video.time_accessed || null,
-          watchedAt: video.time ? Timestamp.fromDate(new Date(video.time)) : Timestamp.now(),
+          watchedAt: video.time ? new Date(video.time) : new Date(),
           source: 'youtube_takeout',
-          createdAt: Timestamp.now(),
-          index: globalIndex
-        }, { merge: true });
-      });
-
-      await batch.commit();
+          createdAt: new Date()
+        };
+      }));
       savedCount += videoBatch.length;
 
       if (onProgress) {
@@ -63,38 +243,97 @@ export const saveCategorizedVideos = async (userId, categorizedVideos, onProgres
 };
 
 /**
- * Get all categorized videos for a user
+ * Shape a stored categorized_videos record for the app
+ * @param {Object} data - Record from the video repository
+ * @returns {Object} - Categorized video
+ */
+const toCategorizedVideo = (data) => {
+  return {
+    id: data.id,
+    title: data.title,
+    channel: data.channel || null,
+    category: data.category,
+    subcategory: data.subcategory || null,
+    categories: data.categories || null,
+    confidence: data.confidence ?? null,
+    defaulted: Boolean(data.defaulted),
+    flagged: Boolean(data.flagged),
+    reviewed: Boolean(data.reviewed),
+    time: data.watchedAt || null
+  };
+};
+
+/**
+ * Get one page of a user's categorized videos, newest first
+ * On Firestore this uses the (userId, watchedAt desc) composite index in firestore.indexes.json
+ * @param {string} userId - User ID
+ * @param {Object} options - { startDate?, endDate?, pageSize?, cursor? }
+ * @returns {Promise<{videos: Array, cursor: any, hasMore: boolean}>} - cursor is opaque; pass it back for the next page
+ */
+export const getCategorizedVideosPage = async (userId, { startDate = null, endDate = null, pageSize = DEFAULT_PAGE_SIZE, cursor = null } = {}) => {
+  const page = await videoRepository.getPage(userId, { startDate, endDate, pageSize, cursor });
+  return { ...page, videos: page.videos.map(toCategorizedVideo) };
+};
+
+/**
+ * Get a user's categorized videos, newest first, one page at a time
+ * Without a date range this loads the whole history
  * @param {string} userId - User ID
+ * @param {Object} options - { startDate?, endDate?, pageSize?, onPage? }
+ *   onPage(pageVideos, loadedCount) is called as each page arrives
  * @returns {Promise<Array>} - Array of categorized videos
  */
-export const getCategorizedVideos = async (userId) => {
+export const getCategorizedVideos = async (userId, { startDate = null, endDate = null, pageSize = DEFAULT_PAGE_SIZE, onPage = null } = {}) => {
   try {
-    const videosRef = collection(db, COLLECTION_NAME);
-    const querySnapshot = await getDocs(videosRef);
-    
     const videos = [];
-    querySnapshot.forEach((doc) => {
-      const data = doc.data();
-      if (data.userId === userId) {
-        videos.push({
-          id: doc.id,
-          title: data.title,
-          category: data.category,
-          time: data.watchedAt?.toDate?.() || null
-        });
+    let cursor = null;
+    let hasMore = true;
+
+    while (hasMore) {
+      const page = await getCategorizedVideosPage(userId, { startDate, endDate, pageSize, cursor });
+      videos.push(...page.videos);
+      ({ cursor, hasMore } = page);
+
+      if (onPage && page.videos.length > 0) {
+        onPage(page.videos, videos.length);
       }
-    });
+    }
 
-    return videos.sort((a, b) => (b.time || 0) - (a.time || 0));
+    return videos;
   } catch (error) {
     console.error('Error fetching categorized videos:', error);
     throw error;
   }
 };
 
+/**
+ * Apply field updates to categorized videos (used by the review queue)
+ * @param {Array<{id: string, changes: Object}>} updates - Document ID and fields to merge
+ * @returns {Promise<{success: boolean, updated: number}>}
+ */
+export const updateCategorizedVideos = async (updates) => {
+  const BATCH_SIZE = 500; // Firestore limit
+
+  try {
+    for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+      await videoRepository.updateMany(updates.slice(i, i + BATCH_SIZE).map(({ id, changes }) => ({
+        id,
+        changes: { ...changes, updatedAt: new Date() },
+      })));
+    }
+
+    console.log(`✅ Updated ${updates.length} categorized videos`);
+    return { success: true, updated: updates.length };
+  } catch (error) {
+    console.error('Error updating categorized videos:', error);
+    throw error;
+  }
+};
+
 /**
  * Build graph nodes from categorized videos
- * Groups videos by category and creates category nodes
+ * Groups videos by category and creates category nodes, with a sub-dimension
+ * node between a category and its videos when the video has one
  * STEP 21: Adds temporal linking between videos watched within 30 minutes
  * @param {Array} categorizedVideos - Videos with categories (must have 'time' field)
  * @returns {Object} - {nodes: [], links: []}
@@ -103,12 +342,25 @@ export const buildGraphFromCategories = (categorizedVideos) => {
   const nodes = [];
   const links = [];
   const categoryCount = {};
+  const subcategoryCount = {};
   const linkMap = new Map(); // Track unique links
 
-  // Count videos per category
+  const getVideoSubcategory = (video, cat) => (
+    resolveSubdimension(cat, video.subcategory) || classifySubdimension(cat, video.title)
+  );
+  const getSubcategoryNodeId = (cat, sub) => `${cat}/${sub}`.toLowerCase();
+
+  // Count videos per category and sub-dimension
   categorizedVideos.forEach(video => {
-    const cat = video.category || 'Entertainment';
+    const cat = normalizeDimension(video.category || getFallbackDimension());
     categoryCount[cat] = (categoryCount[cat] || 0) + 1;
+
+    const sub = getVideoSubcategory(video, cat);
+    if (sub) {
+      const key = getSubcategoryNodeId(cat, sub);
+      subcategoryCount[key] = subcategoryCount[key] || { cat, sub, count: 0 };
+      subcategoryCount[key].count++;
+    }
   });
 
   // Create category nodes (main nodes)
@@ -124,6 +376,25 @@ export const buildGraphFromCategories = (categorizedVideos) => {
     });
   });
 
+  // Create sub-dimension nodes, each linked to its category
+  Object.entries(subcategoryCount).forEach(([id, { cat, sub, count }]) => {
+    nodes.push({
+      id,
+      name: sub,
+      category: cat,
+      val: count * 4,
+      frequency: count,
+      type: 'Subcategory',
+      isMainNode: false
+    });
+    linkMap.set(`${id}_${cat.toLowerCase()}`, {
+      source: id,
+      target: cat.toLowerCase(),
+      weight: count,
+      value: count
+    });
+  });
+
   // Sort videos by timestamp for temporal linking
   const sortedVideos = [...categorizedVideos].sort((a, b) => {
     const timeA = a.time ? new Date(a.time).getTime() : 0;
@@ -135,7 +406,7 @@ export const buildGraphFromCategories = (categorizedVideos) => {
 
   // Create individual video nodes for ALL videos
   sortedVideos.forEach((video, idx) => {
-    const cat = video.category || 'Entertainment';
+    const cat = normalizeDimension(video.category || getFallbackDimension());
     const nodeId = `video_${idx}`;
     
     // Create video node
@@ -144,17 +415,20 @@ export const buildGraphFromCategories = (categorizedVideos) => {
       name: video.title.substring(0, 50),
       fullTitle: video.title,
       category: cat,
+      dimensions: toDimensionWeights(video.categories, cat),
       val: 3,
       type: 'Video',
       isMainNode: false,
       time: video.time
     });
 
-    // Link video to its category
-    const categoryLinkKey = `${nodeId}_${cat.toLowerCase()}`;
+    // Link video to its sub-dimension, or straight to its category
+    const sub = getVideoSubcategory(video, cat);
+    const parentId = sub ? getSubcategoryNodeId(cat, sub) : cat.toLowerCase();
+    const categoryLinkKey = `${nodeId}_${parentId}`;
     linkMap.set(categoryLinkKey, {
       source: nodeId,
-      target: cat.toLowerCase(),
+      target: parentId,
       weight: 1,
       value: 1
     });
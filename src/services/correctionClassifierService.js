@@ -0,0 +1,321 @@
+import { getCurrentUserId } from '../repositories';
+import { getDimensionNames } from '../constants/dimensions';
+import { localPut, localGetAllByIndex } from './localDatabase';
+import { hashString } from './categorizedVideoService';
+import { validateCategory, classifyWithRules } from './llmProviderService';
+
+/**
+ * Correction Classifier Service
+ * A multinomial naive Bayes model trained in the browser on the user's own
+ * corrections: dimension choices in Daily Log and accepted/reassigned labels
+ * in Review. Features are title/tag tokens plus the channel name.
+ *
+ * Imports use it to pre-categorize titles: confident predictions skip the
+ * AI provider ('assist'), or it replaces the provider entirely ('only').
+ * It is off until the user turns it on, and even then only overrides the
+ * AI once it knows two or more dimensions and does well on held-out examples
+ * (naive Bayes is near 100% "sure" of almost anything with few corrections).
+ * Examples stay in IndexedDB and never leave the device.
+ */
+
+const STORE_NAME = 'training_examples';
+const SETTINGS_KEY = 'identity-compass:local-classifier';
+
+export const CLASSIFIER_MODES = {
+  off: 'Off',
+  assist: 'Assist: skip the AI when confident',
+  only: 'Only: never call the AI (keyword rules fill the gaps)',
+};
+
+const DEFAULT_SETTINGS = { mode: 'off', minConfidence: 0.9 };
+const MIN_TRAINING_EXAMPLES = 20;
+const MIN_CLASSES = 2;
+const MIN_HELD_OUT = 5; // Held-out examples needed before accuracy counts
+const MIN_HELD_OUT_ACCURACY = 0.8;
+const HOLDOUT_BUCKETS = 5; // 1 in 5 examples is held out for the accuracy readout
+const CHANNEL_WEIGHT = 2; // A channel is a stronger hint than any single word
+const SMOOTHING = 1;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'you', 'your', 'how', 'what', 'why', 'this', 'that',
+  'from', 'are', 'was', 'its', 'into', 'about', 'official', 'video', 'part',
+]);
+
+// Trained model and its held-out score per user, dropped whenever a new correction arrives
+const modelCache = new Map();
+
+/**
+ * Read classifier settings
+ * @returns {{mode: 'off'|'assist'|'only', minConfidence: number}}
+ */
+export const getClassifierSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Persist classifier settings
+ * @param {Object} changes - Fields to update
+ */
+export const saveClassifierSettings = (changes) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...getClassifierSettings(), ...changes }));
+};
+
+/**
+ * Turn a title/tag and channel into feature tokens
+ * @param {string} text - Title or tag
+ * @param {string|null} channel - Channel name
+ * @returns {string[]}
+ */
+export const tokenize = (text, channel = null) => {
+  const tokens = (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+
+  if (channel) {
+    const channelToken = `channel:${channel.toLowerCase().trim()}`;
+    for (let i = 0; i < CHANNEL_WEIGHT; i++) {
+      tokens.push(channelToken);
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Store one labelled example
+ * Re-labelling the same text replaces the earlier example
+ * @param {string} userId - User ID
+ * @param {Object} example - { text, channel?, label, source: 'daily_log'|'review' }
+ * @returns {Promise<void>}
+ */
+export const recordCorrection = async (userId, { text, channel = null, label, source }) => {
+  const category = validateCategory(label);
+  if (!userId || !text || !category) return;
+
+  try {
+    await localPut(STORE_NAME, {
+      id: `${userId}_${hashString(`${text.toLowerCase().trim()}|${channel || ''}`)}`,
+      userId,
+      text,
+      channel,
+      label: category,
+      source,
+      createdAt: new Date().toISOString(),
+    });
+    modelCache.delete(userId);
+  } catch (error) {
+    // Training data is best-effort; never block the user's edit
+    console.warn('⚠️ Failed to record correction:', error);
+  }
+};
+
+/**
+ * Record several examples at once
+ * @param {string} userId - User ID
+ * @param {Array<Object>} examples - See recordCorrection
+ * @returns {Promise<void>}
+ */
+export const recordCorrections = async (userId, examples) => {
+  for (const example of examples) {
+    await recordCorrection(userId, example);
+  }
+};
+
+/**
+ * Train a naive Bayes model
+ * @param {Array<{text: string, channel: string|null, label: string}>} examples - Training data
+ * @returns {Object} - Model
+ */
+export const trainClassifier = (examples) => {
+  const model = {
+    exampleCount: examples.length,
+    classCounts: {},
+    tokenCounts: {},
+    tokenTotals: {},
+    vocabulary: new Set(),
+  };
+
+  examples.forEach(({ text, channel, label }) => {
+    model.classCounts[label] = (model.classCounts[label] || 0) + 1;
+    model.tokenCounts[label] = model.tokenCounts[label] || {};
+    model.tokenTotals[label] = model.tokenTotals[label] || 0;
+
+    tokenize(text, channel).forEach(token => {
+      model.tokenCounts[label][token] = (model.tokenCounts[label][token] || 0) + 1;
+      model.tokenTotals[label] += 1;
+      model.vocabulary.add(token);
+    });
+  });
+
+  return model;
+};
+
+/**
+ * Predict the category of a title or tag
+ * @param {Object} model - Trained model
+ * @param {{text: string, channel?: string}} item - Item to classify
+ * @returns {{category: string, confidence: number, categories: Array<{category: string, weight: number}>}|null}
+ */
+export const predictCategory = (model, { text, channel = null }) => {
+  const labels = Object.keys(model.classCounts);
+  const tokens = tokenize(text, channel).filter(token => model.vocabulary.has(token));
+  if (labels.length === 0 || tokens.length === 0) return null;
+
+  const vocabularySize = model.vocabulary.size;
+  const logScores = labels.map(label => {
+    let score = Math.log(model.classCounts[label] / model.exampleCount);
+    tokens.forEach(token => {
+      const count = model.tokenCounts[label][token] || 0;
+      score += Math.log((count + SMOOTHING) / (model.tokenTotals[label] + SMOOTHING * vocabularySize));
+    });
+    return score;
+  });
+
+  // Softmax over log scores
+  const max = Math.max(...logScores);
+  const exps = logScores.map(score => Math.exp(score - max));
+  const sum = exps.reduce((total, value) => total + value, 0);
+
+  const ranked = labels
+    .map((category, i) => ({ category, probability: exps[i] / sum }))
+    .sort((a, b) => b.probability - a.probability);
+
+  return {
+    category: ranked[0].category,
+    confidence: ranked[0].probability,
+    categories: [{ category: ranked[0].category, weight: 1 }],
+  };
+};
+
+/**
+ * Whether an example is held out from training (stable per example)
+ * @param {Object} example - Stored example
+ * @returns {boolean}
+ */
+const isHeldOut = (example) => parseInt(hashString(example.id), 36) % HOLDOUT_BUCKETS === 0;
+
+/**
+ * Load the user's examples
+ * Labels are read through the user's dimensions, so renamed dimensions keep
+ * their examples and retired ones drop out
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>}
+ */
+export const getTrainingExamples = async (userId) => {
+  const examples = await localGetAllByIndex(STORE_NAME, 'userId', userId);
+  return examples
+    .map(example => ({ ...example, label: validateCategory(example.label) }))
+    .filter(example => example.label);
+};
+
+/**
+ * Train (or reuse) the user's model and score it on the held-out examples
+ * @param {string} userId - User ID
+ * @returns {Promise<{model: Object|null, examples: Array, tested: number, correct: number, trusted: boolean}>}
+ */
+const loadClassifier = async (userId) => {
+  // Retrain when the user's dimensions change
+  const dimensionKey = getDimensionNames().join('|');
+  const cached = modelCache.get(userId);
+  if (cached && cached.dimensionKey === dimensionKey) return cached;
+
+  const examples = await getTrainingExamples(userId);
+  const training = examples.filter(example => !isHeldOut(example));
+  const model = training.length >= MIN_TRAINING_EXAMPLES ? trainClassifier(training) : null;
+
+  let tested = 0;
+  let correct = 0;
+  if (model) {
+    examples.filter(isHeldOut).forEach(example => {
+      const prediction = predictCategory(model, example);
+      tested += 1;
+      if (prediction?.category === example.label) correct += 1;
+    });
+  }
+
+  // Only a model that has seen several dimensions and proved itself may override the AI
+  const trusted = Boolean(model) &&
+    Object.keys(model.classCounts).length >= MIN_CLASSES &&
+    tested >= MIN_HELD_OUT &&
+    correct / tested >= MIN_HELD_OUT_ACCURACY;
+
+  const entry = { dimensionKey, model, examples, tested, correct, trusted };
+  modelCache.set(userId, entry);
+  return entry;
+};
+
+/**
+ * Train (or reuse) the user's model on the non-held-out examples
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Model, or null with too few examples
+ */
+export const getClassifier = async (userId) => {
+  const { model } = await loadClassifier(userId);
+  return model;
+};
+
+/**
+ * Measure accuracy on the held-out corrections
+ * @param {string} userId - User ID
+ * @returns {Promise<{examples: number, bySource: Object, trained: boolean, trusted: boolean, tested: number, correct: number, accuracy: number|null}>}
+ */
+export const evaluateClassifier = async (userId) => {
+  const { model, examples, tested, correct, trusted } = await loadClassifier(userId);
+  const bySource = examples.reduce((counts, example) => {
+    counts[example.source] = (counts[example.source] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    examples: examples.length,
+    bySource,
+    trained: Boolean(model),
+    trusted,
+    minExamples: MIN_TRAINING_EXAMPLES,
+    minClasses: MIN_CLASSES,
+    minAccuracy: MIN_HELD_OUT_ACCURACY,
+    tested,
+    correct,
+    accuracy: tested > 0 ? correct / tested : null,
+  };
+};
+
+/**
+ * Pre-categorize videos with the local model
+ * In 'only' mode every video gets a result (keyword rules where the model can't tell
+ * or isn't trusted yet)
+ * @param {Array<{title: string, channel?: string}>} videos - Videos to categorize
+ * @returns {Promise<Array<Object|null>>} - Result per video, null where the AI should decide
+ */
+export const preCategorizeVideos = async (videos) => {
+  const { mode, minConfidence } = getClassifierSettings();
+  const userId = getCurrentUserId();
+  if (mode === 'off' || !userId) return videos.map(() => null);
+
+  const fallback = (video) => (mode === 'only' ? classifyWithRules(video.title) : null);
+
+  try {
+    const { model, trusted } = await loadClassifier(userId);
+
+    const results = videos.map(video => {
+      const prediction = trusted && predictCategory(model, { text: video.title, channel: video.channel });
+      if (!prediction) return fallback(video);
+      if (mode === 'assist' && prediction.confidence < minConfidence) return null;
+      return { ...prediction, defaulted: false, predicted: true };
+    });
+
+    const predicted = results.filter(Boolean).length;
+    if (predicted > 0) {
+      console.log(`🧠 Local classifier categorized ${predicted}/${videos.length} titles`);
+    }
+    return results;
+  } catch (error) {
+    console.warn('⚠️ Local classifier unavailable:', error);
+    return videos.map(fallback);
+  }
+};
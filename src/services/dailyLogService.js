@@ -1,125 +1,79 @@
-import { 
-  collection, 
-  addDoc, 
-  query, 
-  where, 
-  getDocs,
-  orderBy,
-  Timestamp,
-  deleteDoc,
-  doc,
-  updateDoc
-} from 'firebase/firestore';
-import { db } from '../firebase/config';
-import { recordTagConnections } from './tagConnectionService';
-
-const COLLECTION_NAME = 'daily_logs';
+import { logRepository } from '../repositories';
+import { recordTagConnections, updateTagConnections } from './tagConnectionService';
+
+const DEFAULT_PAGE_SIZE = 500;
 
 /**
- * Daily Log Schema:
+ * Daily Log Schema (daily_logs):
  * {
  *   userId: string,
- *   date: Timestamp,
+ *   date: Date (Timestamp in Firestore),
  *   text_entry: string,
  *   tags: string[],
- *   createdAt: Timestamp,
- *   updatedAt: Timestamp
+ *   createdAt: Date,
+ *   updatedAt: Date
  * }
  */
 
 // Create a new daily log
 export const createDailyLog = async (userId, logData) => {
   try {
-    const docRef = await addDoc(collection(db, COLLECTION_NAME), {
-      userId,
-      date: logData.date || Timestamp.now(),
+    const now = new Date();
+    const id = await logRepository.create(userId, {
+      date: logData.date || now,
       text_entry: logData.text_entry || '',
       tags: logData.tags || [],
-      createdAt: Timestamp.now(),
-      updatedAt: Timestamp.now(),
+      createdAt: now,
+      updatedAt: now,
     });
     
     // Record tag co-occurrences if there are multiple tags
     if (logData.tags && logData.tags.length >= 2) {
       try {
-        await recordTagConnections(logData.tags);
+        await recordTagConnections(userId, logData.tags);
       } catch (connError) {
         // Don't fail the log creation if connection recording fails
         console.error('Warning: Failed to record tag connections:', connError);
       }
     }
     
-    return { id: docRef.id, success: true };
+    return { id, success: true };
   } catch (error) {
     console.error('Error creating daily log:', error);
     throw error;
   }
 };
 
-// Get all logs for a user
-export const getUserLogs = async (userId, limit = 30) => {
+// Get a user's most recent logs
+export const getUserLogs = async (userId, maxLogs = 30) => {
   try {
-    // Simplified query without orderBy to avoid index requirement
-    const q = query(
-      collection(db, COLLECTION_NAME),
-      where('userId', '==', userId)
-    );
-    
-    const querySnapshot = await getDocs(q);
-    const logs = [];
-    
-    querySnapshot.forEach((doc) => {
-      logs.push({
-        id: doc.id,
-        ...doc.data(),
-      });
-    });
-    
-    // Sort in memory instead of in query
-    logs.sort((a, b) => {
-      const dateA = a.date?.toDate?.() || new Date(0);
-      const dateB = b.date?.toDate?.() || new Date(0);
-      return dateB - dateA; // desc order
-    });
-    
-    return logs.slice(0, limit);
+    const { logs } = await getLogsPage(userId, { pageSize: maxLogs });
+    return logs;
   } catch (error) {
     console.error('Error fetching user logs:', error);
     throw error;
   }
 };
 
-// Get logs for a specific date range
+// Get one page of a user's logs, newest first, optionally within a date range
+// On Firestore this uses the (userId, date desc) composite index in firestore.indexes.json
+// Returns { logs, cursor, hasMore }; pass cursor back in to get the next page
+export const getLogsPage = (userId, { startDate = null, endDate = null, pageSize = DEFAULT_PAGE_SIZE, cursor = null } = {}) => {
+  return logRepository.getPage(userId, { startDate, endDate, pageSize, cursor });
+};
+
+// Get logs for a specific date range (newest first), following pages until done
 export const getLogsByDateRange = async (userId, startDate, endDate) => {
   try {
-    // Simplified query - fetch all user logs and filter in memory
-    const q = query(
-      collection(db, COLLECTION_NAME),
-      where('userId', '==', userId)
-    );
-    
-    const querySnapshot = await getDocs(q);
     const logs = [];
-    
-    querySnapshot.forEach((doc) => {
-      const data = doc.data();
-      const logDate = data.date?.toDate?.() || new Date(0);
-      
-      // Filter by date range in memory
-      if (logDate >= startDate && logDate <= endDate) {
-        logs.push({
-          id: doc.id,
-          ...data,
-        });
-      }
-    });
-    
-    // Sort in memory
-    logs.sort((a, b) => {
-      const dateA = a.date?.toDate?.() || new Date(0);
-      const dateB = b.date?.toDate?.() || new Date(0);
-      return dateB - dateA;
-    });
+    let cursor = null;
+    let hasMore = true;
+
+    while (hasMore) {
+      const page = await getLogsPage(userId, { startDate, endDate, cursor });
+      logs.push(...page.logs);
+      ({ cursor, hasMore } = page);
+    }
     
     return logs;
   } catch (error) {
@@ -128,22 +82,46 @@ export const getLogsByDateRange = async (userId, startDate, endDate) => {
   }
 };
 
+// Local calendar day of a date as YYYY-MM-DD (date inputs and calendar cells)
+export const toDateKey = (date) => {
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Date for a YYYY-MM-DD day: now for today, midday for other days (backdated entries)
+export const fromDateKey = (dateKey) => {
+  if (dateKey === toDateKey(new Date())) {
+    return new Date();
+  }
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day, 12);
+};
+
+// Get all logs in one calendar month (month is 0-based), newest first
+export const getLogsForMonth = (userId, year, month) => {
+  const startDate = new Date(year, month, 1);
+  const endDate = new Date(year, month + 1, 0, 23, 59, 59, 999);
+  return getLogsByDateRange(userId, startDate, endDate);
+};
+
 // Update a daily log
-export const updateDailyLog = async (logId, updates) => {
+export const updateDailyLog = async (userId, logId, updates) => {
   try {
-    const logRef = doc(db, COLLECTION_NAME, logId);
-    await updateDoc(logRef, {
+    // Old tags are needed to move connections from removed pairs to added ones
+    const previous = updates.tags ? await logRepository.get(logId) : null;
+
+    await logRepository.update(logId, {
       ...updates,
-      updatedAt: Timestamp.now(),
+      updatedAt: new Date(),
     });
     
-    // Record tag co-occurrences if tags were updated and there are multiple tags
-    if (updates.tags && updates.tags.length >= 2) {
+    if (updates.tags) {
       try {
-        await recordTagConnections(updates.tags);
+        await updateTagConnections(userId, previous?.tags || [], updates.tags);
       } catch (connError) {
-        // Don't fail the update if connection recording fails
-        console.error('Warning: Failed to record tag connections:', connError);
+        // Don't fail the update if connection bookkeeping fails (Settings can rebuild them)
+        console.error('Warning: Failed to update tag connections:', connError);
       }
     }
     
@@ -154,10 +132,21 @@ export const updateDailyLog = async (logId, updates) => {
   }
 };
 
-// Delete a daily log
-export const deleteDailyLog = async (logId) => {
+// Delete a daily log and the connections its tags contributed
+export const deleteDailyLog = async (userId, logId) => {
   try {
-    await deleteDoc(doc(db, COLLECTION_NAME, logId));
+    const log = await logRepository.get(logId);
+    await logRepository.remove(logId);
+
+    if (log?.tags?.length >= 2) {
+      try {
+        await updateTagConnections(userId, log.tags, []);
+      } catch (connError) {
+        // Don't fail the delete if connection bookkeeping fails (Settings can rebuild them)
+        console.error('Warning: Failed to update tag connections:', connError);
+      }
+    }
+
     return { success: true };
   } catch (error) {
     console.error('Error deleting daily log:', error);
@@ -183,7 +172,7 @@ export const getTagAnalytics = async (userId, days = 30) => {
     
     logs.forEach((log, index) => {
       console.log(`Log ${index + 1}:`, {
-        date: log.date?.toDate?.()?.toLocaleDateString() || 'No date',
+        date: log.date?.toLocaleDateString() || 'No date',
         tags: log.tags,
         text: log.text_entry?.substring(0, 50) + '...'
       });
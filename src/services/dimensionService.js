@@ -0,0 +1,198 @@
+import { settingsRepository } from '../repositories';
+import { DIMENSIONS, MAX_DIMENSIONS, MAX_SUBDIMENSIONS } from '../constants/dimensions';
+
+/**
+ * Custom Dimensions (stored on user_settings/{userId}):
+ * {
+ *   dimensions: [{
+ *     name: string (key stored on tags and videos, e.g. "Parenting"),
+ *     label: string (display name, e.g. "Parenting/Family"),
+ *     color: string (#rrggbb),
+ *     emoji: string,
+ *     description: string (sent to the AI with the keywords),
+ *     keywords: string[],
+ *     subdimensions: [{ name: string, keywords: string[] }] (optional second level),
+ *     gravityX: number, gravityY: number (Mind Map anchor)
+ *   }] | null (null = the built-in dimensions),
+ *   dimensionAliases: { [oldName]: currentName } (kept from renames),
+ *   dimensionsUpdatedAt: Date
+ * }
+ *
+ * Renaming a dimension records an alias instead of rewriting saved data;
+ * retiring one leaves its tags and videos to read as Unassigned.
+ */
+
+const MAX_NAME_LENGTH = 50; // Same cap as the categorize functions
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_KEYWORDS = 20;
+const MAX_GRAVITY = 1000;
+const NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} &'-]*$/u;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Clean a keyword list (lowercase, trimmed, unique)
+ * @param {Array} keywords - Raw keywords
+ * @returns {string[]}
+ */
+const cleanKeywords = (keywords) => {
+  const cleaned = (Array.isArray(keywords) ? keywords : [])
+    .map(keyword => String(keyword).trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(cleaned)].slice(0, MAX_KEYWORDS);
+};
+
+/**
+ * Check and clean one dimension's sub-dimensions
+ * @param {string} dimension - Parent dimension name
+ * @param {Array} subdimensions - [{ name, keywords }]
+ * @returns {Array<{name: string, keywords: string[]}>}
+ */
+const validateSubdimensions = (dimension, subdimensions) => {
+  const list = Array.isArray(subdimensions) ? subdimensions : [];
+  if (list.length > MAX_SUBDIMENSIONS) {
+    throw new Error(`"${dimension}" can have at most ${MAX_SUBDIMENSIONS} sub-dimensions.`);
+  }
+
+  const seen = new Set();
+  return list.map(sub => {
+    const name = String(sub?.name || '').trim();
+    if (!name || name.length > MAX_NAME_LENGTH || !NAME_PATTERN.test(name)) {
+      throw new Error(`"${dimension}" has an invalid sub-dimension name "${name}".`);
+    }
+    if (seen.has(name.toLowerCase())) {
+      throw new Error(`"${dimension}" has two sub-dimensions named "${name}".`);
+    }
+    seen.add(name.toLowerCase());
+    return { name, keywords: cleanKeywords(sub.keywords) };
+  });
+};
+
+/**
+ * Load the user's dimensions
+ * @param {string} userId - User ID
+ * @returns {Promise<{dimensions: Array|null, aliases: Object}>} - null dimensions = built-ins
+ */
+export const getUserDimensions = async (userId) => {
+  try {
+    const settings = await settingsRepository.get(userId);
+    return {
+      dimensions: Array.isArray(settings?.dimensions) && settings.dimensions.length > 0 ? settings.dimensions : null,
+      aliases: settings?.dimensionAliases || {},
+    };
+  } catch (error) {
+    console.error('Error loading dimensions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check and clean dimension definitions from the editor
+ * @param {Array} definitions - Dimension definitions
+ * @returns {Array} - Cleaned definitions
+ * @throws {Error} - Describing the first problem found
+ */
+export const validateDimensions = (definitions) => {
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    throw new Error('Keep at least one dimension.');
+  }
+  if (definitions.length > MAX_DIMENSIONS) {
+    throw new Error(`You can have at most ${MAX_DIMENSIONS} dimensions.`);
+  }
+
+  const seen = new Set();
+
+  return definitions.map(definition => {
+    const name = String(definition.name || '').trim();
+
+    if (!name) {
+      throw new Error('Every dimension needs a name.');
+    }
+    if (name.length > MAX_NAME_LENGTH || !NAME_PATTERN.test(name)) {
+      throw new Error(`"${name}" can only use letters, numbers, spaces, & ' and - (up to ${MAX_NAME_LENGTH} characters).`);
+    }
+    if (name.toLowerCase() === DIMENSIONS.UNASSIGNED.toLowerCase()) {
+      throw new Error(`"${DIMENSIONS.UNASSIGNED}" is reserved for uncategorized tags.`);
+    }
+    if (seen.has(name.toLowerCase())) {
+      throw new Error(`There are two dimensions named "${name}".`);
+    }
+    seen.add(name.toLowerCase());
+
+    if (!COLOR_PATTERN.test(definition.color || '')) {
+      throw new Error(`"${name}" needs a color like #00D4FF.`);
+    }
+
+    const gravityX = Number(definition.gravityX);
+    const gravityY = Number(definition.gravityY);
+    if (!Number.isFinite(gravityX) || !Number.isFinite(gravityY)) {
+      throw new Error(`"${name}" needs a numeric graph anchor.`);
+    }
+
+    return {
+      name,
+      label: String(definition.label || '').trim() || name,
+      color: definition.color,
+      emoji: String(definition.emoji || '').trim(),
+      description: String(definition.description || '').trim().slice(0, MAX_DESCRIPTION_LENGTH),
+      keywords: cleanKeywords(definition.keywords),
+      subdimensions: validateSubdimensions(name, definition.subdimensions),
+      gravityX: Math.max(-MAX_GRAVITY, Math.min(MAX_GRAVITY, gravityX)),
+      gravityY: Math.max(-MAX_GRAVITY, Math.min(MAX_GRAVITY, gravityY)),
+    };
+  });
+};
+
+/**
+ * Save the user's dimensions
+ * @param {string} userId - User ID
+ * @param {Array} definitions - Dimension definitions
+ * @param {Object} renames - { [oldName]: newName } for dimensions renamed in the editor
+ * @returns {Promise<{dimensions: Array, aliases: Object}>} - What was saved
+ */
+export const saveUserDimensions = async (userId, definitions, renames = {}) => {
+  try {
+    const dimensions = validateDimensions(definitions);
+    const { aliases: existing } = await getUserDimensions(userId);
+
+    // Point earlier aliases at the new names, then add this save's renames
+    const aliases = {};
+    Object.entries(existing).forEach(([oldName, current]) => {
+      aliases[oldName] = renames[current] || current;
+    });
+    Object.entries(renames).forEach(([oldName, newName]) => {
+      if (oldName !== newName) {
+        aliases[oldName] = newName;
+      }
+    });
+
+    await settingsRepository.merge(userId, {
+      dimensions,
+      dimensionAliases: aliases,
+      dimensionsUpdatedAt: new Date(),
+    });
+
+    console.log(`✅ Saved ${dimensions.length} dimensions`);
+    return { dimensions, aliases };
+  } catch (error) {
+    console.error('Error saving dimensions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Go back to the built-in dimensions
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const resetUserDimensions = async (userId) => {
+  try {
+    await settingsRepository.merge(userId, {
+      dimensions: null,
+      dimensionAliases: null,
+      dimensionsUpdatedAt: new Date(),
+    });
+  } catch (error) {
+    console.error('Error resetting dimensions:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,10 @@
+import { computeGraphMetrics } from './graphMetricsEngine';
+
+// Computes graph metrics off the main thread (see graphMetricsService)
+self.onmessage = ({ data }) => {
+  try {
+    self.postMessage({ metrics: computeGraphMetrics(data) });
+  } catch (error) {
+    self.postMessage({ error: error.message || 'Graph analysis failed' });
+  }
+};
@@ -0,0 +1,335 @@
+import { DIMENSIONS } from '../constants/dimensions';
+
+/**
+ * Graph Metrics Engine
+ * Structure of a Mind Map graph (videos or tags): Louvain communities,
+ * degree, betweenness and PageRank, and the tags that bridge dimensions.
+ *
+ * Pure functions on plain data so they can run in a web worker
+ * (see graphMetrics.worker.js). Links are undirected; weights count as
+ * strength (Louvain, PageRank) and are ignored for shortest paths (betweenness).
+ */
+
+const MAX_LOUVAIN_LEVELS = 10;
+const MAX_LOUVAIN_PASSES = 50;
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_ITERATIONS = 100;
+const PAGERANK_TOLERANCE = 1e-6;
+const MAX_BETWEENNESS_SOURCES = 500; // Larger graphs are estimated from a sample of sources
+const MAX_BRIDGES = 10;
+
+/**
+ * Index a graph: node ids to positions, merged undirected weighted adjacency
+ * @param {{nodes: Array, links: Array}} graph - Links may hold ids or node objects
+ * @returns {{ids: string[], adjacency: Array<Map<number, number>>}}
+ */
+const indexGraph = ({ nodes, links }) => {
+  const ids = nodes.map(node => node.id);
+  const position = new Map(ids.map((id, i) => [id, i]));
+  const adjacency = ids.map(() => new Map());
+
+  links.forEach(link => {
+    const a = position.get(typeof link.source === 'object' ? link.source.id : link.source);
+    const b = position.get(typeof link.target === 'object' ? link.target.id : link.target);
+    if (a === undefined || b === undefined || a === b) return;
+
+    const weight = link.weight > 0 ? link.weight : 1;
+    adjacency[a].set(b, (adjacency[a].get(b) || 0) + weight);
+    adjacency[b].set(a, (adjacency[b].get(a) || 0) + weight);
+  });
+
+  return { ids, adjacency };
+};
+
+/**
+ * Louvain community detection (Blondel et al. 2008) on a weighted graph
+ * @param {Array<Map<number, number>>} adjacency - Weighted neighbors per node
+ * @returns {{membership: number[], modularity: number}} - Community per node, numbered largest first
+ */
+export const detectCommunities = (adjacency) => {
+  const nodeCount = adjacency.length;
+  let membership = Array.from({ length: nodeCount }, (_, i) => i);
+
+  // Current level: communities of the previous level collapsed into single nodes
+  let levelAdjacency = adjacency;
+  let selfLoops = new Array(nodeCount).fill(0); // Weight inside each collapsed node
+
+  for (let level = 0; level < MAX_LOUVAIN_LEVELS; level++) {
+    const size = levelAdjacency.length;
+    const degrees = levelAdjacency.map((neighbors, i) => {
+      let degree = 2 * selfLoops[i];
+      neighbors.forEach(weight => { degree += weight; });
+      return degree;
+    });
+    const totalWeight = degrees.reduce((sum, degree) => sum + degree, 0); // 2m
+    if (totalWeight === 0) break;
+
+    const community = Array.from({ length: size }, (_, i) => i);
+    const communityDegree = [...degrees];
+    let moved = false;
+
+    // Phase 1: move nodes to the neighboring community with the best modularity gain
+    for (let pass = 0; pass < MAX_LOUVAIN_PASSES; pass++) {
+      let improved = false;
+
+      for (let i = 0; i < size; i++) {
+        const current = community[i];
+        const linksTo = new Map();
+        levelAdjacency[i].forEach((weight, j) => {
+          linksTo.set(community[j], (linksTo.get(community[j]) || 0) + weight);
+        });
+
+        communityDegree[current] -= degrees[i];
+        let best = current;
+        let bestGain = (linksTo.get(current) || 0) - (communityDegree[current] * degrees[i]) / totalWeight;
+        linksTo.forEach((weight, candidate) => {
+          const gain = weight - (communityDegree[candidate] * degrees[i]) / totalWeight;
+          if (gain > bestGain) {
+            best = candidate;
+            bestGain = gain;
+          }
+        });
+        communityDegree[best] += degrees[i];
+
+        if (best !== current) {
+          community[i] = best;
+          improved = true;
+          moved = true;
+        }
+      }
+
+      if (!improved) break;
+    }
+
+    if (!moved) break;
+
+    // Phase 2: collapse each community into one node
+    const renumber = new Map();
+    community.forEach(c => {
+      if (!renumber.has(c)) renumber.set(c, renumber.size);
+    });
+    const nextAdjacency = Array.from({ length: renumber.size }, () => new Map());
+    const nextSelfLoops = new Array(renumber.size).fill(0);
+
+    levelAdjacency.forEach((neighbors, i) => {
+      const ci = renumber.get(community[i]);
+      nextSelfLoops[ci] += selfLoops[i];
+      neighbors.forEach((weight, j) => {
+        const cj = renumber.get(community[j]);
+        if (ci === cj) {
+          nextSelfLoops[ci] += weight / 2; // Each internal link is seen from both ends
+        } else {
+          nextAdjacency[ci].set(cj, (nextAdjacency[ci].get(cj) || 0) + weight);
+        }
+      });
+    });
+
+    membership = membership.map(c => renumber.get(community[c]));
+    levelAdjacency = nextAdjacency;
+    selfLoops = nextSelfLoops;
+  }
+
+  // Number communities by size, largest first
+  const sizes = new Map();
+  membership.forEach(c => sizes.set(c, (sizes.get(c) || 0) + 1));
+  const order = new Map(
+    Array.from(sizes.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([c], index) => [c, index])
+  );
+  membership = membership.map(c => order.get(c));
+
+  return { membership, modularity: calculateModularity(adjacency, membership) };
+};
+
+/**
+ * Modularity of a partition (-0.5 to 1, higher = clearer communities)
+ * @param {Array<Map<number, number>>} adjacency - Weighted neighbors per node
+ * @param {number[]} membership - Community per node
+ * @returns {number}
+ */
+export const calculateModularity = (adjacency, membership) => {
+  const inside = new Map();
+  const degreeSum = new Map();
+  let totalWeight = 0; // 2m
+
+  adjacency.forEach((neighbors, i) => {
+    const c = membership[i];
+    neighbors.forEach((weight, j) => {
+      totalWeight += weight;
+      degreeSum.set(c, (degreeSum.get(c) || 0) + weight);
+      if (membership[j] === c) {
+        inside.set(c, (inside.get(c) || 0) + weight);
+      }
+    });
+  });
+
+  if (totalWeight === 0) return 0;
+
+  let modularity = 0;
+  degreeSum.forEach((degree, c) => {
+    modularity += (inside.get(c) || 0) / totalWeight - (degree / totalWeight) ** 2;
+  });
+  return modularity;
+};
+
+/**
+ * Betweenness centrality (Brandes 2001), unweighted, normalized to 0-1
+ * Above MAX_BETWEENNESS_SOURCES nodes, paths from an even sample of sources are scaled up
+ * @param {Array<Map<number, number>>} adjacency - Neighbors per node
+ * @returns {{betweenness: number[], sampled: boolean}}
+ */
+export const calculateBetweenness = (adjacency) => {
+  const nodeCount = adjacency.length;
+  const betweenness = new Array(nodeCount).fill(0);
+  const step = Math.max(1, Math.ceil(nodeCount / MAX_BETWEENNESS_SOURCES));
+
+  let sourceCount = 0;
+  for (let source = 0; source < nodeCount; source += step) {
+    sourceCount++;
+    const stack = [];
+    const predecessors = Array.from({ length: nodeCount }, () => []);
+    const paths = new Array(nodeCount).fill(0);
+    const distance = new Array(nodeCount).fill(-1);
+    paths[source] = 1;
+    distance[source] = 0;
+
+    const queue = [source];
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      stack.push(v);
+      adjacency[v].forEach((_, w) => {
+        if (distance[w] < 0) {
+          distance[w] = distance[v] + 1;
+          queue.push(w);
+        }
+        if (distance[w] === distance[v] + 1) {
+          paths[w] += paths[v];
+          predecessors[w].push(v);
+        }
+      });
+    }
+
+    const dependency = new Array(nodeCount).fill(0);
+    while (stack.length > 0) {
+      const w = stack.pop();
+      predecessors[w].forEach(v => {
+        dependency[v] += (paths[v] / paths[w]) * (1 + dependency[w]);
+      });
+      if (w !== source) {
+        betweenness[w] += dependency[w];
+      }
+    }
+  }
+
+  // Every pair is counted from both ends; sampled sources stand for the rest
+  const pairs = ((nodeCount - 1) * (nodeCount - 2)) / 2;
+  const scale = nodeCount / sourceCount / 2;
+  return {
+    betweenness: betweenness.map(value => (pairs > 0 ? Math.min((value * scale) / pairs, 1) : 0)),
+    sampled: step > 1,
+  };
+};
+
+/**
+ * Weighted PageRank (nodes without links share their rank with everyone)
+ * @param {Array<Map<number, number>>} adjacency - Weighted neighbors per node
+ * @returns {number[]} - Ranks summing to 1
+ */
+export const calculatePageRank = (adjacency) => {
+  const nodeCount = adjacency.length;
+  if (nodeCount === 0) return [];
+
+  const strength = adjacency.map(neighbors => {
+    let total = 0;
+    neighbors.forEach(weight => { total += weight; });
+    return total;
+  });
+  let rank = new Array(nodeCount).fill(1 / nodeCount);
+
+  for (let iteration = 0; iteration < PAGERANK_ITERATIONS; iteration++) {
+    let dangling = 0;
+    rank.forEach((value, i) => {
+      if (strength[i] === 0) dangling += value;
+    });
+
+    const base = (1 - PAGERANK_DAMPING + PAGERANK_DAMPING * dangling) / nodeCount;
+    const next = new Array(nodeCount).fill(base);
+    adjacency.forEach((neighbors, i) => {
+      if (strength[i] === 0) return;
+      neighbors.forEach((weight, j) => {
+        next[j] += (PAGERANK_DAMPING * rank[i] * weight) / strength[i];
+      });
+    });
+
+    const change = next.reduce((sum, value, i) => sum + Math.abs(value - rank[i]), 0);
+    rank = next;
+    if (change < PAGERANK_TOLERANCE) break;
+  }
+
+  return rank;
+};
+
+/**
+ * Tags whose neighbors span two or more dimensions, most between first
+ * @param {Array} nodes - Graph nodes (kind, category)
+ * @param {Array<Map<number, number>>} adjacency - Weighted neighbors per node
+ * @param {number[]} betweenness - From calculateBetweenness
+ * @returns {Array<{id, name, category, dimensions: string[], betweenness: number}>}
+ */
+export const findBridgeTags = (nodes, adjacency, betweenness) => {
+  const bridges = [];
+
+  nodes.forEach((node, i) => {
+    if (node.kind !== 'Tag') return;
+
+    const dimensionWeights = {};
+    adjacency[i].forEach((weight, j) => {
+      const dimension = nodes[j].category;
+      if (dimension && dimension !== DIMENSIONS.UNASSIGNED) {
+        dimensionWeights[dimension] = (dimensionWeights[dimension] || 0) + weight;
+      }
+    });
+
+    const dimensions = Object.keys(dimensionWeights)
+      .sort((a, b) => dimensionWeights[b] - dimensionWeights[a]);
+    if (dimensions.length >= 2) {
+      bridges.push({
+        id: node.id,
+        name: node.name,
+        category: node.category,
+        dimensions,
+        betweenness: betweenness[i],
+      });
+    }
+  });
+
+  return bridges
+    .sort((a, b) => b.betweenness - a.betweenness || b.dimensions.length - a.dimensions.length)
+    .slice(0, MAX_BRIDGES);
+};
+
+/**
+ * Communities, centrality and bridge tags for a graph
+ * @param {{nodes: Array, links: Array}} graph - Mind Map graph data
+ * @returns {Object} - Per-node values keyed by node id, plus summary fields
+ */
+export const computeGraphMetrics = (graph) => {
+  const { ids, adjacency } = indexGraph(graph);
+  const { membership, modularity } = detectCommunities(adjacency);
+  const { betweenness, sampled } = calculateBetweenness(adjacency);
+  const pageRank = calculatePageRank(adjacency);
+
+  const byId = (values) => Object.fromEntries(ids.map((id, i) => [id, values[i]]));
+
+  return {
+    communities: byId(membership),
+    communityCount: new Set(membership).size,
+    modularity,
+    degree: byId(adjacency.map(neighbors => neighbors.size)),
+    betweenness: byId(betweenness),
+    pageRank: byId(pageRank),
+    bridges: findBridgeTags(graph.nodes, adjacency, betweenness),
+    sampled,
+  };
+};
@@ -0,0 +1,68 @@
+import { computeGraphMetrics } from './graphMetricsEngine';
+
+/**
+ * Graph Metrics Service
+ * Runs graphMetricsEngine in a web worker so large graphs don't freeze the page
+ */
+
+/**
+ * Strip a Mind Map graph down to what the metrics need (the force graph
+ * replaces link ends with node objects, which can't be sent to a worker)
+ * @param {{nodes: Array, links: Array}} graph - Graph data
+ * @returns {{nodes: Array, links: Array}}
+ */
+const toPlainGraph = ({ nodes, links }) => ({
+  nodes: nodes.map(({ id, name, category, kind }) => ({ id, name, category, kind })),
+  links: links.map(({ source, target, weight }) => ({
+    source: typeof source === 'object' ? source.id : source,
+    target: typeof target === 'object' ? target.id : target,
+    weight,
+  })),
+});
+
+/**
+ * Communities, degree, betweenness, PageRank and bridge tags for a graph
+ * @param {{nodes: Array, links: Array}} graph - Mind Map graph data
+ * @param {AbortSignal} signal - Optional; aborting stops the worker
+ * @returns {Promise<Object>} - See computeGraphMetrics
+ */
+export const analyzeGraph = async (graph, signal) => {
+  const plainGraph = toPlainGraph(graph);
+
+  // No worker support (e.g. tests): compute on the main thread
+  if (typeof Worker === 'undefined') {
+    return computeGraphMetrics(plainGraph);
+  }
+
+  const worker = new Worker(new URL('./graphMetrics.worker.js', import.meta.url), { type: 'module' });
+  let onAbort = null;
+
+  try {
+    return await new Promise((resolve, reject) => {
+      onAbort = () => reject(new DOMException('Graph analysis aborted', 'AbortError'));
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      worker.onmessage = ({ data }) => {
+        if (data.error) {
+          reject(new Error(data.error));
+        } else {
+          resolve(data.metrics);
+        }
+      };
+      worker.onerror = (event) => reject(new Error(event.message || 'Graph analysis failed'));
+      worker.postMessage(plainGraph);
+    });
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Error analyzing graph:', error);
+    }
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    worker.terminate();
+  }
+};
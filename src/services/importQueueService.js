@@ -0,0 +1,345 @@
+import { localGet, localPut, localDelete, localGetAllByIndex } from './localDatabase';
+import { categorizeTitlesInBatches, getCategoryStats } from './titleCategorizationService';
+import { saveWatchedVideos } from './youtubeHistoryService';
+import { checkAiBudget } from './llmProviderService';
+
+/**
+ * Import Queue Service
+ * Persistent, resumable background import of a full watch history.
+ *
+ * A job splits the parsed videos into chunks. Each chunk is categorized
+ * with categorizeTitlesInBatches and saved with saveWatchedVideos, which
+ * also records the watch history and tag connections of its new videos.
+ * Job state lives in IndexedDB (per user), so it survives reloads and
+ * tab closes; the runner lives at module level, so it keeps going while
+ * the user navigates between pages.
+ *
+ * Job statuses: 'pending' | 'running' | 'paused' | 'completed' | 'cancelled'
+ * ('pausing' / 'cancelling' are reported while a running chunk finishes)
+ * Chunk statuses: 'pending' | 'processing' | 'done' | 'error'
+ *
+ * While a job runs in this tab the runner is its only writer; pause and
+ * cancel requests are handed to it and applied between chunks.
+ *
+ * A chunk only starts when today's AI budget can cover it; otherwise the
+ * job pauses and can be resumed once the quota resets.
+ */
+
+const JOBS_STORE = 'import_jobs';
+const PAYLOADS_STORE = 'import_payloads';
+
+export const IMPORT_CHUNK_SIZE = 100; // Videos per chunk (5 AI calls of 20 titles)
+const TITLES_PER_REQUEST = 20;
+
+const FINISHED_STATUSES = ['completed', 'cancelled'];
+
+// Jobs currently running in this tab, and pause/cancel requests for them
+const runningJobs = new Set();
+const stopRequests = new Map(); // jobId -> 'paused' | 'cancelled'
+const listeners = new Set();
+
+const lockName = (jobId) => `identity-compass-import-${jobId}`;
+
+/**
+ * Notify subscribers about a job change
+ * @param {Object} job - Updated job
+ */
+const notify = (job) => {
+  listeners.forEach(listener => listener(job));
+};
+
+/**
+ * Persist a job and notify subscribers
+ * @param {Object} job - Job to save
+ * @returns {Promise<Object>} - Saved job
+ */
+const saveJob = async (job) => {
+  job.updatedAt = new Date().toISOString();
+  await localPut(JOBS_STORE, job);
+  notify({ ...job, chunks: job.chunks.map(chunk => ({ ...chunk })) });
+  return job;
+};
+
+/**
+ * Subscribe to job updates
+ * @param {function(Object)} listener - Called with the updated job
+ * @returns {function} - Unsubscribe
+ */
+export const subscribeToImportJobs = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Create a new import job and store the full video list locally
+ * @param {string} userId - User ID
+ * @param {Array} videos - Parsed videos to import
+ * @param {Object} options - { fileName, skipped, chunkSize }
+ * @returns {Promise<Object>} - Created job
+ */
+export const createImportJob = async (userId, videos, options = {}) => {
+  const { fileName = 'watch-history', skipped = {}, chunkSize = IMPORT_CHUNK_SIZE } = options;
+
+  const existing = await getLatestImportJob(userId);
+  if (existing && !FINISHED_STATUSES.includes(existing.status)) {
+    throw new Error('An import is already in progress. Resume or cancel it before starting a new one.');
+  }
+
+  const id = `${userId}_${Date.now()}`;
+  const chunks = [];
+  for (let start = 0; start < videos.length; start += chunkSize) {
+    chunks.push({
+      index: chunks.length,
+      start,
+      end: Math.min(start + chunkSize, videos.length),
+      status: 'pending',
+      attempts: 0,
+      error: null,
+    });
+  }
+
+  await localPut(PAYLOADS_STORE, { jobId: id, videos });
+
+  const job = {
+    id,
+    userId,
+    fileName,
+    skipped,
+    status: 'pending',
+    totalVideos: videos.length,
+    processedVideos: 0,
+    categoryCounts: {},
+    chunks,
+    error: null,
+    createdAt: new Date().toISOString(),
+  };
+
+  console.log(`📥 Created import job ${id}: ${videos.length} videos in ${chunks.length} chunks`);
+  return saveJob(job);
+};
+
+/**
+ * Check whether another tab holds the runner lock for a job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>}
+ */
+const isRunningElsewhere = async (jobId) => {
+  if (!navigator.locks?.query) return false;
+  const { held = [] } = await navigator.locks.query();
+  return held.some(lock => lock.name === lockName(jobId));
+};
+
+/**
+ * Get the user's most recent import job
+ * Jobs left 'pending' or 'running' by a crashed, closed or reloaded tab (no runner
+ * here and no lock holder elsewhere) are marked 'paused' so they can be resumed or cancelled
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>}
+ */
+export const getLatestImportJob = async (userId) => {
+  const jobs = await localGetAllByIndex(JOBS_STORE, 'userId', userId);
+  if (jobs.length === 0) return null;
+
+  const latest = jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+
+  const looksActive = ['pending', 'running', 'pausing', 'cancelling'].includes(latest.status);
+  if (looksActive && !runningJobs.has(latest.id) && !(await isRunningElsewhere(latest.id))) {
+    latest.status = 'paused';
+    latest.error = 'Import was interrupted (page closed or reloaded). Resume to continue.';
+    latest.chunks.forEach(chunk => {
+      if (chunk.status === 'processing') chunk.status = 'pending';
+    });
+    await saveJob(latest);
+  }
+
+  return latest;
+};
+
+/**
+ * Process a single chunk: categorize then save
+ * A retried chunk re-saves its videos but only counts connections for ones not stored yet
+ * @param {Object} job - Job being run
+ * @param {Object} chunk - Chunk to process
+ * @param {Array} videos - Full video payload
+ */
+const processChunk = async (job, chunk, videos) => {
+  const chunkVideos = videos.slice(chunk.start, chunk.end);
+
+  const categorized = await categorizeTitlesInBatches(chunkVideos, TITLES_PER_REQUEST, (progress) => {
+    chunk.progress = { current: progress.videosProcessed, total: progress.totalVideos };
+    notify({ ...job, chunks: job.chunks.map(c => ({ ...c })) });
+  });
+
+  await saveWatchedVideos(job.userId, categorized);
+
+  Object.entries(getCategoryStats(categorized)).forEach(([category, count]) => {
+    job.categoryCounts[category] = (job.categoryCounts[category] || 0) + count;
+  });
+};
+
+/**
+ * Apply a pause or cancel request to a job
+ * @param {Object} job - Job to stop
+ * @param {'paused'|'cancelled'} status - Final status
+ */
+const stopJob = async (job, status) => {
+  job.status = status;
+  job.chunks.forEach(chunk => {
+    if (chunk.status === 'processing') chunk.status = 'pending';
+  });
+  await saveJob(job);
+
+  if (status === 'cancelled') {
+    await localDelete(PAYLOADS_STORE, job.id);
+  }
+};
+
+/**
+ * Runner loop, executed while holding the job's lock
+ * @param {string} jobId - Job ID
+ */
+const runJob = async (jobId) => {
+  const job = await localGet(JOBS_STORE, jobId);
+  const payload = await localGet(PAYLOADS_STORE, jobId);
+
+  if (!job || FINISHED_STATUSES.includes(job.status)) return;
+  if (!payload) {
+    job.status = 'cancelled';
+    job.error = 'Import data is missing from this browser. Please upload the file again.';
+    await saveJob(job);
+    return;
+  }
+
+  job.status = 'running';
+  job.error = null;
+  await saveJob(job);
+
+  const remaining = job.chunks.filter(chunk => chunk.status !== 'done');
+
+  for (let i = 0; i < remaining.length; i++) {
+    const chunk = remaining[i];
+
+    try {
+      checkAiBudget(Math.ceil((chunk.end - chunk.start) / TITLES_PER_REQUEST));
+    } catch (error) {
+      job.status = 'paused';
+      job.error = `${error.message} Resume to continue from chunk ${chunk.index + 1}.`;
+      await saveJob(job);
+      return;
+    }
+
+    chunk.status = 'processing';
+    chunk.attempts += 1;
+    chunk.error = null;
+    await saveJob(job);
+
+    try {
+      console.log(`📦 Import chunk ${chunk.index + 1}/${job.chunks.length} (videos ${chunk.start + 1}-${chunk.end})`);
+      await processChunk(job, chunk, payload.videos);
+
+      chunk.status = 'done';
+      delete chunk.progress;
+      job.processedVideos += chunk.end - chunk.start;
+    } catch (error) {
+      console.error(`❌ Import chunk ${chunk.index + 1} failed:`, error);
+      chunk.status = 'error';
+      chunk.error = error.message;
+      delete chunk.progress;
+      job.status = 'paused';
+      job.error = `Chunk ${chunk.index + 1} failed: ${error.message}. Resume to retry.`;
+    }
+
+    if (stopRequests.has(jobId)) {
+      await stopJob(job, stopRequests.get(jobId));
+      return;
+    }
+
+    await saveJob(job);
+    if (chunk.status === 'error') return;
+  }
+
+  job.status = 'completed';
+  await saveJob(job);
+  await localDelete(PAYLOADS_STORE, jobId);
+  console.log(`🎉 Import job ${jobId} complete: ${job.processedVideos} videos`);
+};
+
+/**
+ * Start or resume a job in the background
+ * Returns immediately; progress is reported through subscribeToImportJobs
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+export const startImportJob = async (jobId) => {
+  if (runningJobs.has(jobId)) return;
+
+  runningJobs.add(jobId);
+  stopRequests.delete(jobId);
+
+  const run = async (lock) => {
+    if (lock === null) {
+      throw new Error('This import is already running in another tab.');
+    }
+    await runJob(jobId);
+  };
+
+  const execution = navigator.locks?.request
+    ? navigator.locks.request(lockName(jobId), { ifAvailable: true }, run)
+    : run(true);
+
+  execution
+    .catch(async (error) => {
+      console.error('Import job error:', error);
+      const job = await localGet(JOBS_STORE, jobId);
+      if (!job) return;
+
+      // A runner that died here leaves the job resumable; one running in another tab is left alone
+      if (!FINISHED_STATUSES.includes(job.status) && !(await isRunningElsewhere(jobId))) {
+        job.error = `${error.message} Resume to try again.`;
+        await stopJob(job, 'paused');
+      } else {
+        notify({ ...job, error: error.message });
+      }
+    })
+    .finally(() => {
+      runningJobs.delete(jobId);
+      stopRequests.delete(jobId);
+    });
+};
+
+/**
+ * Pause a job after the chunk in progress finishes
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+export const pauseImportJob = async (jobId) => {
+  const job = await localGet(JOBS_STORE, jobId);
+  if (!job || FINISHED_STATUSES.includes(job.status)) return;
+
+  if (runningJobs.has(jobId)) {
+    stopRequests.set(jobId, 'paused');
+    notify({ ...job, status: 'pausing' });
+    return;
+  }
+
+  await stopJob(job, 'paused');
+};
+
+/**
+ * Cancel a job and drop its stored videos
+ * Videos already saved to Firestore are kept
+ * @param {string} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+export const cancelImportJob = async (jobId) => {
+  const job = await localGet(JOBS_STORE, jobId);
+  if (!job || FINISHED_STATUSES.includes(job.status)) return;
+
+  if (runningJobs.has(jobId)) {
+    stopRequests.set(jobId, 'cancelled');
+    notify({ ...job, status: 'cancelling' });
+    return;
+  }
+
+  await stopJob(job, 'cancelled');
+};
@@ -73,7 +73,7 @@ export const extractKeywordsFromTitle = (title) => {
 /**
  * Extract keywords from multiple video titles
  * @param {Array<{title: string, time?: string}>} videos - Array of video objects
- * @returns {Array<{title: string, tags: string[], time?: string}>} - Videos with extracted tags
+ * @returns {Array<{title: string, tags: string[], time?: string, videoId?: string}>} - Videos with extracted tags
  */
 export const extractKeywordsFromVideos = (videos) => {
   if (!Array.isArray(videos)) {
@@ -88,6 +88,8 @@ export const extractKeywordsFromVideos = (videos) => {
       title,
       tags,
       time: video.time || video.time_accessed || video.timestamp || video.date,
+      videoId: video.videoId || null,
+      channel: video.channel || null,
       originalVideo: video, // Keep original data
     };
   });
@@ -0,0 +1,478 @@
+import {
+  TAG_DIMENSION_MAP,
+  assignSubdimension,
+  classifySubdimension,
+  getDimensionConfig,
+  getDimensionNames,
+  getFallbackDimension,
+  resolveDimension,
+  resolveSubdimension
+} from '../constants/dimensions';
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../firebase/config';
+import { scheduleAiRequest, assertDailyBudget, estimateTokens, syncDailyUsage } from './rateLimiterService';
+import {
+  MAX_SECONDARY,
+  MAX_SECONDARY_WEIGHT,
+  PROMPT_VERSION,
+  buildCategorizationPrompt as buildSharedPrompt
+} from '../../functions/shared/categorization';
+
+/**
+ * LLM Provider Service
+ * One request/parse/validate path for every categorization call.
+ *
+ * Providers:
+ *   - gemini: Google Gemini (cloud, via the categorizeTitles/categorizeTags functions)
+ *   - openai: Any OpenAI-compatible /chat/completions endpoint
+ *   - ollama: Local Ollama-style server (/api/generate), nothing leaves the machine
+ *   - rules:  Deterministic keyword matching on the dimension keywords, fully offline
+ */
+
+const SETTINGS_KEY = 'identity-compass:llm-provider';
+
+// The prompt and its version live in functions/shared so the proxy uses the same one
+export { PROMPT_VERSION };
+
+const OUTPUT_TOKENS_PER_ITEM = 35; // {"index", "category", "secondary", "confidence"}
+
+/**
+ * Build an error carrying the HTTP status (used for 429 handling)
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @param {number|null} retryAfter - Seconds the server asked us to wait
+ * @returns {Error}
+ */
+const providerError = (message, status, retryAfter = null) => {
+  const error = new Error(message);
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+/**
+ * Read a Retry-After header (delta seconds or HTTP date)
+ * @param {Response} response - Fetch response
+ * @returns {number|null} - Seconds to wait
+ */
+const parseRetryAfter = (response) => {
+  const value = response.headers.get('retry-after');
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max((date - Date.now()) / 1000, 0);
+};
+
+/**
+ * Read a JSON error body without failing on non-JSON responses
+ * @param {Response} response - Fetch response
+ * @returns {Promise<string>} - Error message
+ */
+const readErrorMessage = async (response) => {
+  try {
+    const errorData = await response.json();
+    return errorData.error?.message || errorData.error || 'Unknown error';
+  } catch {
+    return response.statusText || 'Unknown error';
+  }
+};
+
+/**
+ * Gemini through the server-side proxy (functions/index.js)
+ * The API key stays on the server; the callable checks auth and the daily quota
+ * @param {'title'|'tag'} kind - What is being classified
+ * @param {string[]} texts - Items to classify
+ * @param {Object} options - { temperature }
+ * @returns {Promise<Array>} - Raw [{index, category}] answers
+ */
+const categorizeWithGeminiProxy = async (kind, texts, { temperature }) => {
+  const callable = httpsCallable(functions, kind === 'title' ? 'categorizeTitles' : 'categorizeTags');
+
+  try {
+    const { data } = await callable({
+      items: texts,
+      dimensions: getPromptDimensions(),
+      temperature,
+      promptVersion: PROMPT_VERSION,
+    });
+    syncDailyUsage(data.quota);
+    console.log(`📊 AI quota: ${data.quota.used}/${data.quota.limit} requests used today`);
+    return data.answers;
+  } catch (error) {
+    if (error.details?.quotaExceeded) {
+      syncDailyUsage(error.details);
+    }
+    if (error.code === 'functions/resource-exhausted' && !error.details?.quotaExceeded) {
+      throw providerError(`Gemini API error: ${error.message}`, 429, error.details?.retryAfter || null);
+    }
+    if (error.code === 'functions/unauthenticated') {
+      throw new Error('Sign in to use Gemini categorization.');
+    }
+    if (error.details?.promptVersionMismatch) {
+      throw new Error('The app is out of date with the AI server. Reload the page and try again.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * OpenAI-compatible chat completions request
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - { temperature, baseUrl, model, apiKey }
+ * @returns {Promise<string>} - Model text output
+ */
+const requestOpenAI = async (prompt, { temperature, baseUrl, model, apiKey }) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model,
+      temperature,
+      messages: [{ role: 'user', content: prompt }],
+    })
+  });
+
+  if (!response.ok) {
+    throw providerError(`OpenAI-compatible API error: ${await readErrorMessage(response)}`, response.status, parseRetryAfter(response));
+  }
+
+  const data = await response.json();
+  return data.choices?.[0]?.message?.content;
+};
+
+/**
+ * Ollama-style local generate request
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - { temperature, baseUrl, model }
+ * @returns {Promise<string>} - Model text output
+ */
+const requestOllama = async (prompt, { temperature, baseUrl, model }) => {
+  const response = await fetch(`${baseUrl.replace(/\/$/, '')}/api/generate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model,
+      prompt,
+      stream: false,
+      options: { temperature },
+    })
+  });
+
+  if (!response.ok) {
+    throw providerError(`Local model error: ${await readErrorMessage(response)}`, response.status, parseRetryAfter(response));
+  }
+
+  const data = await response.json();
+  return data.response;
+};
+
+/**
+ * Available providers
+ * Prompt-based providers implement `request(prompt, options)`; the Gemini proxy
+ * builds the same prompt server-side and implements `categorize(kind, texts, options)`.
+ * The rule-based provider has neither.
+ */
+export const LLM_PROVIDERS = {
+  gemini: {
+    id: 'gemini',
+    label: 'Google Gemini',
+    description: 'Cloud model via the app server. Titles and tags are sent to Google.',
+    isLocal: false,
+    fields: [],
+    defaults: {},
+    categorize: categorizeWithGeminiProxy,
+    reportsUsage: true, // The proxy returns its own quota count
+  },
+  openai: {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    description: 'Any /chat/completions endpoint (OpenAI, LM Studio, vLLM, OpenRouter...).',
+    isLocal: false,
+    fields: ['baseUrl', 'model', 'apiKey'],
+    defaults: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', apiKey: '' },
+    request: requestOpenAI,
+  },
+  ollama: {
+    id: 'ollama',
+    label: 'Local (Ollama)',
+    description: 'A model running on your machine. Nothing leaves your computer.',
+    isLocal: true,
+    fields: ['baseUrl', 'model'],
+    defaults: { baseUrl: 'http://localhost:11434', model: 'llama3.1' },
+    request: requestOllama,
+  },
+  rules: {
+    id: 'rules',
+    label: 'Offline keyword rules',
+    description: 'Deterministic matching on dimension keywords. No AI, no network.',
+    isLocal: true,
+    fields: [],
+    defaults: {},
+    request: null,
+  },
+};
+
+/**
+ * Read provider settings from localStorage
+ * @returns {{providerId: string, configs: Object}}
+ */
+export const getProviderSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    return {
+      providerId: LLM_PROVIDERS[stored.providerId] ? stored.providerId : 'gemini',
+      configs: stored.configs || {},
+    };
+  } catch {
+    return { providerId: 'gemini', configs: {} };
+  }
+};
+
+/**
+ * Persist provider settings to localStorage
+ * @param {{providerId: string, configs: Object}} settings - Settings to save
+ */
+export const saveProviderSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+/**
+ * Get the selected provider merged with its saved configuration
+ * @returns {Object} - Provider definition plus `config`
+ */
+export const getActiveProvider = () => {
+  const { providerId, configs } = getProviderSettings();
+  const provider = LLM_PROVIDERS[providerId];
+  return { ...provider, config: { ...provider.defaults, ...(configs[providerId] || {}) } };
+};
+
+/**
+ * Dimension definitions sent with each categorization request
+ * Built from the active (possibly user-defined) dimensions
+ * @returns {Array<{name: string, description: string, keywords: string[], subdimensions: string[]}>}
+ */
+export const getPromptDimensions = () => {
+  return getDimensionNames().map(name => {
+    const config = getDimensionConfig(name);
+    return {
+      name,
+      description: config.description,
+      keywords: config.keywords.slice(0, 6),
+      subdimensions: config.subdimensions.map(sub => sub.name),
+    };
+  });
+};
+
+/**
+ * Build the categorization prompt from the dimension configuration
+ * @param {'title'|'tag'} kind - What is being classified
+ * @param {string[]} texts - Items to classify
+ * @returns {string} - Prompt
+ */
+export const buildCategorizationPrompt = (kind, texts) => {
+  return buildSharedPrompt(kind, texts, getPromptDimensions());
+};
+
+/**
+ * Extract JSON from a model response (handles markdown code blocks and chatter)
+ * @param {string} text - Raw model output
+ * @returns {any} - Parsed JSON
+ */
+export const parseJsonResponse = (text) => {
+  let jsonText = text.trim();
+  if (jsonText.startsWith('```json')) {
+    jsonText = jsonText.replace(/```json\n?/, '').replace(/\n?```$/, '');
+  } else if (jsonText.startsWith('```')) {
+    jsonText = jsonText.replace(/```\n?/, '').replace(/\n?```$/, '');
+  }
+
+  try {
+    return JSON.parse(jsonText);
+  } catch (error) {
+    // Local models often wrap the array in prose
+    const arrayMatch = jsonText.match(/\[[\s\S]*\]/);
+    if (arrayMatch) {
+      return JSON.parse(arrayMatch[0]);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Match a model answer to a known dimension (case-insensitive, legacy aliases allowed)
+ * @param {string} value - Category returned by the model
+ * @returns {string|null} - Valid dimension name or null (Unassigned is not an answer)
+ */
+export const validateCategory = (value) => {
+  const dimension = resolveDimension(value);
+  return dimension && getDimensionNames().includes(dimension) ? dimension : null;
+};
+
+/**
+ * Result for an item the provider couldn't place
+ * @returns {{category: string, subcategory: null, categories: Array, confidence: number, defaulted: boolean}}
+ */
+const defaultedResult = () => {
+  const category = getFallbackDimension();
+  return {
+    category,
+    subcategory: null,
+    categories: [{ category, weight: 1 }],
+    confidence: 0,
+    defaulted: true,
+  };
+};
+
+const roundWeight = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Turn a raw answer into a primary category, weighted labels and a confidence
+ * Secondary weights are capped so the primary keeps at least half of the item
+ * @param {Object} answer - { category, subcategory?, secondary?: [{category, weight}], confidence? }
+ * @returns {{category: string, subcategory: string|null, categories: Array<{category: string, weight: number}>, confidence: number|null, defaulted: boolean}}
+ */
+export const normalizeCategorization = (answer) => {
+  const category = validateCategory(answer?.category);
+  if (!category) {
+    return defaultedResult();
+  }
+
+  const secondary = [];
+  (Array.isArray(answer.secondary) ? answer.secondary : []).forEach(item => {
+    const name = validateCategory(item?.category);
+    const weight = parseFloat(item?.weight);
+    if (name && name !== category && weight > 0 && !secondary.some(s => s.category === name)) {
+      secondary.push({ category: name, weight: Math.min(weight, 1) });
+    }
+  });
+
+  const kept = secondary.slice(0, MAX_SECONDARY);
+  const total = kept.reduce((sum, item) => sum + item.weight, 0);
+  const scale = total > MAX_SECONDARY_WEIGHT ? MAX_SECONDARY_WEIGHT / total : 1;
+
+  const categories = [
+    { category, weight: roundWeight(1 - total * scale) },
+    ...kept.map(item => ({ category: item.category, weight: roundWeight(item.weight * scale) })),
+  ];
+
+  const rawConfidence = parseFloat(answer.confidence);
+  const confidence = Number.isNaN(rawConfidence) ? null : Math.min(Math.max(rawConfidence, 0), 1);
+
+  const subcategory = resolveSubdimension(category, answer.subcategory);
+
+  return { category, subcategory, categories, confidence, defaulted: false };
+};
+
+/**
+ * Deterministic keyword classification (offline fallback)
+ * Every matching dimension becomes a label weighted by its keyword score
+ * @param {string} text - Title or tag
+ * @returns {{category: string, subcategory: string|null, categories: Array, confidence: number, defaulted: boolean}}
+ */
+export const classifyWithRules = (text) => {
+  const words = (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const scores = {};
+
+  words.forEach(word => {
+    const mapped = resolveDimension(TAG_DIMENSION_MAP[word]);
+    if (mapped) {
+      scores[mapped] = (scores[mapped] || 0) + 2;
+    }
+
+    getDimensionNames().forEach(name => {
+      const keywords = getDimensionConfig(name).keywords;
+      if (keywords.some(keyword => keyword === word || (keyword.length > 3 && word.startsWith(keyword)))) {
+        scores[name] = (scores[name] || 0) + 1;
+      }
+    });
+  });
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0) {
+    return defaultedResult();
+  }
+
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  return normalizeCategorization({
+    category: ranked[0][0],
+    subcategory: classifySubdimension(ranked[0][0], text),
+    secondary: ranked.slice(1).map(([category, score]) => ({ category, weight: score / total })),
+    confidence: ranked[0][1] / total,
+  });
+};
+
+/**
+ * Throw if a job of `requestsNeeded` requests would exceed today's AI budget
+ * Local and rule-based providers have no budget
+ * @param {number} requestsNeeded - Requests the job will make
+ */
+export const checkAiBudget = (requestsNeeded) => {
+  if (!getActiveProvider().isLocal) {
+    assertDailyBudget(requestsNeeded);
+  }
+};
+
+/**
+ * Categorize a list of texts with the active provider
+ * @param {string[]} texts - Titles or tags
+ * @param {Object} options - { kind: 'title'|'tag', temperature }
+ * @returns {Promise<Array<{category: string, subcategory: string|null, categories: Array, confidence: number|null, defaulted: boolean}>>} - Aligned with `texts`
+ */
+export const categorizeTexts = async (texts, { kind, temperature = 0.3 }) => {
+  if (!texts || texts.length === 0) {
+    return [];
+  }
+
+  const provider = getActiveProvider();
+
+  if (!provider.request && !provider.categorize) {
+    return texts.map(text => classifyWithRules(text));
+  }
+
+  console.log(`🤖 Categorizing ${texts.length} ${kind}s with ${provider.label}...`);
+
+  // Same estimate for the proxy, which builds the same prompt server-side
+  const prompt = buildCategorizationPrompt(kind, texts);
+  const schedule = {
+    estimatedTokens: estimateTokens(prompt) + texts.length * OUTPUT_TOKENS_PER_ITEM,
+    isLocal: provider.isLocal,
+    reportsUsage: Boolean(provider.reportsUsage),
+  };
+
+  let answers;
+  if (provider.categorize) {
+    answers = await scheduleAiRequest(() => provider.categorize(kind, texts, { ...provider.config, temperature }), schedule);
+  } else {
+    const text = await scheduleAiRequest(() => provider.request(prompt, { ...provider.config, temperature }), schedule);
+    if (!text) {
+      throw new Error(`No response from ${provider.label}`);
+    }
+    answers = parseJsonResponse(text);
+  }
+
+  console.log('🤖 Raw AI response:', answers);
+
+  if (!Array.isArray(answers)) {
+    throw new Error(`Unexpected response format from ${provider.label}`);
+  }
+
+  return texts.map((item, i) => {
+    const answer = answers.find(a => Number(a?.index) === i + 1);
+    const result = normalizeCategorization(answer);
+
+    if (result.defaulted) {
+      console.warn(`Invalid category "${answer?.category}" for "${item}", defaulting to ${result.category}`);
+    }
+
+    // Models that skip the sub-category get one from the keyword rules
+    return { ...result, subcategory: assignSubdimension(result.category, result.subcategory, item) };
+  });
+};
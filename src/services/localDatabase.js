@@ -0,0 +1,191 @@
+/**
+ * Local Database
+ * Thin promise wrapper around IndexedDB for data that must survive
+ * page reloads but doesn't belong in Firestore (import jobs, caches).
+ * The local storage backend (src/repositories) also keeps the user's
+ * logs, mappings, videos and connections here.
+ */
+
+const DB_NAME = 'identity-compass';
+const DB_VERSION = 5;
+
+/**
+ * Object store definitions
+ * Bump DB_VERSION when adding a store so onupgradeneeded creates it
+ */
+const STORES = {
+  import_jobs: { keyPath: 'id', indexes: ['userId'] },
+  import_payloads: { keyPath: 'jobId', indexes: [] },
+  categorization_cache: { keyPath: 'key', indexes: [] },
+  training_examples: { keyPath: 'id', indexes: ['userId'] },
+  // Local storage backend (VITE_STORAGE_BACKEND=local)
+  daily_logs: { keyPath: 'id', indexes: ['userId'] },
+  tag_mappings: { keyPath: 'id', indexes: [] },
+  categorized_videos: { keyPath: 'id', indexes: ['userId'] },
+  youtube_history: { keyPath: 'id', indexes: ['userId'] },
+  tag_connections: { keyPath: 'id', indexes: ['userId'] },
+  user_settings: { keyPath: 'id', indexes: [] },
+  user_categorization_cache: { keyPath: 'id', indexes: ['userId'] },
+};
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>}
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open (and upgrade) the local database once per page load
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openLocalDb = () => {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      Object.entries(STORES).forEach(([name, { keyPath, indexes }]) => {
+        const store = db.objectStoreNames.contains(name)
+          ? request.transaction.objectStore(name)
+          : db.createObjectStore(name, { keyPath });
+
+        indexes.forEach(index => {
+          if (!store.indexNames.contains(index)) {
+            store.createIndex(index, index);
+          }
+        });
+      });
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against a store
+ * @param {string} storeName - Object store name
+ * @param {'readonly'|'readwrite'} mode - Transaction mode
+ * @param {function(IDBObjectStore): IDBRequest} operation - Builds the request
+ * @returns {Promise<any>}
+ */
+const withStore = async (storeName, mode, operation) => {
+  const db = await openLocalDb();
+  const transaction = db.transaction(storeName, mode);
+  return promisify(operation(transaction.objectStore(storeName)));
+};
+
+/**
+ * Run a batch of operations in one readwrite transaction
+ * @param {string} storeName - Object store name
+ * @param {function(IDBObjectStore)} operation - Issues the requests
+ * @returns {Promise<void>}
+ */
+const withTransaction = async (storeName, operation) => {
+  const db = await openLocalDb();
+  const transaction = db.transaction(storeName, 'readwrite');
+  operation(transaction.objectStore(storeName));
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Get a record by key
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<Object|undefined>}
+ */
+export const localGet = (storeName, key) => {
+  return withStore(storeName, 'readonly', store => store.get(key));
+};
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Object store name
+ * @param {Object} value - Record (must contain the store's keyPath)
+ * @returns {Promise<string>} - Record key
+ */
+export const localPut = (storeName, value) => {
+  return withStore(storeName, 'readwrite', store => store.put(value));
+};
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<void>}
+ */
+export const localDelete = (storeName, key) => {
+  return withStore(storeName, 'readwrite', store => store.delete(key));
+};
+
+/**
+ * Get all records where an indexed field equals a value
+ * @param {string} storeName - Object store name
+ * @param {string} indexName - Index name (same as the field name)
+ * @param {any} value - Value to match
+ * @returns {Promise<Array>}
+ */
+export const localGetAllByIndex = (storeName, indexName, value) => {
+  return withStore(storeName, 'readonly', store => store.index(indexName).getAll(value));
+};
+
+/**
+ * Get all records in a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>}
+ */
+export const localGetAll = (storeName) => {
+  return withStore(storeName, 'readonly', store => store.getAll());
+};
+
+/**
+ * Insert or replace many records in one transaction
+ * @param {string} storeName - Object store name
+ * @param {Array<Object>} values - Records (must contain the store's keyPath)
+ * @returns {Promise<void>}
+ */
+export const localPutMany = (storeName, values) => {
+  return withTransaction(storeName, store => values.forEach(value => store.put(value)));
+};
+
+/**
+ * Delete many records in one transaction
+ * @param {string} storeName - Object store name
+ * @param {Array<string>} keys - Record keys
+ * @returns {Promise<void>}
+ */
+export const localDeleteMany = (storeName, keys) => {
+  return withTransaction(storeName, store => keys.forEach(key => store.delete(key)));
+};
+
+/**
+ * Delete every record in a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<void>}
+ */
+export const localClear = (storeName) => {
+  return withStore(storeName, 'readwrite', store => store.clear());
+};
@@ -0,0 +1,294 @@
+/**
+ * AI Rate Limiter Service
+ * The one scheduler every cloud AI request goes through.
+ *
+ * - Token buckets for requests/minute and tokens/minute
+ * - A persisted per-day request counter (UTC days, like the proxy's quota),
+ *   overwritten with the server's count when a provider reports it
+ * - Only answered requests are counted: retries and failures are free
+ * - Retry on 429/503 honoring Retry-After, otherwise exponential backoff with jitter
+ *
+ * Requests are admitted one at a time, so batches started from different
+ * pages (tag categorization, the import queue) share the same budget.
+ */
+
+import { DAILY_AI_REQUESTS } from '../../functions/shared/categorization';
+
+const LIMITS_KEY = 'identity-compass:rate-limits';
+const USAGE_KEY = 'identity-compass:ai-usage';
+
+// Gemini 2.5 Flash free tier; rpd matches the proxy's per-user daily quota
+export const DEFAULT_RATE_LIMITS = {
+  rpm: 10,
+  tpm: 250000,
+  rpd: DAILY_AI_REQUESTS,
+};
+
+const MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 60000;
+const RETRYABLE_STATUSES = [429, 503];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const listeners = new Set();
+let admissionQueue = Promise.resolve();
+let blockedUntil = 0;
+let buckets = null; // { requests, tokens, refilledAt }
+let inFlight = 0; // Admitted requests not answered yet
+
+/**
+ * Build an error for a request the daily budget can't cover
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const quotaError = (message) => {
+  const error = new Error(message);
+  error.quotaExceeded = true;
+  return error;
+};
+
+/**
+ * Read configured limits
+ * @returns {{rpm: number, tpm: number, rpd: number}}
+ */
+export const getRateLimits = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LIMITS_KEY) || '{}');
+    return { ...DEFAULT_RATE_LIMITS, ...stored };
+  } catch {
+    return { ...DEFAULT_RATE_LIMITS };
+  }
+};
+
+/**
+ * Persist limits; the buckets refill against the new capacity
+ * @param {{rpm: number, tpm: number, rpd: number}} limits - New limits
+ */
+export const saveRateLimits = (limits) => {
+  const cleaned = {};
+  Object.keys(DEFAULT_RATE_LIMITS).forEach(key => {
+    const value = Math.floor(Number(limits[key]));
+    cleaned[key] = value > 0 ? value : DEFAULT_RATE_LIMITS[key];
+  });
+  localStorage.setItem(LIMITS_KEY, JSON.stringify(cleaned));
+  buckets = null;
+  notify();
+};
+
+const todayKey = () => new Date().toISOString().slice(0, 10); // YYYY-MM-DD, UTC like functions/index.js
+
+/**
+ * Read today's stored usage
+ * @returns {{date: string, requests: number, tokens: number, serverLimit: number|null}}
+ */
+const readUsage = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(USAGE_KEY) || '{}');
+    if (stored.date === todayKey()) {
+      return {
+        date: stored.date,
+        requests: stored.requests || 0,
+        tokens: stored.tokens || 0,
+        serverLimit: stored.serverLimit || null,
+      };
+    }
+  } catch {
+    // Corrupt entry: start the day fresh
+  }
+  return { date: todayKey(), requests: 0, tokens: 0, serverLimit: null };
+};
+
+/**
+ * Get today's usage against the daily limit (the lower of ours and the server's)
+ * @returns {{date: string, requests: number, tokens: number, limit: number, remaining: number}}
+ */
+export const getDailyUsage = () => {
+  const { serverLimit, ...usage } = readUsage();
+  const limit = Math.min(getRateLimits().rpd, serverLimit || Infinity);
+  return { ...usage, limit, remaining: Math.max(limit - usage.requests, 0) };
+};
+
+/**
+ * Notify subscribers about a usage or limit change
+ */
+const notify = () => {
+  const usage = getDailyUsage();
+  listeners.forEach(listener => listener(usage));
+};
+
+/**
+ * Subscribe to usage updates
+ * @param {function(Object)} listener - Called with getDailyUsage()
+ * @returns {function} - Unsubscribe
+ */
+export const subscribeToUsage = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Count an answered request against today's budget
+ * @param {number} tokens - Estimated tokens
+ * @param {number} requests - 0 when the provider already reported its count
+ */
+const recordUsage = (tokens, requests) => {
+  const usage = readUsage();
+  localStorage.setItem(USAGE_KEY, JSON.stringify({
+    ...usage,
+    requests: usage.requests + requests,
+    tokens: usage.tokens + tokens,
+  }));
+  notify();
+};
+
+/**
+ * Replace today's request count with the one a server keeps
+ * Counts for another day (the UTC day turned mid-request) are ignored
+ * @param {{used: number, limit: number, date: string}} quota - Server quota (see functions/README.md)
+ */
+export const syncDailyUsage = ({ used, limit, date }) => {
+  const usage = readUsage();
+  if (date !== usage.date || !(used >= 0)) return;
+
+  localStorage.setItem(USAGE_KEY, JSON.stringify({
+    ...usage,
+    requests: used,
+    serverLimit: limit > 0 ? limit : usage.serverLimit,
+  }));
+  notify();
+};
+
+/**
+ * Rough token estimate (~4 characters per token)
+ * @param {string} text - Prompt text
+ * @returns {number}
+ */
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Throw if a job needing `requestsNeeded` requests would exceed today's budget
+ * Requests still in flight count as spent
+ * @param {number} requestsNeeded - Requests the job will make
+ */
+export const assertDailyBudget = (requestsNeeded) => {
+  const usage = getDailyUsage();
+  const { limit } = usage;
+  const remaining = Math.max(usage.remaining - inFlight, 0);
+  if (requestsNeeded > remaining) {
+    throw quotaError(
+      `This needs ~${requestsNeeded} AI requests but only ${remaining}/${limit} are left today. ` +
+      'Try again tomorrow or raise the daily limit in AI Provider settings.'
+    );
+  }
+};
+
+/**
+ * Top up both buckets for the time elapsed since the last refill
+ * @param {{rpm: number, tpm: number}} limits - Current limits
+ */
+const refillBuckets = ({ rpm, tpm }) => {
+  const now = Date.now();
+  if (!buckets) {
+    buckets = { requests: rpm, tokens: tpm, refilledAt: now };
+    return;
+  }
+
+  const elapsed = now - buckets.refilledAt;
+  buckets.requests = Math.min(rpm, buckets.requests + (elapsed * rpm) / 60000);
+  buckets.tokens = Math.min(tpm, buckets.tokens + (elapsed * tpm) / 60000);
+  buckets.refilledAt = now;
+};
+
+/**
+ * Wait until one request of `tokens` size fits in both buckets, then take it
+ * @param {number} tokens - Estimated tokens
+ * @returns {Promise<void>}
+ */
+const takeCapacity = async (tokens) => {
+  for (;;) {
+    if (Date.now() < blockedUntil) {
+      await sleep(blockedUntil - Date.now());
+      continue;
+    }
+
+    const limits = getRateLimits();
+    const needed = Math.min(tokens, limits.tpm);
+    refillBuckets(limits);
+
+    if (buckets.requests >= 1 && buckets.tokens >= needed) {
+      buckets.requests -= 1;
+      buckets.tokens -= needed;
+      return;
+    }
+
+    const waitForRequest = ((1 - buckets.requests) * 60000) / limits.rpm;
+    const waitForTokens = ((needed - buckets.tokens) * 60000) / limits.tpm;
+    await sleep(Math.max(waitForRequest, waitForTokens, 50));
+  }
+};
+
+/**
+ * Admit requests one at a time so concurrent callers share the buckets
+ * @param {number} tokens - Estimated tokens
+ * @returns {Promise<void>}
+ */
+const admit = (tokens) => {
+  const admission = admissionQueue.then(() => takeCapacity(tokens));
+  admissionQueue = admission.catch(() => {});
+  return admission;
+};
+
+/**
+ * Delay before retry `attempt` (0-based)
+ * @param {Error} error - Failed request error (may carry retryAfter in seconds)
+ * @param {number} attempt - Retry number
+ * @returns {number} - Milliseconds
+ */
+const getRetryDelay = (error, attempt) => {
+  if (error.retryAfter > 0) {
+    return error.retryAfter * 1000;
+  }
+  const backoff = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return backoff / 2 + Math.random() * (backoff / 2); // Equal jitter
+};
+
+/**
+ * Run an AI request through the shared limits
+ * @param {function(): Promise<any>} send - Performs the request
+ * @param {Object} options - { estimatedTokens, isLocal, reportsUsage }
+ *   reportsUsage: `send` calls syncDailyUsage itself, so the request isn't counted again
+ * @returns {Promise<any>} - Result of `send`
+ */
+export const scheduleAiRequest = async (send, { estimatedTokens = 0, isLocal = false, reportsUsage = false } = {}) => {
+  // Local providers have no quota to protect
+  if (isLocal) {
+    return send();
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    assertDailyBudget(1);
+    await admit(estimatedTokens);
+
+    // In flight until answered, so concurrent callers can't overshoot the budget
+    inFlight++;
+    try {
+      const result = await send();
+      recordUsage(estimatedTokens, reportsUsage ? 0 : 1);
+      return result;
+    } catch (error) {
+      if (!RETRYABLE_STATUSES.includes(error.status)) {
+        throw error;
+      }
+      if (attempt >= MAX_RETRIES) {
+        throw new Error(`Rate limit exceeded after ${MAX_RETRIES} retries. Please wait a few minutes.`);
+      }
+
+      const delay = getRetryDelay(error, attempt);
+      blockedUntil = Math.max(blockedUntil, Date.now() + delay);
+      console.warn(`⏳ Rate limited (${error.status}). Retrying in ${Math.round(delay / 1000)}s (${attempt + 1}/${MAX_RETRIES})...`);
+    } finally {
+      inFlight--;
+    }
+  }
+};
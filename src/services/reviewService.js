@@ -0,0 +1,159 @@
+import { getCategorizedVideos, updateCategorizedVideos } from './categorizedVideoService';
+import { getUserTagMappings, applyTagReviews } from './tagMappingService';
+import { recordCorrections } from './correctionClassifierService';
+import { classifySubdimension } from '../constants/dimensions';
+
+/**
+ * Review Service
+ * Collects AI categorizations a human should check, and writes the
+ * user's decisions back to categorized_videos and tag_mappings.
+ *
+ * An item needs review when it was defaulted (invalid/missing AI answer),
+ * has low confidence, or was flagged by the user. Accepting or reassigning
+ * marks it reviewed so it leaves the queue, and becomes a training
+ * example for the on-device classifier.
+ */
+
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+export const REVIEW_REASONS = {
+  defaulted: 'Defaulted',
+  'low-confidence': 'Low confidence',
+  flagged: 'Flagged',
+};
+
+/**
+ * Why an item needs review
+ * @param {Object} item - Video or tag mapping with defaulted/confidence/flagged/reviewed
+ * @returns {string|null} - Key of REVIEW_REASONS, or null when it doesn't need review
+ */
+export const getReviewReason = (item) => {
+  if (item.flagged) return 'flagged';
+  if (item.reviewed) return null;
+  if (item.defaulted) return 'defaulted';
+  if (typeof item.confidence === 'number' && item.confidence < LOW_CONFIDENCE_THRESHOLD) return 'low-confidence';
+  return null;
+};
+
+/**
+ * Load every video and tag that needs review
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - [{ kind, id, text, channel, category, categories, confidence, reason }]
+ */
+export const getReviewQueue = async (userId) => {
+  try {
+    const [videos, mappings] = await Promise.all([
+      getCategorizedVideos(userId),
+      getUserTagMappings(userId),
+    ]);
+
+    const videoItems = videos
+      .map(video => ({
+        kind: 'video',
+        id: video.id,
+        text: video.title,
+        channel: video.channel,
+        category: video.category,
+        categories: video.categories,
+        confidence: video.confidence,
+        reason: getReviewReason(video),
+      }))
+      .filter(item => item.reason);
+
+    const tagItems = Object.entries(mappings)
+      .filter(([, mapping]) => mapping.category && mapping.category !== 'Unassigned')
+      .map(([tag, mapping]) => ({
+        kind: 'tag',
+        id: tag,
+        text: tag,
+        channel: null,
+        category: mapping.category,
+        categories: mapping.categories || null,
+        confidence: mapping.confidence ?? null,
+        reason: getReviewReason(mapping),
+      }))
+      .filter(item => item.reason);
+
+    console.log(`🔎 Review queue: ${videoItems.length} videos, ${tagItems.length} tags`);
+    return [...videoItems, ...tagItems];
+  } catch (error) {
+    console.error('Error loading review queue:', error);
+    throw error;
+  }
+};
+
+/**
+ * Apply one decision to a set of queue items
+ * @param {string} userId - User ID
+ * @param {Array} items - Queue items (videos and/or tags)
+ * @param {Object} decision - { action: 'accept' | 'reassign' | 'flag' | 'unflag', category? }
+ * @returns {Promise<void>}
+ */
+export const applyReviewDecision = async (userId, items, { action, category = null }) => {
+  const now = new Date().toISOString();
+
+  const videoChanges = {
+    accept: { reviewed: true, flagged: false, reviewedAt: now },
+    reassign: {
+      category,
+      categories: [{ category, weight: 1 }],
+      confidence: 1,
+      reviewed: true,
+      flagged: false,
+      reviewedAt: now,
+    },
+    flag: { flagged: true },
+    unflag: { flagged: false },
+  }[action];
+
+  const tagReview = {
+    accept: {},
+    reassign: { category },
+    flag: { flagged: true },
+    unflag: { flagged: false },
+  }[action];
+
+  if (!videoChanges) {
+    throw new Error(`Unknown review action: ${action}`);
+  }
+  if (action === 'reassign' && !category) {
+    throw new Error('Pick a category to reassign to');
+  }
+
+  try {
+    const videos = items.filter(item => item.kind === 'video');
+    const tags = items.filter(item => item.kind === 'tag');
+
+    if (videos.length > 0) {
+      // A reassigned video gets its sub-category from the keyword rules on its title
+      await updateCategorizedVideos(videos.map(video => ({
+        id: video.id,
+        changes: action === 'reassign'
+          ? { ...videoChanges, subcategory: classifySubdimension(category, video.text) }
+          : videoChanges,
+      })));
+    }
+
+    if (tags.length > 0) {
+      const reviews = {};
+      tags.forEach(tag => {
+        reviews[tag.id] = tagReview;
+      });
+      await applyTagReviews(userId, reviews);
+    }
+
+    if (action === 'accept' || action === 'reassign') {
+      await recordCorrections(userId, items.map(item => ({
+        text: item.text,
+        channel: item.channel,
+        label: category || item.category,
+        source: 'review',
+      })));
+    }
+
+    console.log(`✅ Review: ${action} ${items.length} items${category ? ` → ${category}` : ''}`);
+  } catch (error) {
+    console.error('Error applying review decision:', error);
+    throw error;
+  }
+};
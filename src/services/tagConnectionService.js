@@ -1,7 +1,25 @@
-import { db } from '../firebase/config';
-import { collection, doc, getDoc, setDoc, getDocs, increment, writeBatch } from 'firebase/firestore';
+import { connectionRepository, logRepository, historyRepository, settingsRepository } from '../repositories';
+import { getTagDimension, getTagDimensionWeights } from '../constants/dimensions';
 
-const COLLECTION_NAME = 'tag_connections';
+/**
+ * Tag Connection Schema (tag_connections/{userId}_{source}_{target}):
+ * {
+ *   userId: string,
+ *   source: string,
+ *   target: string,
+ *   weight: number,
+ *   createdAt: Date (absent on edges first created by an import batch),
+ *   lastUpdated: Date
+ * }
+ *
+ * Connections used to live in one global collection keyed by the tag pair
+ * alone, so every user's graph was shared. Those legacy documents have no
+ * userId and can't be attributed to anyone; migrateTagConnections() rebuilds
+ * each user's connections from their own logs and watch history instead.
+ */
+
+const CONNECTIONS_VERSION = 2; // 2 = per-user documents
+const MAX_GRAPH_CONNECTIONS = 2000; // Strongest edges the Mind Map loads (it shows at most 300 tags)
 
 /**
  * Generate a unique ID for a tag pair (alphabetically sorted to ensure consistency)
@@ -18,6 +36,14 @@ const generateConnectionId = (tag1, tag2) => {
   return `${first}_${second}`;
 };
 
+/**
+ * Document ID of a user's connection
+ * @param {string} userId - User ID
+ * @param {string} connectionId - Tag pair ID from generateConnectionId
+ * @returns {string}
+ */
+const getConnectionDocId = (userId, connectionId) => `${userId}_${connectionId}`;
+
 /**
  * Extract all unique tag pairs from an array of tags
  * @param {string[]} tags - Array of tags
@@ -25,7 +51,7 @@ const generateConnectionId = (tag1, tag2) => {
  */
 const extractTagPairs = (tags) => {
   const pairs = [];
-  const normalizedTags = tags.map(tag => tag.toLowerCase().trim());
+  const normalizedTags = [...new Set(tags.map(tag => tag.toLowerCase().trim()))];
   
   // Generate all unique pairs
   for (let i = 0; i < normalizedTags.length; i++) {
@@ -46,54 +72,109 @@ const extractTagPairs = (tags) => {
 };
 
 /**
- * Record tag co-occurrences in Firestore
+ * Apply weight changes to a user's connections
+ * @param {string} userId - User ID
+ * @param {Map<string, {source: string, target: string, delta: number}>} deltas - By pair ID
+ * @returns {Promise<number>} - Number of connections changed
+ */
+const applyConnectionDeltas = async (userId, deltas) => {
+  const changes = Array.from(deltas.entries())
+    .filter(([, change]) => change.delta !== 0)
+    .map(([id, change]) => ({ ...change, id: getConnectionDocId(userId, id) }));
+
+  // Additions are blind increment upserts; only removals need to read the
+  // current weight, to delete edges that drop to zero
+  const additions = changes.filter(change => change.delta > 0);
+  const removals = changes.filter(change => change.delta < 0);
+
+  if (additions.length > 0) {
+    await connectionRepository.incrementMany(userId, additions);
+  }
+  if (removals.length > 0) {
+    await connectionRepository.adjust(userId, removals);
+  }
+  return changes.length;
+};
+
+/**
+ * Count tag pairs across many tag lists
+ * @param {string[][]} tagLists - Tags of each log or video
+ * @returns {Map<string, {source: string, target: string, delta: number}>} - By pair ID
+ */
+const countTagPairs = (tagLists) => {
+  const counts = new Map();
+  tagLists.forEach(tags => {
+    extractTagPairs(tags || []).forEach(({ id, source, target }) => {
+      const existing = counts.get(id);
+      counts.set(id, { source, target, delta: (existing?.delta || 0) + 1 });
+    });
+  });
+  return counts;
+};
+
+/**
+ * Update connections when a record's tags change
+ * Only pairs that appear or disappear are touched, so unchanged pairs are not double-counted
+ * @param {string} userId - User ID
+ * @param {string[]} oldTags - Tags before the change ([] for a new record)
+ * @param {string[]} newTags - Tags after the change ([] for a deleted record)
+ * @returns {Promise<{added: number, removed: number}>}
+ */
+export const updateTagConnections = async (userId, oldTags = [], newTags = []) => {
+  try {
+    const oldPairs = new Map(extractTagPairs(oldTags || []).map(pair => [pair.id, pair]));
+    const newPairs = new Map(extractTagPairs(newTags || []).map(pair => [pair.id, pair]));
+
+    const deltas = new Map();
+    newPairs.forEach((pair, id) => {
+      if (!oldPairs.has(id)) deltas.set(id, { source: pair.source, target: pair.target, delta: 1 });
+    });
+    oldPairs.forEach((pair, id) => {
+      if (!newPairs.has(id)) deltas.set(id, { source: pair.source, target: pair.target, delta: -1 });
+    });
+
+    if (deltas.size === 0) {
+      return { added: 0, removed: 0 };
+    }
+
+    await applyConnectionDeltas(userId, deltas);
+
+    const added = Array.from(deltas.values()).filter(change => change.delta > 0).length;
+    const removed = deltas.size - added;
+    console.log(`✅ Tag connections updated: +${added} / -${removed}`);
+    return { added, removed };
+  } catch (error) {
+    console.error('❌ Error updating tag connections:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record tag co-occurrences
+ * @param {string} userId - User ID
  * @param {string[]} tags - Array of tags from a daily log
  * @returns {Promise<void>}
  */
-export const recordTagConnections = async (tags) => {
+export const recordTagConnections = async (userId, tags) => {
   if (!tags || tags.length < 2) {
     // Need at least 2 tags to create connections
     return;
   }
-  
+
+  await updateTagConnections(userId, [], tags);
+};
+
+/**
+ * Record the co-occurrences of a whole import batch at once
+ * Pair counts are added up locally, so each connection is written once per batch
+ * @param {string} userId - User ID
+ * @param {string[][]} tagLists - Tags of each video in the batch
+ * @returns {Promise<number>} - Number of connections written
+ */
+export const recordTagConnectionsBatch = async (userId, tagLists) => {
   try {
-    const pairs = extractTagPairs(tags);
-    
-    if (pairs.length === 0) {
-      return;
-    }
-    
-    // Use batch writes for efficiency (up to 500 operations per batch)
-    const batch = writeBatch(db);
-    
-    for (const pair of pairs) {
-      const connectionRef = doc(db, COLLECTION_NAME, pair.id);
-      
-      // Check if connection already exists
-      const connectionSnap = await getDoc(connectionRef);
-      
-      if (connectionSnap.exists()) {
-        // Increment weight if connection exists
-        batch.update(connectionRef, {
-          weight: increment(1),
-          lastUpdated: new Date(),
-        });
-      } else {
-        // Create new connection
-        batch.set(connectionRef, {
-          source: pair.source,
-          target: pair.target,
-          weight: 1,
-          createdAt: new Date(),
-          lastUpdated: new Date(),
-        });
-      }
-    }
-    
-    // Commit all changes in a single batch
-    await batch.commit();
-    
-    console.log(`✅ Recorded ${pairs.length} tag connection(s):`, pairs.map(p => `${p.source} <-> ${p.target}`));
+    const counts = countTagPairs(tagLists.filter(tags => tags && tags.length >= 2));
+    return await applyConnectionDeltas(userId, counts);
   } catch (error) {
     console.error('❌ Error recording tag connections:', error);
     throw error;
@@ -102,21 +183,19 @@ export const recordTagConnections = async (tags) => {
 
 /**
  * Get all connections for a specific tag
+ * @param {string} userId - User ID
  * @param {string} tag - The tag to find connections for
  * @returns {Promise<Array>} - Array of connected tags with weights
  */
-export const getTagConnections = async (tag) => {
+export const getTagConnections = async (userId, tag) => {
   try {
     const normalizedTag = tag.toLowerCase().trim();
-    const connectionsRef = collection(db, COLLECTION_NAME);
     
-    // Fetch all connections (we'll filter in memory to avoid index requirements)
-    const querySnapshot = await getDocs(connectionsRef);
+    // Fetch the user's connections (we'll filter in memory to avoid index requirements)
+    const records = await connectionRepository.getAll(userId);
     const connections = [];
     
-    querySnapshot.forEach((doc) => {
-      const data = doc.data();
-      
+    records.forEach((data) => {
       // Check if this tag is either source or target
       if (data.source === normalizedTag || data.target === normalizedTag) {
         const connectedTag = data.source === normalizedTag ? data.target : data.source;
@@ -124,7 +203,7 @@ export const getTagConnections = async (tag) => {
         connections.push({
           tag: connectedTag,
           weight: data.weight,
-          lastUpdated: data.lastUpdated?.toDate?.() || null,
+          lastUpdated: data.lastUpdated || null,
         });
       }
     });
@@ -140,27 +219,25 @@ export const getTagConnections = async (tag) => {
 };
 
 /**
- * Get all tag connections in the system (for network visualization)
+ * Get all of a user's tag connections (for network visualization)
+ * @param {string} userId - User ID
  * @param {number} minWeight - Minimum weight threshold (default: 1)
  * @returns {Promise<Array>} - Array of all connections
  */
-export const getAllTagConnections = async (minWeight = 1) => {
+export const getAllTagConnections = async (userId, minWeight = 1) => {
   try {
-    const connectionsRef = collection(db, COLLECTION_NAME);
-    const querySnapshot = await getDocs(connectionsRef);
+    const records = await connectionRepository.getAll(userId);
     const connections = [];
     
-    querySnapshot.forEach((doc) => {
-      const data = doc.data();
-      
+    records.forEach((data) => {
       if (data.weight >= minWeight) {
         connections.push({
-          id: doc.id,
+          id: data.id,
           source: data.source,
           target: data.target,
           weight: data.weight,
-          createdAt: data.createdAt?.toDate?.() || null,
-          lastUpdated: data.lastUpdated?.toDate?.() || null,
+          createdAt: data.createdAt || null,
+          lastUpdated: data.lastUpdated || null,
         });
       }
     });
@@ -176,17 +253,79 @@ export const getAllTagConnections = async (minWeight = 1) => {
 };
 
 /**
- * Get all unique tags from tag connections
+ * Get a user's strongest tag connections (for the Mind Map)
+ * The weight threshold and the cap are applied by the query, so only the
+ * returned connections are read however many the user has
+ * @param {string} userId - User ID
+ * @param {Object} options - { minWeight = 1, maxCount = MAX_GRAPH_CONNECTIONS }
+ * @returns {Promise<Array>} - Connections, strongest first
+ */
+export const getStrongestTagConnections = async (userId, { minWeight = 1, maxCount = MAX_GRAPH_CONNECTIONS } = {}) => {
+  try {
+    const records = await connectionRepository.getStrongest(userId, { minWeight, maxCount });
+    return records.map(data => ({
+      id: data.id,
+      source: data.source,
+      target: data.target,
+      weight: data.weight,
+      createdAt: data.createdAt || null,
+      lastUpdated: data.lastUpdated || null,
+    }));
+  } catch (error) {
+    console.error('Error fetching strongest tag connections:', error);
+    throw error;
+  }
+};
+
+/**
+ * Build the tag co-occurrence graph for the Mind Map
+ * A tag's frequency is the total weight of its connections (how often it
+ * appeared alongside other tags); its color comes from its dimension,
+ * its place in the compass layout from its dimension shares
+ * @param {Array} connections - From getStrongestTagConnections or getAllTagConnections
+ * @param {Object} userMappings - Tag mappings (dimension and type per tag)
+ * @returns {{nodes: Array, links: Array}}
+ */
+export const buildTagGraph = (connections, userMappings = {}) => {
+  const frequency = new Map();
+  connections.forEach(({ source, target, weight }) => {
+    frequency.set(source, (frequency.get(source) || 0) + weight);
+    frequency.set(target, (frequency.get(target) || 0) + weight);
+  });
+
+  const nodes = Array.from(frequency.entries()).map(([tag, count]) => ({
+    id: tag,
+    name: tag,
+    category: getTagDimension(tag, userMappings),
+    dimensions: getTagDimensionWeights(tag, userMappings),
+    val: count,
+    frequency: count,
+    type: userMappings[tag]?.type || 'Concept',
+    kind: 'Tag',
+    isMainNode: false
+  }));
+
+  const links = connections.map(({ source, target, weight }) => ({
+    source,
+    target,
+    weight,
+    value: weight
+  }));
+
+  return { nodes, links };
+};
+
+/**
+ * Get all unique tags from a user's tag connections
+ * @param {string} userId - User ID
  * @returns {Promise<string[]>} - Array of unique tag names
  */
-export const getAllUniqueTagsFromConnections = async () => {
+export const getAllUniqueTagsFromConnections = async (userId) => {
   try {
-    const connectionsRef = collection(db, COLLECTION_NAME);
-    const querySnapshot = await getDocs(connectionsRef);
+    const records = await connectionRepository.getAll(userId);
     const uniqueTags = new Set();
     
-    querySnapshot.forEach((doc) => {
-      const data = doc.data();
+    records.forEach((data) => {
       uniqueTags.add(data.source);
       uniqueTags.add(data.target);
     });
@@ -199,11 +338,12 @@ export const getAllUniqueTagsFromConnections = async () => {
 };
 
 /**
- * Debug function to log all connections
+ * Debug function to log all of a user's connections
+ * @param {string} userId - User ID
  */
-export const debugTagConnections = async () => {
+export const debugTagConnections = async (userId) => {
   try {
-    const connections = await getAllTagConnections();
+    const connections = await getAllTagConnections(userId);
     
     console.log('\n🔗 TAG CONNECTION NETWORK DEBUG');
     console.log('================================');
@@ -242,32 +382,31 @@ export const debugTagConnections = async () => {
 };
 
 /**
- * Remove all connections involving a specific tag (useful for removing noise tags like "watched")
- * @param {string} tagToRemove - Tag name to remove from all connections
+ * Remove all of a user's connections involving a specific tag (useful for removing noise tags like "watched")
+ * @param {string} userId - User ID
+ * @param {string} tagToRemove - Tag name to remove from the user's connections
  * @returns {Promise<{deleted: number}>} - Number of connections deleted
  */
-export const removeTagFromConnections = async (tagToRemove) => {
+export const removeTagFromConnections = async (userId, tagToRemove) => {
   try {
     const normalizedTag = tagToRemove.toLowerCase().trim();
     console.log(`🗑️ Removing all connections with tag: "${normalizedTag}"`);
     
-    const querySnapshot = await getDocs(collection(db, COLLECTION_NAME));
-    const batch = writeBatch(db);
-    let deleteCount = 0;
+    const records = await connectionRepository.getAll(userId);
+    const ids = [];
     
-    querySnapshot.forEach((docSnap) => {
-      const data = docSnap.data();
+    records.forEach((data) => {
       const source = data.source?.toLowerCase();
       const target = data.target?.toLowerCase();
       
       // Delete if connection involves the tag to remove
       if (source === normalizedTag || target === normalizedTag) {
-        batch.delete(docSnap.ref);
-        deleteCount++;
+        ids.push(data.id);
       }
     });
     
-    await batch.commit();
+    await connectionRepository.removeMany(ids);
+    const deleteCount = ids.length;
     console.log(`✅ Deleted ${deleteCount} connections involving "${normalizedTag}"`);
     
     return { deleted: deleteCount };
@@ -277,3 +416,115 @@ export const removeTagFromConnections = async (tagToRemove) => {
   }
 };
 
+/**
+ * Collect the tag lists a user's connections are derived from
+ * @param {string} userId - User ID
+ * @returns {Promise<string[][]>} - Tags of every daily log and watched video
+ */
+const getUserTagSets = async (userId) => {
+  const [logs, history] = await Promise.all([
+    logRepository.getAll(userId),
+    historyRepository.getAll(userId),
+  ]);
+
+  return [...logs, ...history]
+    .map(record => record.tags)
+    .filter(tags => Array.isArray(tags) && tags.length >= 2);
+};
+
+/**
+ * Recompute connection weights from a user's daily logs and watch history
+ * @param {string} userId - User ID
+ * @returns {Promise<{weights: Map, sources: number}>} - Weights by pair ID, number of tag lists used
+ */
+const computeConnectionWeights = async (userId) => {
+  const tagSets = await getUserTagSets(userId);
+  const weights = new Map();
+  countTagPairs(tagSets).forEach(({ source, target, delta }, id) => {
+    weights.set(id, { id, source, target, weight: delta });
+  });
+  return { weights, sources: tagSets.length };
+};
+
+/**
+ * Overwrite a user's connections with freshly computed weights
+ * @param {string} userId - User ID
+ * @param {Map} weights - From computeConnectionWeights
+ * @returns {Promise<number>} - Number of connections written
+ */
+const writeConnectionWeights = async (userId, weights) => {
+  const now = new Date();
+  const pairs = Array.from(weights.values());
+  await connectionRepository.setMany(pairs.map(pair => ({
+    id: getConnectionDocId(userId, pair.id),
+    userId,
+    source: pair.source,
+    target: pair.target,
+    weight: pair.weight,
+    createdAt: now,
+    lastUpdated: now,
+  })));
+  return pairs.length;
+};
+
+/**
+ * Rebuild all of a user's connections from source data (maintenance)
+ * Fixes drifted weights and removes edges no log or video supports any more
+ * @param {string} userId - User ID
+ * @returns {Promise<{connections: number, removed: number, sources: number}>}
+ */
+export const rebuildTagConnections = async (userId) => {
+  try {
+    console.log('🔄 Rebuilding tag connections from logs and watch history...');
+
+    const [{ weights, sources }, existing] = await Promise.all([
+      computeConnectionWeights(userId),
+      connectionRepository.getAll(userId),
+    ]);
+
+    const keep = new Set(Array.from(weights.keys()).map(id => getConnectionDocId(userId, id)));
+    const stale = existing.map(record => record.id).filter(id => !keep.has(id));
+
+    const connections = await writeConnectionWeights(userId, weights);
+    await connectionRepository.removeMany(stale);
+
+    console.log(`✅ Rebuilt ${connections} tag connection(s) from ${sources} logs and videos, removed ${stale.length}`);
+    return { connections, removed: stale.length, sources };
+  } catch (error) {
+    console.error('❌ Error rebuilding tag connections:', error);
+    throw error;
+  }
+};
+
+/**
+ * One-time migration from the global collection to per-user connections
+ * Rebuilds the user's connections from their own daily logs and watch history
+ * (legacy global documents mix every user's data, so they are not copied).
+ * Safe to re-run: weights are recomputed, not incremented.
+ * @param {string} userId - User ID
+ * @returns {Promise<{migrated: boolean, connections: number}>}
+ */
+export const migrateTagConnections = async (userId) => {
+  try {
+    const settings = await settingsRepository.get(userId);
+    if ((settings?.tagConnectionsVersion || 1) >= CONNECTIONS_VERSION) {
+      return { migrated: false, connections: 0 };
+    }
+
+    console.log('🔄 Migrating tag connections to per-user storage...');
+
+    const { weights, sources } = await computeConnectionWeights(userId);
+    const connections = await writeConnectionWeights(userId, weights);
+
+    await settingsRepository.merge(userId, {
+      tagConnectionsVersion: CONNECTIONS_VERSION,
+      tagConnectionsMigratedAt: new Date(),
+    });
+
+    console.log(`✅ Migrated ${connections} tag connection(s) from ${sources} logs and videos`);
+    return { migrated: true, connections };
+  } catch (error) {
+    console.error('❌ Error migrating tag connections:', error);
+    throw error;
+  }
+};
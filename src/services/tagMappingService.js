@@ -1,40 +1,37 @@
-import { 
-  collection, 
-  doc,
-  setDoc,
-  getDoc,
-  updateDoc
-} from 'firebase/firestore';
-import { db } from '../firebase/config';
-
-const COLLECTION_NAME = 'tag_mappings';
+import { tagMappingRepository } from '../repositories';
+import { classifySubdimension } from '../constants/dimensions';
 
 /**
- * Tag Mapping Schema:
+ * Tag Mapping Schema (tag_mappings/{userId}):
  * {
  *   userId: string,
  *   mappings: {
  *     [tagName]: {
  *       dimension: string,
  *       type: string (Concept, Book, Person, Project),
- *       category: string (Career, Spiritual, Health, Social, Intellectual, Entertainment, Unassigned)
+ *       category: string (Career, Spiritual, Health, Social, Intellectual, Entertainment, Unassigned),
+ *       subcategory?: string|null (optional second level, e.g. Career → Coding),
+ *       categories?: [{ category: string, weight: number }] (AI multi-label, primary first),
+ *       confidence?: number (0-1, AI confidence in the primary category),
+ *       defaulted?: boolean (AI answer was invalid, category fell back to Entertainment),
+ *       flagged?: boolean (user marked it for a later look in Review),
+ *       reviewed?: boolean (user accepted or reassigned it in Review)
  *     }
  *   },
- *   updatedAt: Timestamp
+ *   updatedAt: Date
  * }
  */
 
+// Replace the user's mappings
+const saveMappings = (userId, mappings) => {
+  return tagMappingRepository.set(userId, { mappings, updatedAt: new Date() });
+};
+
 // Get user's tag mappings
 export const getUserTagMappings = async (userId) => {
   try {
-    const docRef = doc(db, COLLECTION_NAME, userId);
-    const docSnap = await getDoc(docRef);
-    
-    if (docSnap.exists()) {
-      return docSnap.data().mappings || {};
-    }
-    
-    return {};
+    const stored = await tagMappingRepository.get(userId);
+    return stored?.mappings || {};
   } catch (error) {
     console.error('Error fetching tag mappings:', error);
     throw error;
@@ -44,8 +41,7 @@ export const getUserTagMappings = async (userId) => {
 // Save or update tag mapping (legacy - supports both old and new format)
 export const saveTagMapping = async (userId, tag, dimensionOrConfig) => {
   try {
-    const docRef = doc(db, COLLECTION_NAME, userId);
-    const docSnap = await getDoc(docRef);
+    const currentMappings = await getUserTagMappings(userId);
     
     const normalizedTag = tag.toLowerCase().trim();
     
@@ -54,23 +50,7 @@ export const saveTagMapping = async (userId, tag, dimensionOrConfig) => {
       ? { dimension: dimensionOrConfig, type: 'Concept' }
       : dimensionOrConfig;
     
-    if (docSnap.exists()) {
-      // Update existing mappings
-      const currentMappings = docSnap.data().mappings || {};
-      currentMappings[normalizedTag] = mappingValue;
-      
-      await updateDoc(docRef, {
-        mappings: currentMappings,
-        updatedAt: new Date(),
-      });
-    } else {
-      // Create new document
-      await setDoc(docRef, {
-        userId,
-        mappings: { [normalizedTag]: mappingValue },
-        updatedAt: new Date(),
-      });
-    }
+    await saveMappings(userId, { ...currentMappings, [normalizedTag]: mappingValue });
     
     return { success: true };
   } catch (error) {
@@ -87,8 +67,7 @@ export const saveTagWithType = async (userId, tag, dimension, type = 'Concept')
 // Save multiple tag mappings at once
 export const saveMultipleTagMappings = async (userId, mappings) => {
   try {
-    const docRef = doc(db, COLLECTION_NAME, userId);
-    const docSnap = await getDoc(docRef);
+    const currentMappings = await getUserTagMappings(userId);
     
     // Normalize all tag keys
     const normalizedMappings = {};
@@ -97,21 +76,7 @@ export const saveMultipleTagMappings = async (userId, mappings) => {
       normalizedMappings[normalizedTag] = mappings[tag];
     });
     
-    if (docSnap.exists()) {
-      const currentMappings = docSnap.data().mappings || {};
-      const updatedMappings = { ...currentMappings, ...normalizedMappings };
-      
-      await updateDoc(docRef, {
-        mappings: updatedMappings,
-        updatedAt: new Date(),
-      });
-    } else {
-      await setDoc(docRef, {
-        userId,
-        mappings: normalizedMappings,
-        updatedAt: new Date(),
-      });
-    }
+    await saveMappings(userId, { ...currentMappings, ...normalizedMappings });
     
     return { success: true };
   } catch (error) {
@@ -142,19 +107,19 @@ export const getUnassignedTags = async (userId) => {
 };
 
 // Update tag categories (for AI categorization)
+// Values are a category name or a categorizeTags result ({ category, subcategory, categories, confidence })
 export const updateTagCategories = async (userId, categoryMap) => {
   try {
     console.log('💾 Updating tag categories:', categoryMap);
     
-    const docRef = doc(db, COLLECTION_NAME, userId);
-    const docSnap = await getDoc(docRef);
+    const stored = await tagMappingRepository.get(userId);
     
-    if (!docSnap.exists()) {
+    if (!stored) {
       console.warn('No tag mappings found for user');
       return { success: false, message: 'No tag mappings found' };
     }
     
-    const currentMappings = docSnap.data().mappings || {};
+    const currentMappings = stored.mappings || {};
     console.log('📋 Current mappings before update:', Object.keys(currentMappings).length, 'tags');
     
     const updatedMappings = { ...currentMappings };
@@ -162,13 +127,19 @@ export const updateTagCategories = async (userId, categoryMap) => {
     // Update categories for each tag
     Object.keys(categoryMap).forEach(tag => {
       const normalizedTag = tag.toLowerCase().trim();
-      const category = categoryMap[tag];
+      const value = categoryMap[tag];
+      const { category, subcategory = null, categories = null, confidence = null, defaulted = false } = typeof value === 'string' ? { category: value } : value;
       
       if (updatedMappings[normalizedTag]) {
         console.log(`✏️ Updating existing tag "${normalizedTag}" with category: ${category}`);
         updatedMappings[normalizedTag] = {
           ...updatedMappings[normalizedTag],
-          category: category
+          category: category,
+          subcategory: subcategory,
+          categories: categories,
+          confidence: confidence,
+          defaulted: defaulted,
+          reviewed: false
         };
       } else {
         console.log(`➕ Creating new tag "${normalizedTag}" with category: ${category}`);
@@ -176,17 +147,19 @@ export const updateTagCategories = async (userId, categoryMap) => {
         updatedMappings[normalizedTag] = {
           dimension: 'Unknown',
           type: 'Concept',
-          category: category
+          category: category,
+          subcategory: subcategory,
+          categories: categories,
+          confidence: confidence,
+          defaulted: defaulted,
+          reviewed: false
         };
       }
     });
     
-    await updateDoc(docRef, {
-      mappings: updatedMappings,
-      updatedAt: new Date(),
-    });
+    await saveMappings(userId, updatedMappings);
     
-    console.log('✅ Successfully updated Firestore with new categories');
+    console.log('✅ Successfully saved new categories');
     
     return { success: true, updatedCount: Object.keys(categoryMap).length };
   } catch (error) {
@@ -195,3 +168,46 @@ export const updateTagCategories = async (userId, categoryMap) => {
   }
 };
 
+// Apply review decisions to tags
+// reviews: { [tag]: { category?: string, flagged?: boolean } }
+// A category reassigns the tag with full confidence; an empty review accepts the AI answer
+export const applyTagReviews = async (userId, reviews) => {
+  try {
+    const stored = await tagMappingRepository.get(userId);
+
+    if (!stored) {
+      return { success: false, message: 'No tag mappings found' };
+    }
+
+    const updatedMappings = { ...(stored.mappings || {}) };
+
+    Object.entries(reviews).forEach(([tag, review]) => {
+      const normalizedTag = tag.toLowerCase().trim();
+      const current = updatedMappings[normalizedTag];
+      if (!current) return;
+
+      if (review.flagged !== undefined) {
+        updatedMappings[normalizedTag] = { ...current, flagged: review.flagged };
+      } else if (review.category) {
+        updatedMappings[normalizedTag] = {
+          ...current,
+          category: review.category,
+          subcategory: classifySubdimension(review.category, normalizedTag),
+          categories: [{ category: review.category, weight: 1 }],
+          confidence: 1,
+          flagged: false,
+          reviewed: true
+        };
+      } else {
+        updatedMappings[normalizedTag] = { ...current, flagged: false, reviewed: true };
+      }
+    });
+
+    await saveMappings(userId, updatedMappings);
+
+    return { success: true, updatedCount: Object.keys(reviews).length };
+  } catch (error) {
+    console.error('Error applying tag reviews:', error);
+    throw error;
+  }
+};
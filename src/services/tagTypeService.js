@@ -0,0 +1,133 @@
+import { settingsRepository } from '../repositories';
+import {
+  TAG_TYPE_CONFIG,
+  TAG_SHAPES,
+  MAX_CUSTOM_TAG_TYPES,
+  setActiveTagTypes
+} from '../constants/tagTypes';
+import { getUserTagMappings } from './tagMappingService';
+
+/**
+ * Custom Tag Types (stored on user_settings/{userId}):
+ * {
+ *   tagTypes: [{
+ *     name: string (e.g. "Place"),
+ *     shape: string (one of TAG_SHAPES),
+ *     color: string (#rrggbb),
+ *     description: string
+ *   }] | null,
+ *   tagTypesUpdatedAt: Date
+ * }
+ *
+ * Built-in types (Concept, Book, Person, Project) are always available;
+ * tags whose custom type is deleted are drawn as Concepts.
+ */
+
+const MAX_NAME_LENGTH = 30;
+const MAX_DESCRIPTION_LENGTH = 200;
+const NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} &'-]*$/u;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Load the user's own tag types and make them active
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Custom types ([] if none)
+ */
+export const loadUserTagTypes = async (userId) => {
+  try {
+    const settings = await settingsRepository.get(userId);
+    const tagTypes = Array.isArray(settings?.tagTypes) ? settings.tagTypes : [];
+    setActiveTagTypes(tagTypes);
+    return tagTypes;
+  } catch (error) {
+    console.error('Error loading tag types:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check and clean custom tag types from the editor
+ * @param {Array} types - Custom tag types
+ * @returns {Array} - Cleaned types
+ * @throws {Error} - Describing the first problem found
+ */
+export const validateTagTypes = (types) => {
+  if (types.length > MAX_CUSTOM_TAG_TYPES) {
+    throw new Error(`You can have at most ${MAX_CUSTOM_TAG_TYPES} custom tag types.`);
+  }
+
+  const seen = new Set(Object.keys(TAG_TYPE_CONFIG).map(name => name.toLowerCase()));
+
+  return types.map(type => {
+    const name = String(type.name || '').trim();
+
+    if (!name || name.length > MAX_NAME_LENGTH || !NAME_PATTERN.test(name)) {
+      throw new Error(`"${name}" can only use letters, numbers, spaces, & ' and - (up to ${MAX_NAME_LENGTH} characters).`);
+    }
+    if (seen.has(name.toLowerCase())) {
+      throw new Error(`There is already a tag type named "${name}".`);
+    }
+    seen.add(name.toLowerCase());
+
+    if (!TAG_SHAPES.includes(type.shape)) {
+      throw new Error(`"${name}" needs one of these shapes: ${TAG_SHAPES.join(', ')}.`);
+    }
+    if (!COLOR_PATTERN.test(type.color || '')) {
+      throw new Error(`"${name}" needs a color like #00D4FF.`);
+    }
+
+    return {
+      name,
+      shape: type.shape,
+      color: type.color,
+      description: String(type.description || '').trim().slice(0, MAX_DESCRIPTION_LENGTH),
+    };
+  });
+};
+
+/**
+ * Find the tags whose type would be gone after saving
+ * Renamed types count as removed: tag_mappings keeps the old name
+ * @param {string} userId - User ID
+ * @param {Array} types - Custom tag types about to be saved
+ * @returns {Promise<Object<string, string[]>>} - Tags by removed type name ({} if none)
+ */
+export const getTagsOfRemovedTypes = async (userId, types) => {
+  const kept = new Set([
+    ...Object.keys(TAG_TYPE_CONFIG),
+    ...types.map(type => String(type.name || '').trim()),
+  ]);
+  const mappings = await getUserTagMappings(userId);
+
+  return Object.entries(mappings).reduce((removed, [tag, mapping]) => {
+    const type = mapping?.type;
+    if (type && !kept.has(type)) {
+      (removed[type] = removed[type] || []).push(tag);
+    }
+    return removed;
+  }, {});
+};
+
+/**
+ * Save the user's own tag types and make them active
+ * @param {string} userId - User ID
+ * @param {Array} types - Custom tag types
+ * @returns {Promise<Array>} - What was saved
+ */
+export const saveUserTagTypes = async (userId, types) => {
+  try {
+    const tagTypes = validateTagTypes(types);
+
+    await settingsRepository.merge(userId, {
+      tagTypes,
+      tagTypesUpdatedAt: new Date(),
+    });
+    setActiveTagTypes(tagTypes);
+
+    console.log(`✅ Saved ${tagTypes.length} custom tag types`);
+    return tagTypes;
+  } catch (error) {
+    console.error('Error saving tag types:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,275 @@
+/**
+ * Takeout Parser Service
+ * Parses Google Takeout YouTube watch history exports (JSON and HTML)
+ * into clean video records: { title, time, videoId, url, channel, channelUrl, products }
+ */
+
+// Takeout localizes the "Watched …" wording, so watch entries are recognised by
+// their video link; these known phrasings are only stripped from titles
+const WATCHED_PATTERNS = [
+  /^Watched\s+/i,           // English
+  /^Has visto\s+/i,         // Spanish
+  /^Vous avez regardé\s+/i, // French
+  /^Hai guardato\s+/i,      // Italian
+  /^Assistiu a\s+/i,        // Portuguese
+  /\s+angesehen$/i,         // German ("<title> angesehen")
+];
+// Title Takeout gives a watch of a video that no longer exists (it may still link to it)
+const REMOVED_TITLES = [
+  /^(Watched\s+)?a video that has been removed$/i,                          // English
+  /^(Has visto\s+)?un v[ií]deo que se ha eliminado$/i,                     // Spanish
+  /^(Vous avez regardé\s+)?une vidéo qui a été supprimée$/i,               // French
+  /^(Hai guardato\s+)?un video che è stato rimosso$/i,                     // Italian
+  /^(Assistiu a\s+)?um v[ií]deo que foi (removido|excluído)$/i,            // Portuguese
+  /^(ein\s+)?(entferntes|gelöschtes) Video angesehen$|^Video angesehen, das entfernt wurde$/i, // German
+];
+const WATCH_URL = /^https?:\/\/((www|m|music)\.)?youtube\.com\/(watch\?|shorts\/)|^https?:\/\/youtu\.be\//i;
+const ADS_DETAIL = 'From Google Ads';
+
+/**
+ * Create an empty skip report
+ * @returns {Object} - Counters for every reason an entry can be dropped
+ */
+const createSkipReport = () => ({
+  removed: 0,   // "Watched a video that has been removed" (any locale)
+  private: 0,   // Private/deleted videos (title is just the URL)
+  ads: 0,       // details: [{ name: "From Google Ads" }]
+  other: 0,     // Not a watch entry (searches, visits) or unusable data
+});
+
+/**
+ * Extract the YouTube video ID from a watch URL
+ * @param {string} url - e.g. https://www.youtube.com/watch?v=dQw4w9WgXcQ
+ * @returns {string|null} - Video ID or null
+ */
+export const extractVideoId = (url) => {
+  if (!url || typeof url !== 'string') return null;
+
+  const match = url.match(/[?&]v=([\w-]{6,})/) ||
+    url.match(/youtu\.be\/([\w-]{6,})/) ||
+    url.match(/\/shorts\/([\w-]{6,})/);
+
+  return match ? match[1] : null;
+};
+
+/**
+ * Check whether a Takeout link points at a video (rather than a search or channel)
+ * @param {string} url - Entry titleUrl
+ * @returns {boolean}
+ */
+export const isWatchUrl = (url) => typeof url === 'string' && WATCH_URL.test(url);
+
+/**
+ * Strip the "Watched " wording Takeout adds to titles, when present
+ * @param {string} title - Raw Takeout title
+ * @returns {string} - Clean title
+ */
+export const cleanTakeoutTitle = (title) => {
+  const trimmed = (title || '').trim();
+  const pattern = WATCHED_PATTERNS.find(watched => watched.test(trimmed));
+  return pattern ? trimmed.replace(pattern, '').trim() : trimmed;
+};
+
+/**
+ * Classify a raw entry and return either a video or a skip reason
+ * @param {Object} entry - { title, titleUrl, channel, channelUrl, time, products, details }
+ * @returns {{video?: Object, skip?: string}}
+ */
+const normalizeEntry = (entry) => {
+  const rawTitle = (entry.title || '').trim();
+
+  if (entry.details?.some(detail => detail === ADS_DETAIL)) {
+    return { skip: 'ads' };
+  }
+
+  if (REMOVED_TITLES.some(removed => removed.test(rawTitle))) {
+    return { skip: 'removed' };
+  }
+
+  // Takeout entries that aren't watches ("Searched for", "Visited", ...) link elsewhere
+  if (entry.isTakeout && !isWatchUrl(entry.titleUrl)) {
+    return { skip: 'other' };
+  }
+
+  const title = cleanTakeoutTitle(rawTitle);
+  const videoId = extractVideoId(entry.titleUrl);
+
+  // Private or deleted videos only carry their URL as the title
+  if (!title || /^https?:\/\//i.test(title) || (entry.titleUrl && title === entry.titleUrl)) {
+    return { skip: 'private' };
+  }
+
+  const parsedTime = entry.time ? new Date(entry.time) : null;
+  const time = parsedTime && !isNaN(parsedTime.getTime()) ? parsedTime.toISOString() : null;
+
+  return {
+    video: {
+      title,
+      time,
+      videoId,
+      url: entry.titleUrl || null,
+      channel: entry.channel || null,
+      channelUrl: entry.channelUrl || null,
+      products: entry.products || [],
+    }
+  };
+};
+
+/**
+ * Run every raw entry through normalization and build the result
+ * @param {Array} entries - Raw entries
+ * @param {string} format - 'json' | 'html'
+ * @returns {{videos: Array, skipped: Object, totalEntries: number, format: string}}
+ */
+const buildResult = (entries, format) => {
+  const skipped = createSkipReport();
+  const videos = [];
+
+  entries.forEach(entry => {
+    const { video, skip } = normalizeEntry(entry);
+    if (video) {
+      videos.push(video);
+    } else {
+      skipped[skip]++;
+    }
+  });
+
+  return { videos, skipped, totalEntries: entries.length, format };
+};
+
+/**
+ * Parse a watch-history.json export
+ * Also accepts the simplified [{ title, time }] / { videos } / { history } shapes
+ * @param {Object|Array} data - Parsed JSON
+ * @returns {{videos: Array, skipped: Object, totalEntries: number, format: string}}
+ */
+export const parseTakeoutJson = (data) => {
+  let items;
+
+  if (Array.isArray(data)) {
+    items = data;
+  } else if (Array.isArray(data?.videos)) {
+    items = data.videos;
+  } else if (Array.isArray(data?.history)) {
+    items = data.history;
+  } else {
+    throw new Error('Unrecognized JSON structure. Expected an array of videos.');
+  }
+
+  const entries = items.map(item => {
+    // Real Takeout entries always carry a header ("YouTube", "YouTube Music")
+    const isTakeout = typeof item?.header === 'string';
+
+    return {
+      isTakeout,
+      title: item?.title || item?.name || '',
+      titleUrl: item?.titleUrl || null,
+      channel: item?.subtitles?.[0]?.name || item?.channel || null,
+      channelUrl: item?.subtitles?.[0]?.url || null,
+      time: item?.time || item?.time_accessed || item?.timestamp || item?.date || null,
+      products: item?.products || [],
+      details: (item?.details || []).map(detail => detail?.name),
+    };
+  });
+
+  return buildResult(entries, 'json');
+};
+
+/**
+ * Parse the date line of an HTML export, e.g. "Jan 15, 2024, 10:30:00 AM EST"
+ * @param {string} text - Date text
+ * @returns {string|null} - Parsable date string or null
+ */
+const parseHtmlDate = (text) => {
+  const cleaned = text.replace(/[\u00a0\u202f]/g, ' ').trim();
+  if (!isNaN(Date.parse(cleaned))) return cleaned;
+
+  // Drop timezone abbreviations the Date parser doesn't know (e.g. "CET")
+  const withoutZone = cleaned.replace(/\s+[A-Z]{2,5}$/, '');
+  return isNaN(Date.parse(withoutZone)) ? null : withoutZone;
+};
+
+/**
+ * Parse a watch-history.html export
+ * @param {string} html - Raw HTML
+ * @returns {{videos: Array, skipped: Object, totalEntries: number, format: string}}
+ */
+export const parseTakeoutHtml = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const cells = doc.querySelectorAll('.outer-cell');
+
+  if (cells.length === 0) {
+    throw new Error('No watch history entries found in HTML file.');
+  }
+
+  const entries = Array.from(cells).map(cell => {
+    const content = cell.querySelector('.content-cell');
+    const caption = cell.querySelector('.content-cell.mdl-typography--caption');
+    const links = content ? Array.from(content.querySelectorAll('a')) : [];
+    const videoLink = links.find(a => /watch\?v=|youtu\.be\/|\/shorts\//.test(a.href));
+    const channelLink = links.find(a => a !== videoLink);
+
+    // Text nodes: the localized "Watched" wording, then the timestamp last
+    const textLines = content
+      ? Array.from(content.childNodes)
+        .filter(node => node.nodeType === Node.TEXT_NODE)
+        .map(node => node.textContent.replace(/[\u00a0\u202f]/g, ' ').trim())
+        .filter(Boolean)
+      : [];
+
+    // The link text is the video title as-is
+    const rawTitle = videoLink
+      ? videoLink.textContent.trim()
+      : textLines.slice(0, -1).join(' ');
+    const captionText = caption?.textContent || '';
+
+    return {
+      isTakeout: true,
+      title: rawTitle,
+      titleUrl: videoLink?.href || null,
+      channel: channelLink?.textContent.trim() || null,
+      channelUrl: channelLink?.href || null,
+      time: parseHtmlDate(textLines[textLines.length - 1] || ''),
+      products: captionText.includes('YouTube Music') ? ['YouTube Music'] : ['YouTube'],
+      details: captionText.includes(ADS_DETAIL) ? [ADS_DETAIL] : [],
+    };
+  });
+
+  return buildResult(entries, 'html');
+};
+
+/**
+ * Parse a Takeout export file, detecting JSON vs HTML
+ * @param {string} text - File contents
+ * @param {string} fileName - Original file name (used for format detection)
+ * @returns {{videos: Array, skipped: Object, totalEntries: number, format: string}}
+ */
+export const parseTakeoutFile = (text, fileName = '') => {
+  const trimmed = text.trimStart();
+  const isHtml = /\.html?$/i.test(fileName) || trimmed.startsWith('<');
+
+  if (isHtml) {
+    return parseTakeoutHtml(text);
+  }
+
+  return parseTakeoutJson(JSON.parse(text));
+};
+
+/**
+ * Human readable summary of skipped entries
+ * @param {Object} skipped - Skip report from a parse result
+ * @returns {string} - e.g. "12 removed • 3 ads"
+ */
+export const describeSkipped = (skipped) => {
+  const labels = {
+    removed: 'removed',
+    private: 'private',
+    ads: 'ads',
+    other: 'non-watch entries',
+  };
+
+  return Object.entries(skipped)
+    .filter(([, count]) => count > 0)
+    .map(([reason, count]) => `${count} ${labels[reason]}`)
+    .join(' • ');
+};
@@ -1,72 +1,168 @@
-import { calculateDimensionScores, getDimensionFromTag } from '../constants/dimensions';
-import { getTagAnalytics } from './dailyLogService';
+import { createDimensionScores, getTagDimension } from '../constants/dimensions';
+import { getCategoryWeights } from './analyticsEngine';
+import { getCategorizedVideos } from './categorizedVideoService';
+import { getLogsByDateRange } from './dailyLogService';
 import { getUserTagMappings } from './tagMappingService';
 
 /**
  * Trajectory Engine - Analyzes user data to determine life direction
+ *
+ * Reads the same categorized videos as the Analytics page, plus daily logs:
+ * a video adds its category weights (1 in total), a log adds 1 per tag
+ * to the tag's dimension.
  */
 
-// Calculate dimension percentages from tag analytics
-export const calculateTrajectory = async (userId, days = 30) => {
+const DAILY_BUCKET_MAX_DAYS = 90; // Longer ranges are charted by month
+
+// Load everything a trajectory is built from, for one date range
+const loadTrajectorySources = async (userId, { startDate = null, endDate = null }) => {
+  const [logs, videos, userMappings] = await Promise.all([
+    getLogsByDateRange(userId, startDate, endDate),
+    getCategorizedVideos(userId, { startDate, endDate }),
+    getUserTagMappings(userId),
+  ]);
+  return { logs, videos, userMappings };
+};
+
+// Call add(dimension, weight, date, tag) for every point a log or video contributes (tag is null for videos)
+const forEachContribution = ({ logs, videos, userMappings }, add) => {
+  videos.forEach(video => {
+    const date = video.time ? new Date(video.time) : null;
+    getCategoryWeights(video).forEach(({ category, weight }) => add(category, weight, date, null));
+  });
+
+  logs.forEach(log => {
+    (log.tags || []).forEach(tag => {
+      const normalizedTag = tag.toLowerCase().trim();
+      add(getTagDimension(normalizedTag, userMappings), 1, log.date || null, normalizedTag);
+    });
+  });
+};
+
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+// Dimension scores, percentages and the tags behind each dimension
+const scoreSources = (sources) => {
+  const weightedScores = createDimensionScores();
+  const tagCounts = {};
+
+  forEachContribution(sources, (dimension, weight, date, tag) => {
+    if (!(dimension in weightedScores)) return;
+    weightedScores[dimension] += weight;
+
+    if (tag) {
+      tagCounts[dimension] = tagCounts[dimension] || {};
+      tagCounts[dimension][tag] = (tagCounts[dimension][tag] || 0) + 1;
+    }
+  });
+
+  const total = Object.values(weightedScores).reduce((sum, val) => sum + val, 0);
+
+  const percentages = {};
+  Object.keys(weightedScores).forEach(dimension => {
+    percentages[dimension] = total > 0
+      ? Math.round((weightedScores[dimension] / total) * 100)
+      : 0;
+    weightedScores[dimension] = roundScore(weightedScores[dimension]);
+  });
+
+  const topTags = {};
+  Object.entries(tagCounts).forEach(([dimension, counts]) => {
+    topTags[dimension] = Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([tag, count]) => ({ tag, count }));
+  });
+
+  return { weightedScores, percentages, topTags };
+};
+
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+const formatDay = (date) => `${(date.getMonth() + 1).toString().padStart(2, '0')}/${date.getDate().toString().padStart(2, '0')}`;
+
+// Same month labels as the Analytics river chart
+const formatMonth = (date) => `${date.toLocaleString('default', { month: 'short' })} ${date.getFullYear()}`;
+
+// Per-day (or per-month for long ranges) dimension scores for the timeline chart
+const buildTimeline = (sources, startDate, endDate) => {
+  const dates = [
+    ...sources.videos.map(video => (video.time ? new Date(video.time) : null)),
+    ...sources.logs.map(log => log.date || null),
+  ].filter(date => date && !isNaN(date.getTime()));
+
+  if (dates.length === 0) return [];
+
+  const start = startOfDay(startDate || dates.reduce((earliest, date) => (date < earliest ? date : earliest)));
+  const end = startOfDay(endDate || new Date());
+  const byDay = (end - start) / (24 * 60 * 60 * 1000) <= DAILY_BUCKET_MAX_DAYS;
+  const getKey = byDay ? formatDay : formatMonth;
+
+  // Create every bucket up front so quiet days still show as zero
+  const buckets = new Map();
+  for (let cursor = new Date(start); cursor <= end;) {
+    const key = getKey(cursor);
+    if (!buckets.has(key)) {
+      buckets.set(key, { date: key, ...createDimensionScores() });
+    }
+    if (byDay) {
+      cursor.setDate(cursor.getDate() + 1);
+    } else {
+      cursor.setMonth(cursor.getMonth() + 1, 1);
+    }
+  }
+
+  forEachContribution(sources, (dimension, weight, date) => {
+    const bucket = date ? buckets.get(getKey(date)) : null;
+    if (bucket && dimension in bucket) {
+      bucket[dimension] += weight;
+    }
+  });
+
+  return [...buckets.values()].map(bucket => {
+    const rounded = { ...bucket };
+    Object.keys(rounded).forEach(key => {
+      if (key !== 'date') rounded[key] = roundScore(rounded[key]);
+    });
+    return rounded;
+  });
+};
+
+// Calculate dimension percentages and timeline for a date range
+// range: { startDate, endDate } (null bounds are open, see getDateWindowRange)
+export const calculateTrajectory = async (userId, range = {}) => {
   try {
-    const analytics = await getTagAnalytics(userId, days);
-    
-    if (analytics.totalLogs === 0) {
+    const sources = await loadTrajectorySources(userId, range);
+    const { logs, videos } = sources;
+
+    if (logs.length === 0 && videos.length === 0) {
       return {
         hasData: false,
-        message: 'No data available. Start logging to see your trajectory.',
+        message: 'No data in this period. Write a daily log or import your YouTube history to see your trajectory.',
       };
     }
-    
-    // Load user's custom tag mappings
-    const userMappings = await getUserTagMappings(userId);
-    
-    // Get all tags from frequency map
-    const allTags = Object.keys(analytics.tagFrequency);
-    
-    // Calculate weighted scores using user mappings
-    const weightedScores = {
-      Career: 0,
-      Spiritual: 0,
-      Physical: 0,
-      Social: 0,
-    };
-    
-    allTags.forEach(tag => {
-      const frequency = analytics.tagFrequency[tag];
-      
-      // Check user's custom mapping first, then fall back to predefined
-      const dimension = userMappings[tag] || getDimensionFromTag(tag);
-      
-      if (dimension && weightedScores.hasOwnProperty(dimension)) {
-        weightedScores[dimension] += frequency;
-      }
-    });
-    
-    // Calculate total for percentages
-    const total = Object.values(weightedScores).reduce((sum, val) => sum + val, 0);
-    
-    // Convert to percentages
-    const percentages = {};
-    Object.keys(weightedScores).forEach(dimension => {
-      percentages[dimension] = total > 0 
-        ? Math.round((weightedScores[dimension] / total) * 100) 
-        : 0;
-    });
-    
+
+    const { weightedScores, percentages, topTags } = scoreSources(sources);
+
     // Identify dominant dimension
-    const dominant = Object.keys(percentages).reduce((a, b) => 
+    const dominant = Object.keys(percentages).reduce((a, b) =>
       percentages[a] > percentages[b] ? a : b
     );
-    
+
     return {
       hasData: true,
-      totalLogs: analytics.totalLogs,
-      dateRange: analytics.dateRange,
+      totalLogs: logs.length,
+      totalVideos: videos.length,
       dimensionScores: weightedScores,
       percentages,
+      topTags,
       dominantDimension: dominant,
       trajectory: generateTrajectoryInsight(percentages, dominant),
+      timeline: buildTimeline(sources, range.startDate || null, range.endDate || null),
     };
   } catch (error) {
     console.error('Error calculating trajectory:', error);
@@ -77,7 +173,7 @@ export const calculateTrajectory = async (userId, days = 30) => {
 // Generate insight message based on trajectory
 const generateTrajectoryInsight = (percentages, dominant) => {
   const score = percentages[dominant];
-  
+
   if (score > 50) {
     return `You're heavily focused on ${dominant}. Consider balancing other dimensions.`;
   } else if (score > 30) {
@@ -87,19 +183,26 @@ const generateTrajectoryInsight = (percentages, dominant) => {
   }
 };
 
+// Start of the day `days` ago
+const daysAgo = (days) => {
+  const date = startOfDay(new Date());
+  date.setDate(date.getDate() - days);
+  return date;
+};
+
 // Get trajectory trend (comparing different time periods)
 export const getTrajectoryTrend = async (userId) => {
   try {
-    const last7Days = await calculateTrajectory(userId, 7);
-    const last30Days = await calculateTrajectory(userId, 30);
-    
+    const last7Days = await calculateTrajectory(userId, { startDate: daysAgo(7) });
+    const last30Days = await calculateTrajectory(userId, { startDate: daysAgo(30) });
+
     if (!last7Days.hasData || !last30Days.hasData) {
       return {
         hasTrend: false,
         message: 'Not enough data to calculate trends.',
       };
     }
-    
+
     // Calculate changes
     const changes = {};
     Object.keys(last7Days.percentages).forEach(dimension => {
@@ -109,7 +212,7 @@ export const getTrajectoryTrend = async (userId) => {
         direction: change > 0 ? 'increasing' : change < 0 ? 'decreasing' : 'stable',
       };
     });
-    
+
     return {
       hasTrend: true,
       last7Days: last7Days.percentages,
@@ -123,115 +226,3 @@ export const getTrajectoryTrend = async (userId) => {
     throw error;
   }
 };
-
-// DEBUG: Calculate and log trajectory scores to console
-export const debugTrajectoryScores = async (userId, days = 30) => {
-  console.group(`🎯 TRAJECTORY CALCULATION (Last ${days} days)`);
-  
-  try {
-    // Fetch analytics
-    const analytics = await getTagAnalytics(userId, days);
-    
-    console.log('📊 Raw Data:', {
-      totalLogs: analytics.totalLogs,
-      dateRange: {
-        start: analytics.dateRange.start.toLocaleDateString(),
-        end: analytics.dateRange.end.toLocaleDateString(),
-      },
-      tagFrequency: analytics.tagFrequency,
-    });
-    
-    if (analytics.totalLogs === 0) {
-      console.warn('⚠️ No logs found in this period');
-      console.groupEnd();
-      return null;
-    }
-    
-    // Get all tags
-    const allTags = Object.keys(analytics.tagFrequency);
-    console.log('🏷️ All Tags Found:', allTags);
-    
-    // Load user's custom tag mappings
-    const userMappings = await getUserTagMappings(userId);
-    console.log('🗺️ User Tag Mappings:', userMappings);
-    
-    // Calculate dimension scores with detailed breakdown
-    const dimensionBreakdown = {};
-    const weightedScores = {
-      Career: 0,
-      Spiritual: 0,
-      Physical: 0,
-      Social: 0,
-    };
-    
-    allTags.forEach(tag => {
-      const frequency = analytics.tagFrequency[tag];
-      
-      // Check user's custom mapping first, then fall back to predefined
-      const dimension = userMappings[tag] || getDimensionFromTag(tag);
-      
-      console.log(`🏷️ Tag "${tag}" (${frequency}x) → ${dimension || 'NOT MAPPED'}`);
-      
-      if (dimension && weightedScores.hasOwnProperty(dimension)) {
-        weightedScores[dimension] += frequency;
-        
-        if (!dimensionBreakdown[dimension]) {
-          dimensionBreakdown[dimension] = [];
-        }
-        dimensionBreakdown[dimension].push({
-          tag,
-          frequency,
-          contribution: frequency,
-          source: userMappings[tag] ? 'User Custom' : 'Predefined',
-        });
-      } else if (!dimension) {
-        console.warn(`⚠️ Tag "${tag}" has no dimension mapping!`);
-      }
-    });
-    
-    console.log('📈 Dimension Scores (Raw Points):', weightedScores);
-    console.log('🔍 Detailed Breakdown by Dimension:', dimensionBreakdown);
-    
-    // Calculate percentages
-    const total = Object.values(weightedScores).reduce((sum, val) => sum + val, 0);
-    const percentages = {};
-    
-    Object.keys(weightedScores).forEach(dimension => {
-      percentages[dimension] = total > 0 
-        ? Math.round((weightedScores[dimension] / total) * 100) 
-        : 0;
-    });
-    
-    console.log('📊 Dimension Percentages:', percentages);
-    
-    // Identify dominant dimension
-    const dominant = Object.keys(percentages).reduce((a, b) => 
-      percentages[a] > percentages[b] ? a : b
-    );
-    
-    console.log('🎯 Dominant Dimension:', dominant, `(${percentages[dominant]}%)`);
-    
-    // Create visual bar chart in console
-    console.log('\n📊 Visual Distribution:');
-    Object.keys(weightedScores).forEach(dimension => {
-      const percentage = percentages[dimension];
-      const bar = '█'.repeat(Math.round(percentage / 2));
-      console.log(`${dimension.padEnd(12)} ${bar} ${percentage}%`);
-    });
-    
-    console.groupEnd();
-    
-    return {
-      totalLogs: analytics.totalLogs,
-      weightedScores,
-      percentages,
-      dominant,
-      breakdown: dimensionBreakdown,
-    };
-    
-  } catch (error) {
-    console.error('❌ Error calculating trajectory:', error);
-    console.groupEnd();
-    throw error;
-  }
-};
@@ -0,0 +1,335 @@
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment
+} from '@firebase/rules-unit-testing';
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  increment,
+  query,
+  setDoc,
+  Timestamp,
+  updateDoc,
+  where
+} from 'firebase/firestore';
+
+/**
+ * Security rules tests
+ * Run against the Firestore emulator: `npm run test:rules`
+ * (wraps `firebase emulators:exec`, which sets FIRESTORE_EMULATOR_HOST)
+ */
+
+const ALICE = 'alice';
+const BOB = 'bob';
+
+let testEnv;
+
+const dbAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+const anonymousDb = () => testEnv.unauthenticatedContext().firestore();
+
+/**
+ * Write documents with rules disabled
+ * @param {Object} docs - { 'collection/id': data }
+ */
+const seed = (docs) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  for (const [path, data] of Object.entries(docs)) {
+    await setDoc(doc(db, path), data);
+  }
+});
+
+const dailyLog = (userId, overrides = {}) => ({
+  userId,
+  date: Timestamp.now(),
+  text_entry: 'Shipped the parser, long walk after',
+  tags: ['code', 'walking'],
+  createdAt: Timestamp.now(),
+  updatedAt: Timestamp.now(),
+  ...overrides,
+});
+
+const categorizedVideo = (userId, overrides = {}) => ({
+  userId,
+  videoKey: 'abc123_1705314600000',
+  videoId: 'abc123',
+  title: 'Intro to Rust',
+  channel: 'Rust Channel',
+  category: 'Intellectual',
+  subcategory: 'Education',
+  categories: [{ category: 'Intellectual', weight: 1 }],
+  confidence: 0.92,
+  defaulted: false,
+  time: '2024-01-15T10:30:00.000Z',
+  watchedAt: Timestamp.now(),
+  source: 'youtube_takeout',
+  createdAt: Timestamp.now(),
+  ...overrides,
+});
+
+const historyEntry = (userId, overrides = {}) => ({
+  userId,
+  videoKey: 'abc123_1705314600000',
+  videoId: 'abc123',
+  title: 'Intro to Rust',
+  tags: ['rust', 'programming'],
+  watchedAt: Timestamp.now(),
+  source: 'youtube_takeout',
+  createdAt: Timestamp.now(),
+  ...overrides,
+});
+
+const tagConnection = (userId, overrides = {}) => ({
+  userId,
+  source: 'code',
+  target: 'coffee',
+  weight: 1,
+  createdAt: new Date(),
+  lastUpdated: new Date(),
+  ...overrides,
+});
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-identity-compass',
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+describe('daily_logs', () => {
+  it('lets a user create, read, update and delete their own log', async () => {
+    const db = dbAs(ALICE);
+    const ref = doc(db, 'daily_logs/log1');
+
+    await assertSucceeds(setDoc(ref, dailyLog(ALICE)));
+    await assertSucceeds(getDoc(ref));
+    await assertSucceeds(updateDoc(ref, { tags: ['code'], updatedAt: Timestamp.now() }));
+    await assertSucceeds(deleteDoc(ref));
+  });
+
+  it('rejects signed-out access', async () => {
+    await seed({ 'daily_logs/log1': dailyLog(ALICE) });
+
+    await assertFails(getDoc(doc(anonymousDb(), 'daily_logs/log1')));
+    await assertFails(setDoc(doc(anonymousDb(), 'daily_logs/log2'), dailyLog(ALICE)));
+  });
+
+  it("hides other users' logs", async () => {
+    await seed({ 'daily_logs/log1': dailyLog(ALICE) });
+    const db = dbAs(BOB);
+
+    await assertFails(getDoc(doc(db, 'daily_logs/log1')));
+    await assertFails(updateDoc(doc(db, 'daily_logs/log1'), { text_entry: 'hijacked' }));
+    await assertFails(deleteDoc(doc(db, 'daily_logs/log1')));
+  });
+
+  it('only allows queries filtered to the caller', async () => {
+    await seed({ 'daily_logs/log1': dailyLog(ALICE), 'daily_logs/log2': dailyLog(BOB) });
+    const db = dbAs(ALICE);
+
+    await assertSucceeds(getDocs(query(collection(db, 'daily_logs'), where('userId', '==', ALICE))));
+    await assertFails(getDocs(collection(db, 'daily_logs')));
+    await assertFails(getDocs(query(collection(db, 'daily_logs'), where('userId', '==', BOB))));
+  });
+
+  it('rejects logs written for someone else', async () => {
+    await assertFails(setDoc(doc(dbAs(BOB), 'daily_logs/log1'), dailyLog(ALICE)));
+  });
+
+  it('rejects changing the owner', async () => {
+    await seed({ 'daily_logs/log1': dailyLog(ALICE) });
+
+    await assertFails(updateDoc(doc(dbAs(ALICE), 'daily_logs/log1'), { userId: BOB }));
+  });
+
+  it('enforces the log shape', async () => {
+    const db = dbAs(ALICE);
+
+    await assertFails(setDoc(doc(db, 'daily_logs/a'), dailyLog(ALICE, { tags: 'code' })));
+    await assertFails(setDoc(doc(db, 'daily_logs/b'), dailyLog(ALICE, { date: '2024-01-15' })));
+    await assertFails(setDoc(doc(db, 'daily_logs/c'), dailyLog(ALICE, { isAdmin: true })));
+    await assertFails(setDoc(doc(db, 'daily_logs/d'), dailyLog(ALICE, { text_entry: 'x'.repeat(20001) })));
+  });
+});
+
+describe('tag_mappings', () => {
+  const mappings = { code: { dimension: 'Career', type: 'Concept', category: 'Career' } };
+
+  it('lets a user manage the document keyed by their uid', async () => {
+    const ref = doc(dbAs(ALICE), `tag_mappings/${ALICE}`);
+
+    await assertSucceeds(setDoc(ref, { userId: ALICE, mappings, updatedAt: new Date() }));
+    await assertSucceeds(getDoc(ref));
+    await assertSucceeds(updateDoc(ref, { mappings: {}, updatedAt: new Date() }));
+  });
+
+  it("denies reading or writing another user's mappings", async () => {
+    await seed({ [`tag_mappings/${ALICE}`]: { userId: ALICE, mappings } });
+    const db = dbAs(BOB);
+
+    await assertFails(getDoc(doc(db, `tag_mappings/${ALICE}`)));
+    await assertFails(updateDoc(doc(db, `tag_mappings/${ALICE}`), { mappings: {} }));
+    await assertFails(deleteDoc(doc(db, `tag_mappings/${ALICE}`)));
+  });
+
+  it('rejects a userId that does not match the document', async () => {
+    await assertFails(setDoc(doc(dbAs(ALICE), `tag_mappings/${ALICE}`), { userId: BOB, mappings }));
+  });
+
+  it('requires mappings to be a map', async () => {
+    await assertFails(setDoc(doc(dbAs(ALICE), `tag_mappings/${ALICE}`), { userId: ALICE, mappings: ['code'] }));
+  });
+});
+
+describe('categorized_videos', () => {
+  const aliceVideo = `categorized_videos/${ALICE}_abc123_1705314600000`;
+
+  it('lets a user save and review their own videos', async () => {
+    const ref = doc(dbAs(ALICE), aliceVideo);
+
+    await assertSucceeds(setDoc(ref, categorizedVideo(ALICE)));
+    await assertSucceeds(updateDoc(ref, {
+      category: 'Career',
+      subcategory: 'Coding',
+      categories: [{ category: 'Career', weight: 1 }],
+      confidence: 1,
+      reviewed: true,
+      flagged: false,
+      reviewedAt: new Date().toISOString(),
+      updatedAt: Timestamp.now(),
+    }));
+  });
+
+  it('denies reading the whole collection', async () => {
+    await seed({ [aliceVideo]: categorizedVideo(ALICE) });
+
+    await assertFails(getDocs(collection(dbAs(BOB), 'categorized_videos')));
+    await assertSucceeds(getDocs(query(collection(dbAs(ALICE), 'categorized_videos'), where('userId', '==', ALICE))));
+  });
+
+  it("denies reading another user's video", async () => {
+    await seed({ [aliceVideo]: categorizedVideo(ALICE) });
+
+    await assertFails(getDoc(doc(dbAs(BOB), aliceVideo)));
+  });
+
+  it("rejects document IDs outside the caller's prefix", async () => {
+    const db = dbAs(BOB);
+
+    await assertFails(setDoc(doc(db, `categorized_videos/${ALICE}_xyz_1`), categorizedVideo(BOB)));
+    await assertSucceeds(setDoc(doc(db, `categorized_videos/${BOB}_xyz_1`), categorizedVideo(BOB)));
+  });
+
+  it('enforces the video shape', async () => {
+    const db = dbAs(ALICE);
+
+    await assertFails(setDoc(doc(db, `${aliceVideo}_a`), categorizedVideo(ALICE, { category: 42 })));
+    await assertFails(setDoc(doc(db, `${aliceVideo}_b`), categorizedVideo(ALICE, { confidence: 'high' })));
+    await assertFails(setDoc(doc(db, `${aliceVideo}_c`), categorizedVideo(ALICE, { extra: 'field' })));
+    await assertFails(setDoc(doc(db, `${aliceVideo}_d`), categorizedVideo(ALICE, { subcategory: 42 })));
+    await assertSucceeds(setDoc(doc(db, `${aliceVideo}_e`), categorizedVideo(ALICE, { subcategory: null })));
+  });
+});
+
+describe('youtube_history', () => {
+  const aliceEntry = `youtube_history/${ALICE}_abc123_1705314600000`;
+
+  it('lets a user write and read their own history', async () => {
+    const ref = doc(dbAs(ALICE), aliceEntry);
+
+    await assertSucceeds(setDoc(ref, historyEntry(ALICE), { merge: true }));
+    await assertSucceeds(getDoc(ref));
+  });
+
+  it("denies access to another user's history", async () => {
+    await seed({ [aliceEntry]: historyEntry(ALICE) });
+    const db = dbAs(BOB);
+
+    await assertFails(getDoc(doc(db, aliceEntry)));
+    await assertFails(getDocs(query(collection(db, 'youtube_history'), where('userId', '==', ALICE))));
+    await assertFails(deleteDoc(doc(db, aliceEntry)));
+  });
+
+  it('requires tags to be a list', async () => {
+    await assertFails(setDoc(doc(dbAs(ALICE), aliceEntry), historyEntry(ALICE, { tags: 'rust' })));
+  });
+});
+
+describe('tag_connections', () => {
+  const aliceConnection = `tag_connections/${ALICE}_code_coffee`;
+
+  it('lets a user check, create and increment their own connection', async () => {
+    const ref = doc(dbAs(ALICE), aliceConnection);
+
+    await assertSucceeds(getDoc(ref)); // Existence check before the first write
+    await assertSucceeds(setDoc(ref, tagConnection(ALICE)));
+    await assertSucceeds(updateDoc(ref, { weight: increment(1), lastUpdated: new Date() }));
+  });
+
+  it('lets a user upsert a connection with a blind increment', async () => {
+    const ref = doc(dbAs(ALICE), aliceConnection);
+    const upsert = { userId: ALICE, source: 'code', target: 'coffee', weight: increment(3), lastUpdated: new Date() };
+
+    await assertSucceeds(setDoc(ref, upsert, { merge: true })); // Creates it without a read
+    await assertSucceeds(setDoc(ref, upsert, { merge: true })); // Adds to it
+  });
+
+  it('lets a user decrement and delete their own connection', async () => {
+    await seed({ [aliceConnection]: tagConnection(ALICE, { weight: 2 }) });
+    const ref = doc(dbAs(ALICE), aliceConnection);
+
+    await assertSucceeds(updateDoc(ref, { weight: increment(-1), lastUpdated: new Date() }));
+    await assertFails(updateDoc(ref, { weight: increment(-1) })); // Would leave weight 0
+    await assertSucceeds(deleteDoc(ref));
+  });
+
+  it("keeps one user's graph out of another's", async () => {
+    await seed({ [aliceConnection]: tagConnection(ALICE) });
+    const db = dbAs(BOB);
+
+    await assertFails(getDoc(doc(db, aliceConnection)));
+    await assertFails(getDocs(collection(db, 'tag_connections')));
+    await assertFails(updateDoc(doc(db, aliceConnection), { weight: increment(1) }));
+    await assertFails(deleteDoc(doc(db, aliceConnection)));
+  });
+
+  it('requires the document ID to match owner and tag pair', async () => {
+    const db = dbAs(ALICE);
+
+    await assertFails(setDoc(doc(db, 'tag_connections/code_coffee'), tagConnection(ALICE)));
+    await assertFails(setDoc(doc(db, `tag_connections/${ALICE}_code_tea`), tagConnection(ALICE)));
+  });
+
+  it('rejects non-positive weights', async () => {
+    await assertFails(setDoc(doc(dbAs(ALICE), aliceConnection), tagConnection(ALICE, { weight: 0 })));
+  });
+
+  it('denies legacy global connections without an owner', async () => {
+    await seed({ 'tag_connections/code_coffee': { source: 'code', target: 'coffee', weight: 3 } });
+
+    await assertFails(getDoc(doc(dbAs(ALICE), 'tag_connections/code_coffee')));
+  });
+});
+
+describe('ai_usage', () => {
+  it('is closed to clients', async () => {
+    await seed({ [`ai_usage/${ALICE}_2024-01-15`]: { userId: ALICE, requests: 3 } });
+    const ref = doc(dbAs(ALICE), `ai_usage/${ALICE}_2024-01-15`);
+
+    await assertFails(getDoc(ref));
+    await assertFails(setDoc(ref, { userId: ALICE, requests: 0 }));
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createLocalRepositories } from '../../src/repositories/localRepositories';
+import { createMemoryStore } from '../../src/repositories/localStore';
+
+const USER = 'user-a';
+
+const backend = vi.hoisted(() => ({ repos: null }));
+
+vi.mock('../../src/repositories', () => ({
+  get videoRepository() { return backend.repos.videos; },
+  get settingsRepository() { return backend.repos.settings; },
+}));
+
+const {
+  getVideoKey,
+  getTitleVideoKey,
+  partitionNewVideos,
+  migrateLegacyVideoKeys,
+} = await import('../../src/services/categorizedVideoService');
+
+// Shape of a video saved before content keys ({uid}_{index}, no videoKey)
+const legacyVideo = (index, title, time, extra = {}) => ({
+  id: `${USER}_${index}`,
+  userId: USER,
+  title,
+  category: 'Technology',
+  time,
+  watchedAt: new Date(time),
+  source: 'youtube_takeout',
+  createdAt: new Date(),
+  index,
+  ...extra,
+});
+
+const RUST = { title: 'Rust in 100 Seconds', time: '2024-01-05T10:00:00Z' };
+const GO = { title: 'Go Concurrency Patterns', time: '2024-01-06T10:00:00Z' };
+
+describe('legacy video keys', () => {
+  beforeEach(() => {
+    backend.repos = createLocalRepositories(createMemoryStore());
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('rewrites legacy videos under their title key without the index field', async () => {
+    await backend.repos.videos.mergeMany([legacyVideo(0, RUST.title, RUST.time, { reviewed: true })]);
+
+    const result = await migrateLegacyVideoKeys(USER);
+
+    expect(result).toEqual({ migrated: true, rewritten: 1, removed: 0 });
+    const [video] = await backend.repos.videos.getAll(USER);
+    expect(video).toMatchObject({ id: `${USER}_${getTitleVideoKey(RUST)}`, videoKey: getTitleVideoKey(RUST), reviewed: true });
+    expect(video).not.toHaveProperty('index');
+  });
+
+  it('collapses copies of one video and drops ones already imported again', async () => {
+    const reimported = { ...GO, videoId: 'g0g0g0g0g0g' };
+    await backend.repos.videos.mergeMany([
+      legacyVideo(0, RUST.title, RUST.time),
+      legacyVideo(7, RUST.title, RUST.time, { reviewed: true }),
+      legacyVideo(1, GO.title, GO.time),
+      { id: `${USER}_${getVideoKey(reimported)}`, userId: USER, videoKey: getVideoKey(reimported), ...reimported, category: 'Technology' },
+    ]);
+
+    const result = await migrateLegacyVideoKeys(USER);
+
+    expect(result).toEqual({ migrated: true, rewritten: 1, removed: 2 });
+    const videos = await backend.repos.videos.getAll(USER);
+    expect(videos.map(video => video.videoKey).sort()).toEqual([getVideoKey(reimported), getTitleVideoKey(RUST)].sort());
+    expect(videos.find(video => video.videoKey === getTitleVideoKey(RUST)).reviewed).toBe(true);
+  });
+
+  it('runs once', async () => {
+    await migrateLegacyVideoKeys(USER);
+    await backend.repos.videos.mergeMany([legacyVideo(0, RUST.title, RUST.time)]);
+
+    expect(await migrateLegacyVideoKeys(USER)).toEqual({ migrated: false, rewritten: 0, removed: 0 });
+  });
+
+  it('treats a re-imported legacy video as present even though it now has a video ID', async () => {
+    await backend.repos.videos.mergeMany([legacyVideo(0, RUST.title, RUST.time)]);
+    await migrateLegacyVideoKeys(USER);
+
+    const { newVideos, existingCount } = await partitionNewVideos(USER, [
+      { ...RUST, videoId: 'r0r0r0r0r0r' },
+      { ...GO, videoId: 'g0g0g0g0g0g' },
+    ]);
+
+    expect(existingCount).toBe(1);
+    expect(newVideos.map(video => video.title)).toEqual([GO.title]);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createLocalRepositories } from '../../src/repositories/localRepositories';
+import { createMemoryStore } from '../../src/repositories/localStore';
+
+const USER = 'user-a';
+const OTHER_USER = 'user-b';
+
+const day = (n) => new Date(2024, 0, n, 12);
+
+describe('local repositories (memory store)', () => {
+  let repos;
+
+  beforeEach(() => {
+    repos = createLocalRepositories(createMemoryStore());
+  });
+
+  describe('logs.getPage', () => {
+    beforeEach(async () => {
+      for (let n = 1; n <= 5; n++) {
+        await repos.logs.create(USER, { date: day(n), text_entry: `day ${n}` });
+      }
+      await repos.logs.create(OTHER_USER, { date: day(3), text_entry: 'not mine' });
+    });
+
+    it('pages newest first with offset cursors until the last page', async () => {
+      const first = await repos.logs.getPage(USER, { pageSize: 2 });
+      expect(first.logs.map(log => log.text_entry)).toEqual(['day 5', 'day 4']);
+      expect(first).toMatchObject({ cursor: 2, hasMore: true });
+
+      const second = await repos.logs.getPage(USER, { pageSize: 2, cursor: first.cursor });
+      expect(second.logs.map(log => log.text_entry)).toEqual(['day 3', 'day 2']);
+      expect(second).toMatchObject({ cursor: 4, hasMore: true });
+
+      const last = await repos.logs.getPage(USER, { pageSize: 2, cursor: second.cursor });
+      expect(last.logs.map(log => log.text_entry)).toEqual(['day 1']);
+      expect(last).toMatchObject({ cursor: null, hasMore: false });
+    });
+
+    it('applies the date window before paging', async () => {
+      const page = await repos.logs.getPage(USER, { startDate: day(2), endDate: day(4), pageSize: 2 });
+      expect(page.logs.map(log => log.text_entry)).toEqual(['day 4', 'day 3']);
+      expect(page.hasMore).toBe(true);
+
+      const rest = await repos.logs.getPage(USER, { startDate: day(2), endDate: day(4), pageSize: 2, cursor: page.cursor });
+      expect(rest.logs.map(log => log.text_entry)).toEqual(['day 2']);
+      expect(rest.hasMore).toBe(false);
+    });
+
+    it('does not end on an empty page when the last page is full', async () => {
+      const page = await repos.logs.getPage(USER, { pageSize: 5 });
+      expect(page.logs).toHaveLength(5);
+      expect(page).toMatchObject({ cursor: null, hasMore: false });
+    });
+  });
+
+  describe('connections.adjust', () => {
+    const edge = (delta) => ({ id: `${USER}_code_coffee`, source: 'code', target: 'coffee', delta });
+
+    it('creates edges for positive deltas', async () => {
+      await repos.connections.adjust(USER, [edge(2)]);
+      const [connection] = await repos.connections.getAll(USER);
+      expect(connection).toMatchObject({ userId: USER, source: 'code', target: 'coffee', weight: 2 });
+      expect(connection.createdAt).toBeInstanceOf(Date);
+    });
+
+    it('deletes an edge once its weight reaches zero', async () => {
+      await repos.connections.adjust(USER, [edge(2)]);
+      await repos.connections.adjust(USER, [edge(-1)]);
+      expect((await repos.connections.getAll(USER))[0].weight).toBe(1);
+
+      await repos.connections.adjust(USER, [edge(-1)]);
+      expect(await repos.connections.getAll(USER)).toEqual([]);
+    });
+
+    it('ignores negative deltas for edges that do not exist', async () => {
+      await repos.connections.adjust(USER, [edge(-3)]);
+      expect(await repos.connections.getAll(USER)).toEqual([]);
+    });
+  });
+
+  describe('connections.getStrongest', () => {
+    it('returns one user\'s edges above the threshold, heaviest first, up to the cap', async () => {
+      await repos.connections.incrementMany(USER, [1, 5, 3, 4].map(weight => ({
+        id: `${USER}_t${weight}_u`, source: `t${weight}`, target: 'u', delta: weight,
+      })));
+      await repos.connections.incrementMany(OTHER_USER, [{ id: `${OTHER_USER}_a_b`, source: 'a', target: 'b', delta: 9 }]);
+
+      const strongest = await repos.connections.getStrongest(USER, { minWeight: 2, maxCount: 2 });
+      expect(strongest.map(connection => connection.weight)).toEqual([5, 4]);
+    });
+  });
+
+  describe('mergeMany', () => {
+    it('merges video fields into existing records and creates new ones', async () => {
+      await repos.videos.mergeMany([{ id: 'v1', userId: USER, title: 'Old', category: 'Career', watchedAt: day(1) }]);
+      await repos.videos.mergeMany([
+        { id: 'v1', userId: USER, category: 'Health' },
+        { id: 'v2', userId: USER, title: 'New', watchedAt: day(2) },
+      ]);
+
+      const { videos } = await repos.videos.getPage(USER, { pageSize: 10 });
+      expect(videos).toEqual([
+        { id: 'v2', userId: USER, title: 'New', watchedAt: day(2) },
+        { id: 'v1', userId: USER, title: 'Old', category: 'Health', watchedAt: day(1) },
+      ]);
+    });
+
+    it('merges history records without dropping earlier fields', async () => {
+      await repos.history.mergeMany([{ id: 'h1', userId: USER, title: 'Talk', tags: ['code'] }]);
+      await repos.history.mergeMany([{ id: 'h1', userId: USER, channel: 'Conf' }]);
+
+      expect(await repos.history.getAll(USER)).toEqual([
+        { id: 'h1', userId: USER, title: 'Talk', tags: ['code'], channel: 'Conf' },
+      ]);
+    });
+  });
+
+  describe('categorizationCache', () => {
+    it('returns entries aligned with the ids asked for and clears one user only', async () => {
+      await repos.categorizationCache.setMany([
+        { id: `${USER}_1`, userId: USER, key: 'title:a', category: 'Career' },
+        { id: `${OTHER_USER}_1`, userId: OTHER_USER, key: 'title:a', category: 'Health' },
+      ]);
+
+      const entries = await repos.categorizationCache.getMany([`${USER}_missing`, `${USER}_1`]);
+      expect(entries[0]).toBeNull();
+      expect(entries[1]).toMatchObject({ category: 'Career' });
+
+      expect(await repos.categorizationCache.clear(USER)).toBe(1);
+      expect(await repos.categorizationCache.getMany([`${USER}_1`, `${OTHER_USER}_1`]))
+        .toEqual([null, expect.objectContaining({ category: 'Health' })]);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const storage = new Map();
+vi.stubGlobal('localStorage', {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+});
+
+const { scheduleAiRequest, syncDailyUsage, getDailyUsage, DEFAULT_RATE_LIMITS } = await import('../../src/services/rateLimiterService');
+
+const utcToday = () => new Date().toISOString().slice(0, 10);
+
+const rateLimited = () => Object.assign(new Error('slow down'), { status: 429, retryAfter: 0.001 });
+
+describe('rateLimiterService daily usage', () => {
+  beforeEach(() => {
+    storage.clear();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('counts a request once, after it is answered, not per retry', async () => {
+    const send = vi.fn()
+      .mockRejectedValueOnce(rateLimited())
+      .mockRejectedValueOnce(rateLimited())
+      .mockResolvedValue('ok');
+
+    await expect(scheduleAiRequest(send)).resolves.toBe('ok');
+
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(getDailyUsage()).toMatchObject({ date: utcToday(), requests: 1 });
+  });
+
+  it('does not count requests that fail', async () => {
+    await expect(scheduleAiRequest(() => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+
+    expect(getDailyUsage().requests).toBe(0);
+  });
+
+  it('takes the server count and limit when the provider reports them', async () => {
+    await scheduleAiRequest(async () => {
+      syncDailyUsage({ used: 42, limit: 100, date: utcToday() });
+      return 'ok';
+    }, { reportsUsage: true });
+
+    expect(getDailyUsage()).toMatchObject({ requests: 42, limit: 100, remaining: 58 });
+  });
+
+  it('ignores a server count for another day', () => {
+    syncDailyUsage({ used: 42, limit: DEFAULT_RATE_LIMITS.rpd, date: '2000-01-01' });
+
+    expect(getDailyUsage().requests).toBe(0);
+  });
+});
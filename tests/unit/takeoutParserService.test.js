@@ -0,0 +1,156 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import {
+  extractVideoId,
+  cleanTakeoutTitle,
+  parseTakeoutJson,
+  parseTakeoutHtml,
+  parseTakeoutFile,
+} from '../../src/services/takeoutParserService';
+
+const watchEntry = (title, videoId, extra = {}) => ({
+  header: 'YouTube',
+  title,
+  titleUrl: `https://www.youtube.com/watch?v=${videoId}`,
+  subtitles: [{ name: 'Some Channel', url: 'https://www.youtube.com/channel/UC123' }],
+  time: '2024-01-15T10:30:00.000Z',
+  products: ['YouTube'],
+  ...extra,
+});
+
+describe('extractVideoId', () => {
+  it.each([
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'dQw4w9WgXcQ'],
+    ['https://www.youtube.com/watch?feature=share&v=dQw4w9WgXcQ', 'dQw4w9WgXcQ'],
+    ['https://youtu.be/dQw4w9WgXcQ', 'dQw4w9WgXcQ'],
+    ['https://www.youtube.com/shorts/abcDEF12345', 'abcDEF12345'],
+  ])('reads the ID from %s', (url, id) => {
+    expect(extractVideoId(url)).toBe(id);
+  });
+
+  it.each([null, '', 'https://www.youtube.com/results?search_query=rust', 42])('returns null for %s', (url) => {
+    expect(extractVideoId(url)).toBeNull();
+  });
+});
+
+describe('cleanTakeoutTitle', () => {
+  it.each([
+    ['Watched Rust in 100 Seconds', 'Rust in 100 Seconds'],
+    ['Has visto Rust en 100 segundos', 'Rust en 100 segundos'],
+    ['Rust in 100 Sekunden angesehen', 'Rust in 100 Sekunden'],
+    ['Watchmen Trailer', 'Watchmen Trailer'],
+  ])('cleans "%s"', (raw, clean) => {
+    expect(cleanTakeoutTitle(raw)).toBe(clean);
+  });
+});
+
+describe('parseTakeoutJson', () => {
+  it('turns watch entries into videos', () => {
+    const { videos, skipped, totalEntries, format } = parseTakeoutJson([watchEntry('Watched Rust in 100 Seconds', 'dQw4w9WgXcQ')]);
+
+    expect({ totalEntries, format }).toEqual({ totalEntries: 1, format: 'json' });
+    expect(skipped).toEqual({ removed: 0, private: 0, ads: 0, other: 0 });
+    expect(videos).toEqual([{
+      title: 'Rust in 100 Seconds',
+      time: '2024-01-15T10:30:00.000Z',
+      videoId: 'dQw4w9WgXcQ',
+      url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+      channel: 'Some Channel',
+      channelUrl: 'https://www.youtube.com/channel/UC123',
+      products: ['YouTube'],
+    }]);
+  });
+
+  it('sorts out removed, private, ad and non-watch entries', () => {
+    const { videos, skipped } = parseTakeoutJson([
+      { header: 'YouTube', title: 'Watched a video that has been removed', time: '2024-01-15T10:30:00Z' },
+      watchEntry('Watched https://www.youtube.com/watch?v=priv4te1234', 'priv4te1234', { subtitles: undefined }),
+      watchEntry('Watched Buy Now', 'ad1234567ab', { details: [{ name: 'From Google Ads' }] }),
+      { header: 'YouTube', title: 'Searched for rust', titleUrl: 'https://www.youtube.com/results?search_query=rust', time: '2024-01-15T10:30:00Z' },
+      watchEntry('Watched Keep Me', 'keep1234567'),
+    ]);
+
+    expect(videos.map(video => video.title)).toEqual(['Keep Me']);
+    expect(skipped).toEqual({ removed: 1, private: 1, ads: 1, other: 1 });
+  });
+
+  it.each([
+    'Has visto un vídeo que se ha eliminado',
+    'Vous avez regardé une vidéo qui a été supprimée',
+    'Hai guardato un video che è stato rimosso',
+    'Assistiu a um vídeo que foi removido',
+  ])('counts "%s" as removed, even when it still links to the video', (title) => {
+    const { videos, skipped } = parseTakeoutJson([
+      watchEntry(title, 'gone1234567', { subtitles: undefined }),
+      { header: 'YouTube', title, time: '2024-01-15T10:30:00Z' },
+    ]);
+
+    expect(videos).toEqual([]);
+    expect(skipped.removed).toBe(2);
+  });
+
+  it('accepts the simplified shapes', () => {
+    const simple = [{ title: 'Rust in 100 Seconds', time: '2024-01-15T10:30:00Z' }];
+
+    expect(parseTakeoutJson(simple).videos).toHaveLength(1);
+    expect(parseTakeoutJson({ videos: simple }).videos).toHaveLength(1);
+    expect(parseTakeoutJson({ history: simple }).videos[0]).toMatchObject({ title: 'Rust in 100 Seconds', videoId: null });
+  });
+
+  it('rejects other JSON', () => {
+    expect(() => parseTakeoutJson({ foo: [] })).toThrow('Unrecognized JSON structure');
+  });
+});
+
+describe('parseTakeoutHtml', () => {
+  const cell = (content, caption = 'Products:<br>&emsp;YouTube<br>') => `
+    <div class="outer-cell mdl-cell mdl-cell--12-col mdl-shadow--2dp">
+      <div class="mdl-grid">
+        <div class="content-cell mdl-cell mdl-cell--6-col mdl-typography--body-1">${content}</div>
+        <div class="content-cell mdl-cell mdl-cell--12-col mdl-typography--caption">${caption}</div>
+      </div>
+    </div>`;
+  const page = (...cells) => `<html><body><div class="mdl-grid">${cells.join('')}</div></body></html>`;
+
+  it('reads title, link, channel and time from each entry', () => {
+    const { videos, format } = parseTakeoutHtml(page(cell(
+      'Watched <a href="https://www.youtube.com/watch?v=dQw4w9WgXcQ">Rust in 100 Seconds</a><br>' +
+      '<a href="https://www.youtube.com/channel/UC123">Some Channel</a><br>Jan 15, 2024, 10:30:00 AM UTC<br>'
+    )));
+
+    expect(format).toBe('html');
+    expect(videos).toEqual([{
+      title: 'Rust in 100 Seconds',
+      time: '2024-01-15T10:30:00.000Z',
+      videoId: 'dQw4w9WgXcQ',
+      url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+      channel: 'Some Channel',
+      channelUrl: 'https://www.youtube.com/channel/UC123',
+      products: ['YouTube'],
+    }]);
+  });
+
+  it('skips removed videos in any locale and non-watch entries', () => {
+    const { videos, skipped } = parseTakeoutHtml(page(
+      cell('Watched a video that has been removed<br>Jan 15, 2024, 10:30:00 AM UTC<br>'),
+      cell('Has visto un vídeo que se ha eliminado<br>15 ene 2024<br>'),
+      cell('Searched for <a href="https://www.youtube.com/results?search_query=rust">rust</a><br>Jan 15, 2024, 10:30:00 AM UTC<br>'),
+    ));
+
+    expect(videos).toEqual([]);
+    expect(skipped).toMatchObject({ removed: 2, other: 1 });
+  });
+
+  it('throws when there are no entries', () => {
+    expect(() => parseTakeoutHtml('<html><body></body></html>')).toThrow('No watch history entries');
+  });
+});
+
+describe('parseTakeoutFile', () => {
+  it('detects the format from the name or the content', () => {
+    const json = JSON.stringify([watchEntry('Watched Rust in 100 Seconds', 'dQw4w9WgXcQ')]);
+
+    expect(parseTakeoutFile(json, 'watch-history.json').format).toBe('json');
+    expect(() => parseTakeoutFile('<html></html>', 'watch-history.txt')).toThrow('No watch history entries');
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createLocalRepositories } from '../../src/repositories/localRepositories';
+import { createMemoryStore } from '../../src/repositories/localStore';
+
+const USER = 'user-a';
+
+// One in-memory backend per test, behind the module the services import
+const backend = vi.hoisted(() => ({ repos: null }));
+
+vi.mock('../../src/repositories', () => ({
+  get videoRepository() { return backend.repos.videos; },
+  get historyRepository() { return backend.repos.history; },
+  get connectionRepository() { return backend.repos.connections; },
+  get logRepository() { return backend.repos.logs; },
+  get settingsRepository() { return backend.repos.settings; },
+}));
+
+const { saveWatchedVideos } = await import('../../src/services/youtubeHistoryService');
+
+const chunk = [
+  { videoId: 'a1', title: 'Rust Async Programming Deep Dive', time: '2024-01-05T10:00:00Z', category: 'Technology' },
+  { videoId: 'b2', title: 'Rust Programming Tips', time: '2024-01-06T10:00:00Z', category: 'Technology' },
+];
+
+const weights = async () => Object.fromEntries(
+  (await backend.repos.connections.getAll(USER)).map(edge => [edge.id, edge.weight])
+);
+
+describe('saveWatchedVideos', () => {
+  beforeEach(() => {
+    backend.repos = createLocalRepositories(createMemoryStore());
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('saves videos, history tags and the connections between them', async () => {
+    const result = await saveWatchedVideos(USER, chunk);
+
+    expect(result).toMatchObject({ saved: 2, newVideos: 2 });
+    expect(result.connections).toBeGreaterThan(0);
+
+    const history = await backend.repos.history.getAll(USER);
+    expect(history).toHaveLength(2);
+    history.forEach(record => expect(record.tags).toEqual(expect.arrayContaining(['rust', 'programming'])));
+
+    expect(Object.values(await weights())).toContain(2); // rust-programming in both titles
+  });
+
+  it('does not count connections again when a chunk is saved twice', async () => {
+    await saveWatchedVideos(USER, chunk);
+    const before = await weights();
+
+    const retry = await saveWatchedVideos(USER, chunk);
+
+    expect(retry).toMatchObject({ saved: 2, newVideos: 0, connections: 0 });
+    expect(await weights()).toEqual(before);
+    expect(await backend.repos.history.getAll(USER)).toHaveLength(2);
+  });
+
+  it('reads only the chunk\'s own videos, never the whole history', async () => {
+    const getKeys = vi.spyOn(backend.repos.videos, 'getKeys');
+    const getExistingKeys = vi.spyOn(backend.repos.videos, 'getExistingKeys');
+
+    await saveWatchedVideos(USER, chunk);
+
+    expect(getKeys).not.toHaveBeenCalled();
+    expect(getExistingKeys).toHaveBeenCalledWith(USER, ['a1_1704448800000', 'b2_1704535200000']);
+  });
+
+  it('only counts the new videos of an overlapping chunk', async () => {
+    await saveWatchedVideos(USER, chunk.slice(0, 1));
+    const single = await weights();
+
+    await saveWatchedVideos(USER, chunk);
+
+    const pair = Object.keys(single).find(id => single[id] === 1 && id.includes('rust') && id.includes('programming'));
+    expect(pair).toBeDefined();
+    expect((await weights())[pair]).toBe(2);
+  });
+});
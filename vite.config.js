@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    // Unit tests only; the rules tests need the emulator (npm run test:rules)
+    include: ['tests/unit/**/*.test.js'],
+  },
 })